@@ -0,0 +1,34 @@
+// Create a user account in data/users.json. The password is read from
+// USER_PASSWORD, or prompted for when it isn't set.
+// Usage: npm run user:create -- <username> <viewer|editor|admin>
+const readline = require('readline');
+const { userRepository } = require('../src/repositories');
+const { ROLES } = require('../src/models/user');
+
+function prompt(question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  return new Promise(resolve => rl.question(question, answer => {
+    rl.close();
+    resolve(answer);
+  }));
+}
+
+async function main() {
+  const [username, role] = process.argv.slice(2);
+  if (!username || !ROLES.includes(role)) {
+    throw new Error(`Usage: npm run user:create -- <username> <${ROLES.join('|')}>`);
+  }
+
+  const password = process.env.USER_PASSWORD || await prompt('Password: ');
+  if (password.length < 8) {
+    throw new Error('Password must be at least 8 characters');
+  }
+
+  const user = await userRepository.create({ username, password, role });
+  console.log(`Created ${user.role} "${user.username}" in ${userRepository.filePath}`);
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
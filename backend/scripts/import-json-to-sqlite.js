@@ -0,0 +1,27 @@
+// One-shot import of data/items.json into the SQLite database.
+// Usage: npm run db:import [-- --force]
+const { itemsStore } = require('../src/storage');
+const { createItemRepository } = require('../src/repositories');
+
+async function main() {
+  const force = process.argv.includes('--force');
+  const repository = createItemRepository('sqlite');
+
+  try {
+    if (!force && !(await repository.isEmpty())) {
+      console.log(`${repository.filePath} already has items; re-run with --force to overwrite matching ids`);
+      return;
+    }
+
+    const items = await itemsStore.read();
+    const count = await repository.importItems(items);
+    console.log(`Imported ${count} items from ${itemsStore.filePath} into ${repository.filePath}`);
+  } finally {
+    await repository.close();
+  }
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,31 @@
+// Upgrade data/items.json to the current item shape: missing optional fields get
+// their defaults and records without timestamps are stamped with the migration time.
+// Safe to run repeatedly. Usage: npm run db:migrate
+const { itemsStore } = require('../src/storage');
+const { applyItemDefaults } = require('../src/models/item');
+
+async function main() {
+  const now = new Date().toISOString();
+  let changed = 0;
+
+  await itemsStore.update(items => {
+    items.forEach((item, index) => {
+      const migrated = applyItemDefaults({
+        ...item,
+        createdAt: item.createdAt || now,
+        updatedAt: item.updatedAt || item.createdAt || now
+      });
+      if (JSON.stringify(migrated) !== JSON.stringify(item)) {
+        items[index] = migrated;
+        changed += 1;
+      }
+    });
+  });
+
+  console.log(`Migrated ${changed} items in ${itemsStore.filePath}`);
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
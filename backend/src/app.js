@@ -0,0 +1,99 @@
+const express = require('express');
+const cors = require('cors');
+const { config: defaultConfig } = require('./config');
+const { createItemsRouter } = require('./routes/items');
+const { createStatsRouter } = require('./routes/stats');
+const { createAuditRouter } = require('./routes/audit');
+const { createAuthRouter } = require('./routes/auth');
+const { createHealthRouter } = require('./routes/health');
+const { createDataVersion } = require('./cache/dataVersion');
+const { createStatsCache } = require('./cache/statsCache');
+const { createChangeFeed } = require('./events/changeFeed');
+const { createMetrics } = require('./metrics');
+const { createSessionTokens } = require('./auth/tokens');
+const { notFound, createErrorHandler } = require('./middleware/errorHandler');
+const { createAuthenticate } = require('./middleware/auth');
+const { createRateLimit, byIp, byApiKey } = require('./middleware/rateLimit');
+const { createBodyParsers } = require('./middleware/bodyParsers');
+const { createRequestLogger } = require('./middleware/logger');
+const { createRequestMetrics } = require('./middleware/requestMetrics');
+const { createLogger } = require('./utils/logger');
+
+// Requests whose bodies the items router parses itself
+const IMPORT_PATH = /^\/api\/items\/import\/?$/i;
+
+// Build the Express app without listening or watching anything (see server.js).
+// `storage` is what createStorage() returns; whoever builds the app closes it.
+// `config` has the shape of config.js and defaults to the configured one; page
+// sizes and the trash retention come from it too. Caches, the change feed, rate
+// limit buckets and metrics belong to the app, so apps built side by side (e.g.
+// in tests) don't share state: they are created here and passed to the router
+// factories, whose own defaults are the module-level shared instances.
+//
+// `app.locals.drain()` starts shutting the app down: /readyz answers 503 and open
+// event streams end, so in-flight requests can finish.
+function createApp({ config = defaultConfig, storage, logger = createLogger(config.log) }) {
+  const { itemRepository, userRepository, auditLog } = storage;
+  const itemsVersion = createDataVersion(itemRepository);
+  const statsCache = createStatsCache(itemRepository, config.cache);
+  const itemEvents = createChangeFeed({ logger });
+  const metrics = createMetrics({ statsCache, itemRepository });
+  const sessionTokens = createSessionTokens(config.auth);
+  const authenticate = createAuthenticate({ users: userRepository, tokens: sessionTokens });
+  const { windowSeconds, reads, writes } = config.rateLimit;
+  const policies = {
+    read: { limit: reads, windowSeconds },
+    write: { limit: writes, windowSeconds }
+  };
+  const ipRateLimit = createRateLimit({ ...policies, key: byIp });
+  const apiKeyRateLimit = createRateLimit({ ...policies, key: byApiKey });
+  const { jsonBody, importJsonBody, importCsvBody } = createBodyParsers(config.bodyLimits);
+
+  const app = express();
+  // Behind `trustProxy` proxies req.ip is the client's address, which the per-IP
+  // rate limits key on
+  app.set('trust proxy', config.trustProxy);
+  app.locals.draining = false;
+  app.locals.drain = () => {
+    app.locals.draining = true;
+    itemEvents.close();
+  };
+
+  // First, so every response (errors included) has a request id, a log line and
+  // shows up in the metrics
+  app.use(createRequestLogger({ logger }));
+  app.use(createRequestMetrics(metrics));
+
+  // Browsers may call the API from `cors.allowedOrigins` (ALLOWED_ORIGINS). Validators
+  // must be readable by the frontend for conditional requests, and rate limit
+  // headers so it can back off.
+  app.use(cors({
+    origin: config.cors.allowedOrigins.includes('*') ? '*' : config.cors.allowedOrigins,
+    exposedHeaders: ['ETag', 'Last-Modified', 'X-Request-Id', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After']
+  }));
+  // Basic middleware. Import bodies get the larger limit, so the items router parses
+  // them once the caller is known to be an admin.
+  app.use((req, res, next) => (IMPORT_PATH.test(req.path) ? next() : jsonBody(req, res, next)));
+
+  // Health probes and metrics, open to the load balancer and scrapers
+  app.use(createHealthRouter({ itemRepository, metrics, isDraining: () => app.locals.draining, env: config.env }));
+
+  // Routes. Everything but logging in needs a session token or API key; the
+  // routers check roles for writes. Every request counts against its IP's budget
+  // before credentials are checked, so bad keys and tokens are limited too; API
+  // keys also get a budget of their own once authenticated.
+  app.use('/api/auth', ipRateLimit, createAuthRouter({ userRepository, sessionTokens, authenticate }));
+  app.use('/api/items', ipRateLimit, authenticate, apiKeyRateLimit, createItemsRouter({ itemRepository, auditLog, itemEvents, itemsVersion, importJsonBody, importCsvBody, config }));
+  app.use('/api/stats', ipRateLimit, authenticate, apiKeyRateLimit, createStatsRouter({ itemRepository, statsCache, itemsVersion }));
+  app.use('/api/audit', ipRateLimit, authenticate, apiKeyRateLimit, createAuditRouter({ auditLog }));
+
+  // Not Found
+  app.use('*', notFound);
+
+  // Error handling (must be registered last)
+  app.use(createErrorHandler({ env: config.env }));
+
+  return app;
+}
+
+module.exports = { createApp };
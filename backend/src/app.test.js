@@ -0,0 +1,163 @@
+const request = require('supertest');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { createApp } = require('./app');
+const { createStorage } = require('./repositories');
+const { config } = require('./config');
+
+const seedItems = [
+  { id: 1, name: 'Desk', category: 'Furniture', price: 300 },
+  { id: 2, name: 'Lamp', category: 'Furniture', price: 40 }
+];
+
+const PASSWORD = 'correct horse battery staple';
+
+describe('createApp', () => {
+  let dir;
+  let storage;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'app-'));
+    await fs.writeFile(path.join(dir, 'items.json'), JSON.stringify(seedItems));
+    storage = createStorage({ driver: 'json', dataPath: path.join(dir, 'items.json'), sqlitePath: path.join(dir, 'items.db') });
+    await storage.userRepository.create({ username: 'admin', password: PASSWORD, role: 'admin' });
+  });
+
+  afterEach(async () => {
+    await storage.close();
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  async function signIn(app) {
+    const response = await request(app)
+      .post('/api/auth/login')
+      .send({ username: 'admin', password: PASSWORD })
+      .expect(200);
+    return `Bearer ${response.body.token}`;
+  }
+
+  it('should serve the API from the given storage', async () => {
+    const app = createApp({ storage });
+    const authorization = await signIn(app);
+
+    const list = await request(app).get('/api/items').set('Authorization', authorization).expect(200);
+    expect(list.body.items.map(item => item.name)).toEqual(['Desk', 'Lamp']);
+
+    const created = await request(app)
+      .post('/api/items')
+      .set('Authorization', authorization)
+      .send({ name: 'Chair', category: 'Furniture', price: 120 })
+      .expect(201);
+    await storage.close();
+
+    const saved = JSON.parse(await fs.readFile(path.join(dir, 'items.json'), 'utf8'));
+    expect(saved.map(item => item.name)).toEqual(['Desk', 'Lamp', 'Chair']);
+    const audit = await storage.auditLog.query({ itemId: created.body.id });
+    expect(audit.entries).toEqual([expect.objectContaining({ actor: 'admin', action: 'created' })]);
+  });
+
+  it('should apply the given config', async () => {
+    const app = createApp({
+      storage,
+      config: { ...config, rateLimit: { windowSeconds: 60, reads: 1, writes: 5 } }
+    });
+    const authorization = await signIn(app);
+
+    await request(app).get('/api/items').set('Authorization', authorization).expect(200);
+    const response = await request(app).get('/api/items').set('Authorization', authorization).expect(429);
+
+    expect(response.headers['ratelimit-limit']).toBe('1');
+  });
+
+  it('should take page sizes and the trash retention from the given config', async () => {
+    const app = createApp({
+      storage,
+      config: { ...config, pagination: { defaultPageSize: 1, maxPageSize: 2 }, trash: { retentionDays: 7 } }
+    });
+    const authorization = await signIn(app);
+
+    const list = await request(app).get('/api/items').set('Authorization', authorization).expect(200);
+    expect(list.body.items).toHaveLength(1);
+    await request(app).get('/api/items?limit=3').set('Authorization', authorization).expect(400);
+
+    const trash = await request(app).get('/api/items/trash').set('Authorization', authorization).expect(200);
+    expect(trash.body.retentionDays).toBe(7);
+    await request(app).get('/api/items/trash?limit=3').set('Authorization', authorization).expect(400);
+  });
+
+  it('should keep rate limits and sessions per app', async () => {
+    const limited = { ...config, rateLimit: { windowSeconds: 60, reads: 1, writes: 5 } };
+    const first = createApp({ storage, config: limited });
+    const second = createApp({ storage, config: limited });
+    const authorization = await signIn(first);
+
+    await request(first).get('/api/items').set('Authorization', authorization).expect(200);
+    await request(first).get('/api/items').set('Authorization', authorization).expect(429);
+    // Without a configured secret each app signs its own tokens
+    await request(second).get('/api/items').set('Authorization', authorization).expect(401);
+  });
+
+  it('should count requests with bad credentials against the IP', async () => {
+    const app = createApp({
+      storage,
+      config: { ...config, rateLimit: { windowSeconds: 60, reads: 3, writes: 5 } }
+    });
+
+    const statuses = [];
+    for (let i = 0; i < 5; i += 1) {
+      statuses.push((await request(app).get('/api/items').set('X-API-Key', 'ik_bad')).status);
+    }
+
+    expect(statuses).toEqual([401, 401, 401, 429, 429]);
+  });
+
+  it('should limit clients behind a trusted proxy by their own address', async () => {
+    const limited = { ...config, rateLimit: { windowSeconds: 60, reads: 1, writes: 5 } };
+    const callFrom = (app, client) => request(app).get('/api/items').set('X-Forwarded-For', client);
+
+    const proxied = createApp({ storage, config: { ...limited, trustProxy: 1 } });
+    expect((await callFrom(proxied, '203.0.113.1')).status).toBe(401);
+    expect((await callFrom(proxied, '203.0.113.2')).status).toBe(401);
+    expect((await callFrom(proxied, '203.0.113.1')).status).toBe(429);
+
+    // Without a trusted proxy the header could be forged, so it is ignored
+    const direct = createApp({ storage, config: limited });
+    expect((await callFrom(direct, '203.0.113.1')).status).toBe(401);
+    expect((await callFrom(direct, '203.0.113.2')).status).toBe(429);
+  });
+
+  it('should only parse large imports once the caller is an admin', async () => {
+    const app = createApp({ storage });
+    const rows = Array.from({ length: 2000 }, (_, i) => ({ name: `Item ${i}`, category: 'Bulk', price: i, description: 'x'.repeat(40) }));
+    expect(JSON.stringify(rows).length).toBeGreaterThan(100 * 1024);
+
+    await request(app).post('/api/items/import?dryRun=true').send(rows).expect(401);
+
+    await storage.userRepository.create({ username: 'viewer', password: PASSWORD, role: 'viewer' });
+    const viewer = await request(app).post('/api/auth/login').send({ username: 'viewer', password: PASSWORD }).expect(200);
+    await request(app)
+      .post('/api/items/import?dryRun=true')
+      .set('Authorization', `Bearer ${viewer.body.token}`)
+      .send(rows)
+      .expect(403);
+
+    const response = await request(app)
+      .post('/api/items/import?dryRun=true')
+      .set('Authorization', await signIn(app))
+      .send(rows)
+      .expect(200);
+    expect(response.body.valid).toBe(2000);
+  });
+
+  it('should report not ready once draining', async () => {
+    const app = createApp({ storage });
+    await request(app).get('/readyz').expect(200);
+
+    app.locals.drain();
+
+    const response = await request(app).get('/readyz').expect(503);
+    expect(response.body.status).toBe('draining');
+    await request(app).get('/healthz').expect(200);
+  });
+});
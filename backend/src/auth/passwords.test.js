@@ -0,0 +1,18 @@
+const { hashPassword, verifyPassword } = require('./passwords');
+
+describe('passwords', () => {
+  it('should hash with a random salt and verify the original password', async () => {
+    const first = await hashPassword('correct horse');
+    const second = await hashPassword('correct horse');
+
+    expect(first).toMatch(/^scrypt\$[\w-]+\$[\w-]+$/);
+    expect(first).not.toBe(second);
+    await expect(verifyPassword('correct horse', first)).resolves.toBe(true);
+    await expect(verifyPassword('correct horse!', first)).resolves.toBe(false);
+  });
+
+  it('should never match something that is not a password hash', async () => {
+    await expect(verifyPassword('secret', 'secret')).resolves.toBe(false);
+    await expect(verifyPassword('secret', undefined)).resolves.toBe(false);
+  });
+});
@@ -0,0 +1,54 @@
+const crypto = require('crypto');
+const { config } = require('../config');
+
+// Session tokens are `<payload>.<signature>`: base64url JSON claims and their
+// HMAC-SHA256. They are stateless, so a token stays valid until it expires or
+// the secret changes.
+function createTokenSigner({ secret, ttlSeconds, now = Date.now }) {
+  function signature(payload) {
+    return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+  }
+
+  // Issue a token for `claims` (e.g. `{ sub: username }`), adding the expiry
+  function sign(claims) {
+    const exp = now() + ttlSeconds * 1000;
+    const payload = Buffer.from(JSON.stringify({ ...claims, exp })).toString('base64url');
+    return { token: `${payload}.${signature(payload)}`, expiresAt: new Date(exp).toISOString() };
+  }
+
+  // Claims of a valid, unexpired token; null for anything else
+  function verify(token) {
+    const [payload, sig, ...rest] = String(token).split('.');
+    if (!payload || !sig || rest.length > 0) {
+      return null;
+    }
+    const expected = Buffer.from(signature(payload));
+    const actual = Buffer.from(sig);
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+      return null;
+    }
+
+    let claims;
+    try {
+      claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch (error) {
+      return null;
+    }
+    return claims && typeof claims.exp === 'number' && claims.exp > now() ? claims : null;
+  }
+
+  return { sign, verify };
+}
+
+// Signer for `auth` settings. Without a configured secret every restart signs
+// everyone out, which is fine in development; config.js insists on one in production.
+function createSessionTokens({ secret, tokenTtlSeconds } = config.auth) {
+  return createTokenSigner({
+    secret: secret || crypto.randomBytes(32).toString('hex'),
+    ttlSeconds: tokenTtlSeconds
+  });
+}
+
+const sessionTokens = createSessionTokens();
+
+module.exports = { createTokenSigner, createSessionTokens, sessionTokens };
@@ -0,0 +1,37 @@
+const { createTokenSigner } = require('./tokens');
+
+describe('createTokenSigner', () => {
+  let clock;
+  let signer;
+
+  beforeEach(() => {
+    clock = Date.parse('2024-05-01T00:00:00Z');
+    signer = createTokenSigner({ secret: 'test-secret', ttlSeconds: 60, now: () => clock });
+  });
+
+  it('should sign claims and verify them until the token expires', () => {
+    const { token, expiresAt } = signer.sign({ sub: 'ana' });
+
+    expect(expiresAt).toBe('2024-05-01T00:01:00.000Z');
+    expect(signer.verify(token)).toEqual({ sub: 'ana', exp: Date.parse(expiresAt) });
+
+    clock += 60 * 1000;
+    expect(signer.verify(token)).toBeNull();
+  });
+
+  it('should reject tampered tokens and tokens from another secret', () => {
+    const { token } = signer.sign({ sub: 'ana' });
+    const [, signature] = token.split('.');
+    const forged = `${Buffer.from(JSON.stringify({ sub: 'admin', exp: clock + 60000 })).toString('base64url')}.${signature}`;
+    const other = createTokenSigner({ secret: 'other-secret', ttlSeconds: 60, now: () => clock });
+
+    expect(signer.verify(forged)).toBeNull();
+    expect(other.verify(token)).toBeNull();
+  });
+
+  it('should reject malformed tokens', () => {
+    for (const token of ['', 'abc', 'a.b.c', undefined]) {
+      expect(signer.verify(token)).toBeNull();
+    }
+  });
+});
@@ -0,0 +1,29 @@
+const { itemRepository } = require('../repositories');
+
+// Version of the catalog data, for HTTP validators.
+// The version is a counter bumped on every change, prefixed with the process start
+// time so tags from a previous run never match. `lastModified` is the time of the
+// last change, or the storage's own modification time until one happens.
+function createDataVersion(repository) {
+  const bootId = Date.now().toString(36);
+  let counter = 0;
+  let lastModified = null;
+
+  repository.onChange(() => {
+    counter += 1;
+    lastModified = Date.now();
+  });
+
+  async function current() {
+    if (lastModified === null) {
+      lastModified = await repository.getModifiedTime();
+    }
+    return { version: `${bootId}.${counter}`, lastModified };
+  }
+
+  return { current };
+}
+
+const itemsVersion = createDataVersion(itemRepository);
+
+module.exports = { createDataVersion, itemsVersion };
@@ -0,0 +1,19 @@
+const { createMemoCache } = require('../utils/memoCache');
+const { itemRepository } = require('../repositories');
+const { config } = require('../config');
+
+// Cache for /api/stats results, keyed by endpoint and query params.
+// Every change to the catalog invalidates all entries; `cache.statsTtlSeconds`
+// also bounds their age, for stores whose outside edits aren't reported (SQLite).
+function createStatsCache(repository, { statsMaxEntries, statsTtlSeconds } = config.cache) {
+  const cache = createMemoCache({
+    maxEntries: statsMaxEntries,
+    ttlMs: statsTtlSeconds * 1000
+  });
+  repository.onChange(() => cache.clear());
+  return cache;
+}
+
+const statsCache = createStatsCache(itemRepository);
+
+module.exports = { createStatsCache, statsCache };
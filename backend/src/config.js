@@ -0,0 +1,145 @@
+const path = require('path');
+const { defineSchema } = require('./validation/schema');
+
+// Settings come from backend/config/: default.json, then the file named after
+// NODE_ENV (development, test, production), then the environment variables
+// listed in custom-environment-variables.json. A local .env file is read first,
+// except under test so a developer's settings can't change test results.
+const BACKEND_DIR = path.join(__dirname, '..');
+
+if (process.env.NODE_ENV !== 'test') {
+  require('dotenv').config({ path: path.join(BACKEND_DIR, '.env') });
+}
+process.env.NODE_CONFIG_DIR = process.env.NODE_CONFIG_DIR || path.join(BACKEND_DIR, 'config');
+
+// Levels understood by utils/logger.js
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+
+// Sizes as body-parser reads them, e.g. 512kb or 5mb
+const SIZE_PATTERN = /^\d+(\.\d+)?\s*(b|kb|mb|gb)?$/i;
+
+// Browser origins allowed by CORS, or * for any
+const ORIGIN_PATTERN = /^(\*|https?:\/\/[^/\s]+)$/;
+
+// Environment variables arrive as strings, so every section coerces like a query
+// string; comma-separated values become lists
+const section = (fields, options = {}) => defineSchema(fields, { coerce: true, label: 'setting', ...options });
+
+const topLevel = defineSchema({
+  port: { type: 'integer', min: 1, max: 65535, required: true },
+  // Proxies (e.g. load balancers) in front of the server whose X-Forwarded-For is
+  // believed, so clients are told apart by their own address; 0 trusts none
+  trustProxy: { type: 'integer', min: 0, max: 10, required: true }
+}, { coerce: true, unknown: 'strip' });
+
+const sections = {
+  storage: section({
+    driver: { type: 'enum', values: ['json', 'sqlite'], required: true },
+    dataPath: { type: 'string', required: true },
+    sqlitePath: { type: 'string', required: true }
+  }),
+  cors: section({
+    allowedOrigins: { type: 'list', minItems: 0, default: [] }
+  }),
+  pagination: section({
+    defaultPageSize: { type: 'integer', min: 1, required: true },
+    maxPageSize: { type: 'integer', min: 1, max: 1000, required: true }
+  }, {
+    refine: value => (value.defaultPageSize > value.maxPageSize ? 'defaultPageSize must not be larger than maxPageSize' : null)
+  }),
+  cache: section({
+    statsTtlSeconds: { type: 'integer', min: 0, required: true },
+    statsMaxEntries: { type: 'integer', min: 1, required: true }
+  }),
+  auth: section({
+    secret: { type: 'string', minLength: 16, nullable: true, default: null, message: 'secret must be at least 16 characters' },
+    tokenTtlSeconds: { type: 'integer', min: 60, required: true }
+  }),
+  trash: section({
+    retentionDays: { type: 'integer', min: 0, required: true }
+  }),
+  rateLimit: section({
+    windowSeconds: { type: 'integer', min: 1, required: true },
+    reads: { type: 'integer', min: 1, required: true },
+    writes: { type: 'integer', min: 1, required: true }
+  }),
+  bodyLimits: section({
+    json: { type: 'string', pattern: SIZE_PATTERN, required: true, message: 'json must be a size such as 100kb' },
+    import: { type: 'string', pattern: SIZE_PATTERN, required: true, message: 'import must be a size such as 5mb' }
+  }),
+  log: section({
+    level: { type: 'enum', values: LOG_LEVELS, required: true },
+    redact: { type: 'list', minItems: 0, default: [] }
+  }),
+  // How long /readyz fails on shutdown before new connections are refused, so
+  // load balancers stop routing here first
+  shutdown: section({
+    readinessDelaySeconds: { type: 'number', min: 0, max: 300, required: true }
+  })
+};
+
+// List rules don't check their items, so origins are checked here
+function checkOrigins(origins) {
+  const invalid = origins.filter(origin => !ORIGIN_PATTERN.test(origin));
+  return invalid.length > 0 ? `allowedOrigins must be origins such as http://localhost:3000 (got ${invalid.join(', ')})` : null;
+}
+
+// "driver must be ..." becomes "storage.driver must be ..."
+function qualify(name, error) {
+  return error.field && error.message.startsWith(error.field)
+    ? `${name}.${error.message}`
+    : `${name}: ${error.message}`;
+}
+
+function deepFreeze(value) {
+  Object.values(value).forEach(entry => {
+    if (entry && typeof entry === 'object') deepFreeze(entry);
+  });
+  return Object.freeze(value);
+}
+
+// Validate raw settings and return a frozen, normalized copy. Relative paths are
+// resolved against the backend directory. Throws one error listing every problem,
+// so a bad deployment fails at startup rather than on the first request.
+function loadConfig(raw, { env = process.env.NODE_ENV || 'development', baseDir = BACKEND_DIR } = {}) {
+  const errors = [];
+  const config = {};
+
+  const top = topLevel.validate(raw);
+  top.errors.forEach(error => errors.push(error.message));
+  Object.assign(config, top.value);
+
+  for (const [name, sectionSchema] of Object.entries(sections)) {
+    const { value, errors: sectionErrors } = sectionSchema.validate(raw[name] || {});
+    sectionErrors.forEach(error => errors.push(qualify(name, error)));
+    config[name] = value;
+  }
+
+  for (const key of Object.keys(raw)) {
+    if (!Object.prototype.hasOwnProperty.call(topLevel.fields, key) && !Object.prototype.hasOwnProperty.call(sections, key)) {
+      errors.push(`Unknown setting "${key}"`);
+    }
+  }
+
+  if (config.cors.allowedOrigins) {
+    const originError = checkOrigins(config.cors.allowedOrigins);
+    if (originError) errors.push(`cors.${originError}`);
+  }
+  // Without a fixed secret every restart signs everyone out
+  if (env === 'production' && !config.auth.secret) {
+    errors.push('auth.secret (AUTH_SECRET) must be set in production');
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid configuration:\n${errors.map(message => `  - ${message}`).join('\n')}`);
+  }
+
+  config.env = env;
+  config.storage.dataPath = path.resolve(baseDir, config.storage.dataPath);
+  config.storage.sqlitePath = path.resolve(baseDir, config.storage.sqlitePath);
+  return deepFreeze(config);
+}
+
+const config = loadConfig(require('config').util.toObject());
+
+module.exports = { loadConfig, config };
@@ -0,0 +1,94 @@
+const path = require('path');
+const { loadConfig, config } = require('./config');
+
+// Settings as default.json spells them
+const defaults = () => ({
+  port: 5000,
+  trustProxy: 0,
+  storage: { driver: 'json', dataPath: '../data/items.json', sqlitePath: '../data/items.db' },
+  cors: { allowedOrigins: ['http://localhost:3000'] },
+  pagination: { defaultPageSize: 10, maxPageSize: 100 },
+  cache: { statsTtlSeconds: 0, statsMaxEntries: 100 },
+  auth: { secret: null, tokenTtlSeconds: 28800 },
+  trash: { retentionDays: 30 },
+  rateLimit: { windowSeconds: 60, reads: 300, writes: 60 },
+  bodyLimits: { json: '100kb', import: '5mb' },
+  log: { level: 'info', redact: [] },
+  shutdown: { readinessDelaySeconds: 5 }
+});
+
+describe('config', () => {
+  it('should load the test settings from backend/config', () => {
+    expect(config.env).toBe('test');
+    expect(config.log.level).toBe('silent');
+    expect(config.storage.dataPath).toBe(path.join(__dirname, '../../data/items.json'));
+    expect(Object.isFrozen(config.storage)).toBe(true);
+  });
+
+  it('should resolve relative paths against the base directory', () => {
+    const loaded = loadConfig(defaults(), { env: 'development', baseDir: '/srv/app/backend' });
+
+    expect(loaded.storage.dataPath).toBe('/srv/app/data/items.json');
+    expect(loaded.storage.sqlitePath).toBe('/srv/app/data/items.db');
+  });
+
+  it('should coerce values set through environment variables', () => {
+    const raw = defaults();
+    raw.port = '8080';
+    raw.trustProxy = '1';
+    raw.cors.allowedOrigins = 'https://shop.example.com, http://localhost:3000';
+    raw.pagination.maxPageSize = '250';
+    raw.log.redact = 'sku,email';
+    raw.shutdown.readinessDelaySeconds = '2.5';
+
+    const loaded = loadConfig(raw, { env: 'development' });
+
+    expect(loaded.port).toBe(8080);
+    expect(loaded.trustProxy).toBe(1);
+    expect(loaded.cors.allowedOrigins).toEqual(['https://shop.example.com', 'http://localhost:3000']);
+    expect(loaded.pagination.maxPageSize).toBe(250);
+    expect(loaded.log.redact).toEqual(['sku', 'email']);
+    expect(loaded.shutdown.readinessDelaySeconds).toBe(2.5);
+  });
+
+  it('should list every problem at once', () => {
+    const raw = defaults();
+    raw.port = 'eighty';
+    raw.storage.driver = 'mongo';
+    raw.cors.allowedOrigins = ['localhost:3000'];
+    raw.pagination.defaultPageSize = 500;
+    raw.bodyLimits.json = 'lots';
+    raw.log.level = 'loud';
+    raw.log.colour = true;
+    raw.shutdown.readinessDelaySeconds = -1;
+    raw.extra = {};
+
+    expect(() => loadConfig(raw, { env: 'development' })).toThrow([
+      'Invalid configuration:',
+      '  - port must be an integer between 1 and 65535',
+      '  - storage.driver must be one of: json, sqlite',
+      '  - pagination: defaultPageSize must not be larger than maxPageSize',
+      '  - bodyLimits.json must be a size such as 100kb',
+      '  - log: Unknown setting "colour"',
+      '  - log.level must be one of: debug, info, warn, error, silent',
+      '  - shutdown.readinessDelaySeconds must be a number between 0 and 300',
+      '  - Unknown setting "extra"',
+      '  - cors.allowedOrigins must be origins such as http://localhost:3000 (got localhost:3000)'
+    ].join('\n'));
+  });
+
+  it('should require a session secret in production', () => {
+    expect(() => loadConfig(defaults(), { env: 'production' })).toThrow('auth.secret (AUTH_SECRET) must be set in production');
+
+    const raw = defaults();
+    raw.auth.secret = 'a-long-production-secret';
+    expect(loadConfig(raw, { env: 'production' }).auth.secret).toBe('a-long-production-secret');
+  });
+
+  it('should reject short secrets', () => {
+    const raw = defaults();
+    raw.auth.secret = 'short';
+
+    expect(() => loadConfig(raw, { env: 'development' })).toThrow('auth.secret must be at least 16 characters');
+  });
+});
@@ -0,0 +1,72 @@
+const { logger: defaultLogger } = require('../utils/logger');
+
+// In-memory feed of catalog changes for the SSE endpoint.
+// Every event gets an id one greater than the last. Ids are seeded from the clock
+// so they keep increasing across restarts, and a client reconnecting with an id
+// from an earlier run (or older than the retained history) is told to resync.
+// `close()` ends the feed on shutdown: subscribers hear about it through their
+// `onClose` callback, and anyone subscribing later is closed straight away.
+// A failing listener is reported to `logger` and doesn't stop the others.
+function createChangeFeed({ historySize = 1000, now = Date.now, logger = defaultLogger } = {}) {
+  const history = [];
+  const listeners = new Map();
+  const firstId = now();
+  let lastId = firstId - 1;
+  let closed = false;
+
+  function publish(type, data) {
+    lastId += 1;
+    const event = { id: lastId, type, data };
+    history.push(event);
+    if (history.length > historySize) {
+      history.shift();
+    }
+    for (const listener of listeners.keys()) {
+      try {
+        listener(event);
+      } catch (error) {
+        logger.error('change feed listener failed', { eventId: event.id, error });
+      }
+    }
+    return event;
+  }
+
+  function subscribe(listener, onClose = () => {}) {
+    if (closed) {
+      onClose();
+      return () => {};
+    }
+    listeners.set(listener, onClose);
+    return () => listeners.delete(listener);
+  }
+
+  function close() {
+    closed = true;
+    const closing = [...listeners.values()];
+    listeners.clear();
+    closing.forEach(onClose => onClose());
+  }
+
+  // Events published after `id`, or null when they can't all be replayed
+  function since(id) {
+    if (id >= lastId) {
+      return [];
+    }
+    const oldest = history.length > 0 ? history[0].id : lastId + 1;
+    if (id < firstId - 1 || id < oldest - 1) {
+      return null;
+    }
+    return history.filter(event => event.id > id);
+  }
+
+  function subscriberCount() {
+    return listeners.size;
+  }
+
+  return { publish, subscribe, since, subscriberCount, close };
+}
+
+// Feed shared by the items routes
+const itemEvents = createChangeFeed();
+
+module.exports = { createChangeFeed, itemEvents };
@@ -0,0 +1,92 @@
+const { createChangeFeed } = require('./changeFeed');
+
+describe('createChangeFeed', () => {
+  const now = () => 1000;
+
+  it('should assign increasing ids seeded from the clock', () => {
+    const feed = createChangeFeed({ now });
+
+    expect(feed.publish('created', { id: 1 })).toEqual({ id: 1000, type: 'created', data: { id: 1 } });
+    expect(feed.publish('deleted', { id: 1 }).id).toBe(1001);
+  });
+
+  it('should deliver events to subscribers until they unsubscribe', () => {
+    const feed = createChangeFeed({ now });
+    const listener = jest.fn();
+    const unsubscribe = feed.subscribe(listener);
+
+    feed.publish('created', { id: 1 });
+    unsubscribe();
+    feed.publish('created', { id: 2 });
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(feed.subscriberCount()).toBe(0);
+  });
+
+  it('should keep delivering when a listener throws', () => {
+    const logger = { error: jest.fn() };
+    const feed = createChangeFeed({ now, logger });
+    const listener = jest.fn();
+    feed.subscribe(() => { throw new Error('boom'); });
+    feed.subscribe(listener);
+
+    feed.publish('created', { id: 1 });
+
+    expect(listener).toHaveBeenCalled();
+    expect(logger.error).toHaveBeenCalledWith('change feed listener failed', expect.objectContaining({
+      error: expect.objectContaining({ message: 'boom' })
+    }));
+  });
+
+  it('should replay the events after a given id', () => {
+    const feed = createChangeFeed({ now });
+    feed.publish('created', { id: 1 });
+    feed.publish('updated', { id: 1 });
+    feed.publish('deleted', { id: 1 });
+
+    expect(feed.since(1000).map(event => event.type)).toEqual(['updated', 'deleted']);
+    expect(feed.since(999)).toHaveLength(3);
+    expect(feed.since(1002)).toEqual([]);
+  });
+
+  it('should ask for a resync when events are gone', () => {
+    const feed = createChangeFeed({ now, historySize: 2 });
+    feed.publish('created', { id: 1 });
+    feed.publish('created', { id: 2 });
+    feed.publish('created', { id: 3 });
+
+    // 1000 was dropped from history, so replaying after 999 would skip it
+    expect(feed.since(999)).toBeNull();
+    expect(feed.since(1000)).toHaveLength(2);
+    // An id from before this process started
+    expect(feed.since(5)).toBeNull();
+  });
+
+  it('should have nothing to replay before the first event', () => {
+    const feed = createChangeFeed({ now });
+
+    expect(feed.since(999)).toEqual([]);
+    // The previous process may have published events this one never saw
+    expect(feed.since(5)).toBeNull();
+  });
+
+  it('should close subscribers when the feed closes', () => {
+    const feed = createChangeFeed({ now });
+    const listener = jest.fn();
+    const onClose = jest.fn();
+    feed.subscribe(listener, onClose);
+
+    feed.close();
+    feed.publish('created', { id: 1 });
+
+    expect(onClose).toHaveBeenCalledTimes(1);
+    expect(listener).not.toHaveBeenCalled();
+    expect(feed.subscriberCount()).toBe(0);
+
+    // Late subscribers are closed straight away
+    const lateClose = jest.fn();
+    feed.subscribe(jest.fn(), lateClose);
+    expect(lateClose).toHaveBeenCalledTimes(1);
+    expect(feed.subscriberCount()).toBe(0);
+  });
+});
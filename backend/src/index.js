@@ -1,27 +0,0 @@
-const express = require('express');
-const path = require('path');
-const morgan = require('morgan');
-const itemsRouter = require('./routes/items');
-const statsRouter = require('./routes/stats');
-const cors = require('cors');
-const { getCookie, notFound } = require('./middleware/errorHandler');
-require("dotenv").config();
-
-const app = express();
-const port = process.env.PORT || 5000;
-
-app.use(cors({ origin: 'http://localhost:3000' }));
-// Basic middleware
-app.use(express.json());
-app.use(morgan('dev'));
-
-// Routes
-app.use('/api/items', itemsRouter);
-app.use('/api/stats', statsRouter);
-
-// Not Found
-app.use('*', notFound);
-
-getCookie();
-
-app.listen(port, () => console.log('Backend running on http://localhost:' + port));
\ No newline at end of file
@@ -0,0 +1,47 @@
+const { createRegistry } = require('./registry');
+const { statsCache: defaultStatsCache } = require('../cache/statsCache');
+const { itemRepository: defaultItemRepository } = require('../repositories');
+
+// Metrics served at /metrics. Request counts and latencies are recorded by
+// middleware/requestMetrics.js; the rest is read from `statsCache` and
+// `itemRepository` when scraped.
+function createMetrics({ statsCache, itemRepository }) {
+  const metrics = createRegistry();
+
+  metrics.counter({
+    name: 'stats_cache_hits_total',
+    help: 'Stats requests answered from the cache',
+    collect: () => statsCache.stats().hits
+  });
+
+  metrics.counter({
+    name: 'stats_cache_misses_total',
+    help: 'Stats requests that had to be calculated',
+    collect: () => statsCache.stats().misses
+  });
+
+  metrics.gauge({
+    name: 'stats_cache_hit_ratio',
+    help: 'Share of stats lookups answered from the cache since startup',
+    collect: () => statsCache.stats().hitRatio
+  });
+
+  metrics.gauge({
+    name: 'stats_cache_entries',
+    help: 'Results currently held in the stats cache',
+    collect: () => statsCache.stats().size
+  });
+
+  metrics.gauge({
+    name: 'data_file_size_bytes',
+    help: 'Size of the item data file',
+    labelNames: ['driver'],
+    collect: async () => [{ labels: { driver: itemRepository.driver }, value: await itemRepository.getStorageSize() }]
+  });
+
+  return metrics;
+}
+
+const metrics = createMetrics({ statsCache: defaultStatsCache, itemRepository: defaultItemRepository });
+
+module.exports = { createMetrics, metrics };
@@ -0,0 +1,152 @@
+const METRIC_NAME = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+
+// Latency buckets in seconds, from a cache hit to a slow full-file scan
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+// Label values in `labelNames` order; unknown labels are ignored, missing ones are ''
+function pickLabels(labelNames, labels) {
+  const picked = {};
+  for (const name of labelNames) {
+    picked[name] = labels[name] === undefined || labels[name] === null ? '' : String(labels[name]);
+  }
+  return picked;
+}
+
+// In-process metrics rendered in the Prometheus text exposition format.
+// Counters and histograms are updated as things happen; gauges are read when
+// rendered.
+function createRegistry() {
+  const metrics = new Map();
+
+  function register(metric) {
+    if (!METRIC_NAME.test(metric.name)) {
+      throw new Error(`Invalid metric name "${metric.name}"`);
+    }
+    if (metrics.has(metric.name)) {
+      throw new Error(`Metric "${metric.name}" is already registered`);
+    }
+    metrics.set(metric.name, metric);
+  }
+
+  // Series of one metric, keyed by their label values
+  function createSeries(labelNames, initial) {
+    const series = new Map();
+    return {
+      get(labels) {
+        const picked = pickLabels(labelNames, labels);
+        const key = JSON.stringify(Object.values(picked));
+        if (!series.has(key)) {
+          series.set(key, { labels: picked, ...initial() });
+        }
+        return series.get(key);
+      },
+      all: () => [...series.values()]
+    };
+  }
+
+  // Values kept elsewhere, read from `collect` on every render. It returns a number,
+  // or a list of { labels, value } for labelled metrics.
+  function collected(type, { name, help, labelNames = [], collect }) {
+    register({
+      name,
+      help,
+      type,
+      samples: async () => {
+        const result = await collect();
+        const values = Array.isArray(result) ? result : [{ labels: {}, value: result }];
+        return values.map(({ labels, value }) => ({ name, labels: pickLabels(labelNames, labels || {}), value }));
+      }
+    });
+    return { name };
+  }
+
+  // Pass `collect` for a counter kept elsewhere (e.g. cache hits); otherwise call `inc`
+  function counter({ name, help, labelNames = [], collect }) {
+    if (collect) {
+      return collected('counter', { name, help, labelNames, collect });
+    }
+    const series = createSeries(labelNames, () => ({ value: 0 }));
+    register({
+      name,
+      help,
+      type: 'counter',
+      samples: async () => series.all().map(({ labels, value }) => ({ name, labels, value }))
+    });
+    return {
+      name,
+      inc(labels = {}, amount = 1) {
+        series.get(labels).value += amount;
+      }
+    };
+  }
+
+  function histogram({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) {
+    const bounds = [...buckets].sort((a, b) => a - b);
+    const series = createSeries(labelNames, () => ({ counts: bounds.map(() => 0), sum: 0, count: 0 }));
+    register({
+      name,
+      help,
+      type: 'histogram',
+      samples: async () => series.all().flatMap(({ labels, counts, sum, count }) => [
+        ...bounds.map((bound, i) => ({ name: `${name}_bucket`, labels: { ...labels, le: formatValue(bound) }, value: counts[i] })),
+        { name: `${name}_bucket`, labels: { ...labels, le: '+Inf' }, value: count },
+        { name: `${name}_sum`, labels, value: sum },
+        { name: `${name}_count`, labels, value: count }
+      ])
+    });
+    return {
+      name,
+      observe(labels, value) {
+        const entry = series.get(labels);
+        // Buckets are cumulative: a value counts towards every bound it fits under
+        bounds.forEach((bound, i) => {
+          if (value <= bound) entry.counts[i] += 1;
+        });
+        entry.sum += value;
+        entry.count += 1;
+      }
+    };
+  }
+
+  function gauge(options) {
+    return collected('gauge', options);
+  }
+
+  // A gauge whose value can't be read is rendered without samples, so one broken
+  // source doesn't take down the whole endpoint; its error is reported in `failed`
+  async function render() {
+    const lines = [];
+    const failed = [];
+    for (const metric of metrics.values()) {
+      lines.push(`# HELP ${metric.name} ${metric.help}`);
+      lines.push(`# TYPE ${metric.name} ${metric.type}`);
+      try {
+        for (const sample of await metric.samples()) {
+          lines.push(`${sample.name}${formatLabels(sample.labels)} ${formatValue(sample.value)}`);
+        }
+      } catch (error) {
+        failed.push({ name: metric.name, error });
+      }
+    }
+    return { text: `${lines.join('\n')}\n`, failed };
+  }
+
+  return { counter, histogram, gauge, render };
+}
+
+module.exports = { createRegistry, DEFAULT_BUCKETS };
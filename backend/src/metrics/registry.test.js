@@ -0,0 +1,81 @@
+const { createRegistry } = require('./registry');
+
+describe('metrics registry', () => {
+  it('should render counters per label set', async () => {
+    const registry = createRegistry();
+    const requests = registry.counter({ name: 'http_requests_total', help: 'Requests', labelNames: ['route', 'status'] });
+    requests.inc({ route: '/api/items', status: 200 });
+    requests.inc({ route: '/api/items', status: 200 });
+    requests.inc({ route: '/api/items/:id', status: 404, ignored: 'x' });
+
+    const { text } = await registry.render();
+
+    expect(text).toBe([
+      '# HELP http_requests_total Requests',
+      '# TYPE http_requests_total counter',
+      'http_requests_total{route="/api/items",status="200"} 2',
+      'http_requests_total{route="/api/items/:id",status="404"} 1',
+      ''
+    ].join('\n'));
+  });
+
+  it('should render cumulative histogram buckets with sum and count', async () => {
+    const registry = createRegistry();
+    const latency = registry.histogram({ name: 'latency_seconds', help: 'Latency', labelNames: ['route'], buckets: [0.5, 0.1] });
+    latency.observe({ route: '/a' }, 0.05);
+    latency.observe({ route: '/a' }, 0.3);
+    latency.observe({ route: '/a' }, 2);
+
+    const { text } = await registry.render();
+
+    expect(text).toContain('# TYPE latency_seconds histogram');
+    expect(text).toContain('latency_seconds_bucket{route="/a",le="0.1"} 1');
+    expect(text).toContain('latency_seconds_bucket{route="/a",le="0.5"} 2');
+    expect(text).toContain('latency_seconds_bucket{route="/a",le="+Inf"} 3');
+    expect(text).toContain('latency_seconds_sum{route="/a"} 2.35');
+    expect(text).toContain('latency_seconds_count{route="/a"} 3');
+  });
+
+  it('should read gauges and collected counters when rendering', async () => {
+    const registry = createRegistry();
+    let size = 10;
+    registry.gauge({ name: 'file_size_bytes', help: 'Size', labelNames: ['driver'], collect: async () => [{ labels: { driver: 'json' }, value: size }] });
+    registry.counter({ name: 'hits_total', help: 'Hits', collect: () => 4 });
+
+    size = 42;
+    const { text } = await registry.render();
+
+    expect(text).toContain('file_size_bytes{driver="json"} 42');
+    expect(text).toContain('# TYPE hits_total counter\nhits_total 4');
+  });
+
+  it('should escape label values', async () => {
+    const registry = createRegistry();
+    registry.counter({ name: 'odd_total', help: 'Odd', labelNames: ['value'] }).inc({ value: 'a "quoted"\\path\nnext' });
+
+    const { text } = await registry.render();
+
+    expect(text).toContain('odd_total{value="a \\"quoted\\"\\\\path\\nnext"} 1');
+  });
+
+  it('should keep rendering when a gauge cannot be read', async () => {
+    const registry = createRegistry();
+    const failure = new Error('Failed to get file stats: ENOENT');
+    registry.gauge({ name: 'broken', help: 'Broken', collect: async () => { throw failure; } });
+    registry.gauge({ name: 'working', help: 'Working', collect: () => 1 });
+
+    const { text, failed } = await registry.render();
+
+    expect(text).toContain('# TYPE broken gauge\n# HELP working Working');
+    expect(text).toContain('working 1');
+    expect(failed).toEqual([{ name: 'broken', error: failure }]);
+  });
+
+  it('should reject invalid and duplicate names', () => {
+    const registry = createRegistry();
+    registry.gauge({ name: 'up', help: 'Up', collect: () => 1 });
+
+    expect(() => registry.counter({ name: 'bad-name', help: 'x' })).toThrow('Invalid metric name "bad-name"');
+    expect(() => registry.gauge({ name: 'up', help: 'Up', collect: () => 1 })).toThrow('Metric "up" is already registered');
+  });
+});
@@ -0,0 +1,83 @@
+const { hasRole } = require('../models/user');
+const { userRepository } = require('../repositories');
+const { sessionTokens } = require('../auth/tokens');
+
+function unauthorized(message) {
+  const err = new Error(message);
+  err.status = 401;
+  return err;
+}
+
+// Bearer token from the Authorization header. EventSource can't send headers, so
+// GET requests may pass it as `access_token` instead; the param is removed so
+// route validation never sees it.
+function readBearerToken(req) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+  if (match) {
+    return match[1];
+  }
+  if (req.method === 'GET' && typeof req.query.access_token === 'string') {
+    const token = req.query.access_token;
+    delete req.query.access_token;
+    return token;
+  }
+  return null;
+}
+
+// Identify the caller from a session token (`Authorization: Bearer ...`) or an API
+// key (`X-API-Key`) and set `req.user` to `{ username, role, apiKeyId }`.
+// The account is looked up on every request, so role changes apply immediately.
+function createAuthenticate({ users, tokens }) {
+  return async function authenticate(req, res, next) {
+    try {
+      const apiKey = req.get('X-API-Key');
+      const token = apiKey ? null : readBearerToken(req);
+      let user = null;
+      let apiKeyId = null;
+
+      if (apiKey) {
+        const found = await users.findByApiKey(apiKey);
+        if (!found) {
+          throw unauthorized('Invalid API key');
+        }
+        ({ user, apiKeyId } = found);
+      } else if (token) {
+        const claims = tokens.verify(token);
+        user = claims && await users.find(claims.sub);
+        if (!user) {
+          throw unauthorized('Invalid or expired token');
+        }
+      } else {
+        throw unauthorized('Authentication required');
+      }
+
+      req.user = { username: user.username, role: user.role, apiKeyId };
+      next();
+    } catch (err) {
+      if (err.status === 401) {
+        res.set('WWW-Authenticate', 'Bearer');
+      }
+      next(err);
+    }
+  };
+}
+
+const authenticate = createAuthenticate({ users: userRepository, tokens: sessionTokens });
+
+// Only let through users with at least `role` (see models/user.js). Fails closed
+// when no authentication ran before it.
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return next(unauthorized('Authentication required'));
+    }
+    if (!hasRole(req.user, role)) {
+      const err = new Error(`This action requires the ${role} role`);
+      err.status = 403;
+      return next(err);
+    }
+    next();
+  };
+}
+
+module.exports = { createAuthenticate, authenticate, requireRole };
@@ -0,0 +1,74 @@
+const request = require('supertest');
+const express = require('express');
+const { createAuthenticate, requireRole } = require('./auth');
+const { createTokenSigner } = require('../auth/tokens');
+const { errorHandler } = require('./errorHandler');
+
+describe('auth middleware', () => {
+  const tokens = createTokenSigner({ secret: 'test-secret', ttlSeconds: 60 });
+  const accounts = {
+    ana: { username: 'ana', role: 'viewer' },
+    bo: { username: 'bo', role: 'admin' }
+  };
+  const users = {
+    find: async username => accounts[username] || null,
+    findByApiKey: async key => (key === 'ik_good' ? { user: accounts.bo, apiKeyId: 'k1' } : null)
+  };
+
+  const app = express();
+  app.use(createAuthenticate({ users, tokens }));
+  app.get('/read', (req, res) => res.json({ user: req.user, query: req.query }));
+  app.post('/write', requireRole('editor'), (req, res) => res.json({ ok: true }));
+  app.use(errorHandler);
+
+  const bearer = username => `Bearer ${tokens.sign({ sub: username }).token}`;
+
+  it('should identify users by session token', async () => {
+    const response = await request(app).get('/read').set('Authorization', bearer('ana')).expect(200);
+
+    expect(response.body.user).toEqual({ username: 'ana', role: 'viewer', apiKeyId: null });
+  });
+
+  it('should identify users by API key', async () => {
+    const response = await request(app).get('/read').set('X-API-Key', 'ik_good').expect(200);
+
+    expect(response.body.user).toEqual({ username: 'bo', role: 'admin', apiKeyId: 'k1' });
+  });
+
+  it('should accept the token as a query param on GET and hide it from the route', async () => {
+    const token = tokens.sign({ sub: 'ana' }).token;
+    const response = await request(app).get(`/read?access_token=${token}&page=2`).expect(200);
+
+    expect(response.body).toEqual({ user: expect.objectContaining({ username: 'ana' }), query: { page: '2' } });
+    await request(app).post(`/write?access_token=${token}`).expect(401);
+  });
+
+  it('should reject missing and invalid credentials with 401', async () => {
+    const missing = await request(app).get('/read').expect(401);
+    const badToken = await request(app).get('/read').set('Authorization', 'Bearer nope').expect(401);
+    const badKey = await request(app).get('/read').set('X-API-Key', 'ik_bad').expect(401);
+    // A valid token for an account that no longer exists
+    const gone = await request(app).get('/read').set('Authorization', bearer('carl')).expect(401);
+
+    expect(missing.headers['www-authenticate']).toBe('Bearer');
+    expect(missing.body.error).toMatchObject({ code: 'UNAUTHORIZED', message: 'Authentication required' });
+    expect(badToken.body.error.message).toBe('Invalid or expired token');
+    expect(badKey.body.error.message).toBe('Invalid API key');
+    expect(gone.body.error.message).toBe('Invalid or expired token');
+  });
+
+  it('should enforce the role hierarchy', async () => {
+    const denied = await request(app).post('/write').set('Authorization', bearer('ana')).expect(403);
+    await request(app).post('/write').set('Authorization', bearer('bo')).expect(200);
+
+    expect(denied.body.error).toMatchObject({ code: 'FORBIDDEN', message: 'This action requires the editor role' });
+  });
+
+  it('should fail closed when nothing authenticated the request', async () => {
+    const bare = express();
+    bare.post('/write', requireRole('viewer'), (req, res) => res.json({ ok: true }));
+    bare.use(errorHandler);
+
+    await request(bare).post('/write').expect(401);
+  });
+});
@@ -0,0 +1,20 @@
+const express = require('express');
+const { config } = require('../config');
+
+// Request bodies larger than these are refused with 413. Imports carry whole
+// catalogues, so they get a separate, larger limit.
+const BODY_LIMIT = config.bodyLimits.json;
+const IMPORT_BODY_LIMIT = config.bodyLimits.import;
+
+// Parsers for `bodyLimits` settings ({ json, import })
+function createBodyParsers({ json = BODY_LIMIT, import: importLimit = IMPORT_BODY_LIMIT } = {}) {
+  return {
+    jsonBody: express.json({ limit: json }),
+    importJsonBody: express.json({ limit: importLimit }),
+    importCsvBody: express.text({ type: 'text/csv', limit: importLimit })
+  };
+}
+
+const { jsonBody, importJsonBody, importCsvBody } = createBodyParsers();
+
+module.exports = { BODY_LIMIT, IMPORT_BODY_LIMIT, createBodyParsers, jsonBody, importJsonBody, importCsvBody };
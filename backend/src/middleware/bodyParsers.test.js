@@ -0,0 +1,40 @@
+const request = require('supertest');
+const express = require('express');
+const { jsonBody, importJsonBody, BODY_LIMIT, IMPORT_BODY_LIMIT } = require('./bodyParsers');
+const { errorHandler } = require('./errorHandler');
+
+describe('body parsers', () => {
+  const app = express();
+  app.use('/import', importJsonBody);
+  app.use(jsonBody);
+  app.post('*', (req, res) => res.json({ rows: req.body.length }));
+  app.use(errorHandler);
+
+  // A JSON array of roughly `kb` kilobytes
+  const payload = kb => JSON.stringify(Array.from({ length: kb }, () => 'x'.repeat(1020)));
+
+  it('should default to small bodies and larger imports', () => {
+    expect(BODY_LIMIT).toBe('100kb');
+    expect(IMPORT_BODY_LIMIT).toBe('5mb');
+  });
+
+  it('should refuse bodies over the limit with 413', async () => {
+    const response = await request(app)
+      .post('/items')
+      .set('Content-Type', 'application/json')
+      .send(payload(120))
+      .expect(413);
+
+    expect(response.body.error.code).toBe('PAYLOAD_TOO_LARGE');
+  });
+
+  it('should let imports through the general parser', async () => {
+    const response = await request(app)
+      .post('/import')
+      .set('Content-Type', 'application/json')
+      .send(payload(120))
+      .expect(200);
+
+    expect(response.body.rows).toBe(120);
+  });
+});
@@ -0,0 +1,29 @@
+const crypto = require('crypto');
+
+// Conditional GET for responses that only depend on the data version and the URL.
+// Sets a strong ETag and Last-Modified before the handler runs and answers 304
+// straight away when the client's If-None-Match / If-Modified-Since still match,
+// so unchanged data is never re-read or re-sent.
+function conditionalGet(dataVersion) {
+  return async (req, res, next) => {
+    try {
+      const { version, lastModified } = await dataVersion.current();
+      const tag = crypto.createHash('sha1').update(`${version}:${req.originalUrl}`).digest('base64url');
+
+      res.set('ETag', `"${tag}"`);
+      res.set('Last-Modified', new Date(lastModified).toUTCString());
+      // Clients must revalidate, but may keep the copy
+      res.set('Cache-Control', 'no-cache');
+
+      // req.fresh compares the request's validators with the headers set above
+      if (req.fresh) {
+        return res.status(304).end();
+      }
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+}
+
+module.exports = conditionalGet;
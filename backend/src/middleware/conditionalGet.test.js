@@ -0,0 +1,80 @@
+const request = require('supertest');
+const express = require('express');
+const conditionalGet = require('./conditionalGet');
+const { errorHandler } = require('./errorHandler');
+
+// App with one versioned route; `state` controls the data version
+function createApp(state) {
+  const app = express();
+  const dataVersion = {
+    current: async () => {
+      if (state.error) throw state.error;
+      return { version: state.version, lastModified: state.lastModified };
+    }
+  };
+  app.get('/data', conditionalGet(dataVersion), (req, res) => {
+    state.handled += 1;
+    res.json({ version: state.version });
+  });
+  app.use(errorHandler);
+  return app;
+}
+
+describe('conditionalGet middleware', () => {
+  let state;
+  let app;
+
+  beforeEach(() => {
+    state = { version: 'a.1', lastModified: Date.parse('2024-05-01T10:00:00Z'), handled: 0 };
+    app = createApp(state);
+  });
+
+  it('should send a strong ETag and Last-Modified', async () => {
+    const response = await request(app).get('/data').expect(200);
+
+    expect(response.headers.etag).toMatch(/^"[\w-]+"$/);
+    expect(response.headers['last-modified']).toBe('Wed, 01 May 2024 10:00:00 GMT');
+    expect(response.headers['cache-control']).toBe('no-cache');
+  });
+
+  it('should answer 304 without running the handler when the ETag matches', async () => {
+    const { headers } = await request(app).get('/data').expect(200);
+
+    const response = await request(app).get('/data').set('If-None-Match', headers.etag).expect(304);
+
+    expect(response.text).toBe('');
+    expect(state.handled).toBe(1);
+  });
+
+  it('should answer 304 for an unchanged If-Modified-Since', async () => {
+    await request(app).get('/data').set('If-Modified-Since', 'Wed, 01 May 2024 10:00:00 GMT').expect(304);
+    await request(app).get('/data').set('If-Modified-Since', 'Wed, 01 May 2024 09:59:59 GMT').expect(200);
+  });
+
+  it('should send fresh data once the version changes', async () => {
+    const { headers } = await request(app).get('/data').expect(200);
+    state.version = 'a.2';
+    state.lastModified += 5000;
+
+    const response = await request(app).get('/data').set('If-None-Match', headers.etag).expect(200);
+
+    expect(response.headers.etag).not.toBe(headers.etag);
+    expect(response.body).toEqual({ version: 'a.2' });
+  });
+
+  it('should tag each URL separately', async () => {
+    const first = await request(app).get('/data?page=1').expect(200);
+    const second = await request(app).get('/data?page=2').expect(200);
+
+    expect(first.headers.etag).not.toBe(second.headers.etag);
+  });
+
+  it('should pass version errors to the error handler', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    state.error = new Error('stat failed');
+
+    await request(app).get('/data').expect(500);
+    expect(state.handled).toBe(0);
+    console.error.mockRestore();
+  });
+});
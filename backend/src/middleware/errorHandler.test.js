@@ -0,0 +1,140 @@
+const request = require('supertest');
+const express = require('express');
+const { notFound, createErrorHandler } = require('./errorHandler');
+
+// Build an app whose single route fails with the given error
+function createApp(error, { env = 'development' } = {}) {
+  const app = express();
+  app.use(express.json());
+  app.get('/fail', (req, res, next) => next(error));
+  app.post('/echo', (req, res) => res.json(req.body));
+  app.use('*', notFound);
+  app.use(createErrorHandler({ env }));
+  return app;
+}
+
+function httpError(status, message, extra = {}) {
+  const err = new Error(message);
+  err.status = status;
+  return Object.assign(err, extra);
+}
+
+describe('errorHandler middleware', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  it('should render client errors in the JSON envelope', async () => {
+    const app = createApp(httpError(400, 'Name is required'));
+
+    const response = await request(app).get('/fail').expect(400);
+
+    expect(response.body.error).toMatchObject({
+      code: 'BAD_REQUEST',
+      message: 'Name is required',
+      details: null
+    });
+    expect(console.error).not.toHaveBeenCalled();
+  });
+
+  it('should pass through explicit codes and details on client errors', async () => {
+    const details = [{ field: 'price', message: 'must be a number' }];
+    const app = createApp(httpError(400, 'Invalid payload', { code: 'VALIDATION_ERROR', details }));
+
+    const response = await request(app).get('/fail').expect(400);
+
+    expect(response.body.error.code).toBe('VALIDATION_ERROR');
+    expect(response.body.error.details).toEqual(details);
+  });
+
+  it('should default to a 500 for errors without a status', async () => {
+    const app = createApp(new Error('Failed to read data file: boom'));
+
+    const response = await request(app).get('/fail').expect(500);
+
+    expect(response.body.error.code).toBe('INTERNAL_ERROR');
+    expect(response.body.error.message).toBe('Failed to read data file: boom');
+    expect(console.error).toHaveBeenCalled();
+  });
+
+  it('should not leak internal codes on server errors', async () => {
+    const app = createApp(httpError(500, 'ENOENT: no such file', { code: 'ENOENT' }));
+
+    const response = await request(app).get('/fail').expect(500);
+
+    expect(response.body.error.code).toBe('INTERNAL_ERROR');
+  });
+
+  it('should include the stack trace outside production', async () => {
+    const app = createApp(new Error('boom'));
+
+    const response = await request(app).get('/fail').expect(500);
+
+    expect(response.body.error.stack).toContain('Error: boom');
+  });
+
+  it('should hide stack traces and server error messages in production', async () => {
+    const app = createApp(new Error('Failed to read data file: /srv/data/items.json'), { env: 'production' });
+
+    const response = await request(app).get('/fail').expect(500);
+
+    expect(response.body.error.message).toBe('Internal Server Error');
+    expect(response.body.error).not.toHaveProperty('stack');
+  });
+
+  it('should keep client error messages in production', async () => {
+    const app = createApp(httpError(404, 'Item not found'), { env: 'production' });
+
+    const response = await request(app).get('/fail').expect(404);
+
+    expect(response.body.error.message).toBe('Item not found');
+    expect(response.body.error).not.toHaveProperty('stack');
+  });
+
+  it('should render unknown routes as NOT_FOUND', async () => {
+    const app = createApp(new Error('unused'));
+
+    const response = await request(app).get('/missing').expect(404);
+
+    expect(response.body.error.code).toBe('NOT_FOUND');
+    expect(response.body.error.message).toBe('Route Not Found');
+  });
+
+  it('should render malformed JSON bodies as a 400', async () => {
+    const app = createApp(new Error('unused'));
+
+    const response = await request(app)
+      .post('/echo')
+      .set('Content-Type', 'application/json')
+      .send('{"name": ')
+      .expect(400);
+
+    expect(response.body.error.code).toBe('BAD_REQUEST');
+  });
+
+  it('should include the request id when one was assigned', async () => {
+    const app = express();
+    app.use((req, res, next) => {
+      req.id = 'req-1';
+      next();
+    });
+    app.get('/fail', (req, res, next) => next(httpError(409, 'SKU already in use')));
+    app.use(createErrorHandler());
+
+    const response = await request(app).get('/fail').expect(409);
+
+    expect(response.body.error.requestId).toBe('req-1');
+  });
+
+  it('should leave the request id out when none was assigned', async () => {
+    const app = createApp(httpError(400, 'Name is required'));
+
+    const response = await request(app).get('/fail').expect(400);
+
+    expect(response.body.error).not.toHaveProperty('requestId');
+  });
+});
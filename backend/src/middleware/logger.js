@@ -1,5 +1,55 @@
-// Extra logger middleware stub for candidate to enhance
-module.exports = (req, res, next) => {
-  console.log(req.method, req.originalUrl);
-  next();
-};
\ No newline at end of file
+const { randomUUID } = require('crypto');
+const { performance } = require('perf_hooks');
+const { logger: defaultLogger, serializeError } = require('../utils/logger');
+const { trackRoute } = require('../utils/routeTemplate');
+
+// Request ids accepted from callers or proxies; anything else is replaced
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// Give each request an id and log one JSON line when it ends.
+// The id comes from X-Request-Id when the caller sent a usable one, is echoed back
+// in the response header, and is on `req.id` and every line from `req.log`. The
+// line carries the status, latency, route template and, for failures, the error
+// the error handler left in `res.locals.error`.
+function createRequestLogger({ logger = defaultLogger, generateId = randomUUID, now = () => performance.now() } = {}) {
+  return function requestLogger(req, res, next) {
+    const incoming = req.get('X-Request-Id');
+    const id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : generateId();
+    const startedAt = now();
+    const routeTemplate = trackRoute(req);
+
+    req.id = id;
+    req.log = logger.child({ requestId: id });
+    res.set('X-Request-Id', id);
+
+    let logged = false;
+    const logRequest = () => {
+      if (logged) {
+        return;
+      }
+      logged = true;
+
+      const status = res.statusCode;
+      const error = res.locals.error;
+      const level = status >= 500 ? 'error' : status >= 400 ? 'warn' : 'info';
+      req.log[level](res.writableFinished ? 'request completed' : 'request aborted', {
+        method: req.method,
+        url: logger.redactUrl(req.originalUrl),
+        route: routeTemplate(),
+        status,
+        durationMs: Math.round((now() - startedAt) * 10) / 10,
+        ip: req.ip,
+        ...(req.user && { user: req.user.username }),
+        ...(error && { error: serializeError(error, { stack: status >= 500 }) })
+      });
+    };
+
+    res.on('finish', logRequest);
+    res.on('close', logRequest);
+    next();
+  };
+}
+
+const requestLogger = createRequestLogger();
+
+module.exports = { createRequestLogger, requestLogger };
@@ -0,0 +1,106 @@
+const request = require('supertest');
+const express = require('express');
+const { createRequestLogger } = require('./logger');
+const { createLogger } = require('../utils/logger');
+const { notFound, errorHandler } = require('./errorHandler');
+
+describe('request logger middleware', () => {
+  let lines;
+  let clock;
+
+  const buildApp = () => {
+    const logger = createLogger({ write: line => lines.push(JSON.parse(line)) });
+    const app = express();
+    app.use(createRequestLogger({ logger, generateId: () => 'generated-id', now: () => clock }));
+
+    const router = express.Router();
+    router.get('/:id', (req, res, next) => {
+      clock += 12.34;
+      if (req.params.id === 'missing') {
+        const err = new Error('Item not found');
+        err.status = 404;
+        return next(err);
+      }
+      if (req.params.id === 'broken') {
+        return next(new Error('Failed to read data file'));
+      }
+      req.log.info('loading item', { id: req.params.id });
+      res.json({ id: req.params.id });
+    });
+    app.use('/api/items', router);
+    app.use('*', notFound);
+    app.use(errorHandler);
+    return app;
+  };
+
+  beforeEach(() => {
+    lines = [];
+    clock = 100;
+  });
+
+  it('should log completed requests with their route template and latency', async () => {
+    const response = await request(buildApp()).get('/api/items/7?access_token=secret').expect(200);
+
+    expect(response.headers['x-request-id']).toBe('generated-id');
+    const line = lines.find(entry => entry.msg === 'request completed');
+    expect(line).toMatchObject({
+      level: 'info',
+      requestId: 'generated-id',
+      method: 'GET',
+      url: '/api/items/7?access_token=[REDACTED]',
+      route: '/api/items/:id',
+      status: 200,
+      durationMs: 12.3
+    });
+    expect(line.error).toBeUndefined();
+  });
+
+  it('should tag lines logged by handlers with the request id', async () => {
+    await request(buildApp()).get('/api/items/7').expect(200);
+
+    expect(lines[0]).toMatchObject({ msg: 'loading item', requestId: 'generated-id', id: '7' });
+  });
+
+  it('should propagate a usable incoming request id', async () => {
+    const response = await request(buildApp()).get('/api/items/7').set('X-Request-Id', 'edge-42.a').expect(200);
+
+    expect(response.headers['x-request-id']).toBe('edge-42.a');
+    expect(lines[1].requestId).toBe('edge-42.a');
+  });
+
+  it('should replace an unusable incoming request id', async () => {
+    const response = await request(buildApp()).get('/api/items/7').set('X-Request-Id', 'bad id\twith spaces').expect(200);
+
+    expect(response.headers['x-request-id']).toBe('generated-id');
+  });
+
+  it('should log client errors as warnings without a stack', async () => {
+    const response = await request(buildApp()).get('/api/items/missing').expect(404);
+
+    expect(response.body.error.requestId).toBe('generated-id');
+    expect(lines[0]).toMatchObject({
+      level: 'warn',
+      route: '/api/items/:id',
+      status: 404,
+      error: { message: 'Item not found', status: 404 }
+    });
+    expect(lines[0].error.stack).toBeUndefined();
+  });
+
+  it('should log server errors with their stack', async () => {
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const response = await request(buildApp()).get('/api/items/broken').expect(500);
+
+    expect(response.body.error.requestId).toBe('generated-id');
+    expect(lines[0]).toMatchObject({ level: 'error', status: 500, error: { message: 'Failed to read data file' } });
+    expect(lines[0].error.stack).toContain('Failed to read data file');
+    expect(consoleError).not.toHaveBeenCalled();
+    consoleError.mockRestore();
+  });
+
+  it('should log unmatched routes without a template', async () => {
+    await request(buildApp()).get('/nowhere').expect(404);
+
+    expect(lines[0]).toMatchObject({ route: null, status: 404 });
+  });
+});
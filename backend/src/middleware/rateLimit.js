@@ -0,0 +1,128 @@
+const { config } = require('../config');
+
+// Reads are cheap to serve but easy to hammer; writes touch the data file
+const READ_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+
+// Buckets kept before idle (fully refilled) ones are dropped
+const MAX_TRACKED_BUCKETS = 10000;
+
+const DEFAULT_POLICIES = {
+  read: { limit: config.rateLimit.reads, windowSeconds: config.rateLimit.windowSeconds },
+  write: { limit: config.rateLimit.writes, windowSeconds: config.rateLimit.windowSeconds }
+};
+
+// API key callers get a budget per key, everyone else one per IP. Session users
+// share their IP's budget, which is what a browser behind a NAT gets anyway.
+function callerOf(req) {
+  return byApiKey(req) || byIp(req);
+}
+
+// Works before authentication, so failed logins and bad credentials are counted too
+function byIp(req) {
+  return `ip:${req.ip}`;
+}
+
+// Only API key callers; the limit lets everyone else through
+function byApiKey(req) {
+  return req.user && req.user.apiKeyId ? `key:${req.user.apiKeyId}` : null;
+}
+
+function tooManyRequests(retryAfter) {
+  const err = new Error(`Too many requests; try again in ${retryAfter} seconds`);
+  err.status = 429;
+  err.details = { retryAfter };
+  return err;
+}
+
+// Token bucket rate limiting. Each caller has a read and a write bucket holding up
+// to `limit` tokens that refill continuously over `windowSeconds`; a request takes
+// one token and is refused with 429 when none is left. Every response carries
+// RateLimit-Limit/-Remaining/-Reset (seconds until the bucket is full again) and
+// refusals carry Retry-After. `key` names the caller's buckets (see byIp, byApiKey);
+// requests it returns null for aren't limited.
+function createRateLimit({
+  read = DEFAULT_POLICIES.read,
+  write = DEFAULT_POLICIES.write,
+  key = callerOf,
+  now = Date.now,
+  maxBuckets = MAX_TRACKED_BUCKETS
+} = {}) {
+  const policies = {
+    read: { ...read, perMs: read.limit / (read.windowSeconds * 1000) },
+    write: { ...write, perMs: write.limit / (write.windowSeconds * 1000) }
+  };
+  const buckets = new Map();
+
+  function refill(bucket, time) {
+    const { limit, perMs } = bucket.policy;
+    bucket.tokens = Math.min(limit, bucket.tokens + (time - bucket.updatedAt) * perMs);
+    bucket.updatedAt = time;
+  }
+
+  // Forget callers whose buckets have refilled; they would start full anyway
+  function sweep(time) {
+    for (const [key, bucket] of buckets) {
+      refill(bucket, time);
+      if (bucket.tokens >= bucket.policy.limit) {
+        buckets.delete(key);
+      }
+    }
+  }
+
+  function take(key, policy) {
+    const time = now();
+    let bucket = buckets.get(key);
+    if (bucket) {
+      refill(bucket, time);
+    } else {
+      if (buckets.size >= maxBuckets) {
+        sweep(time);
+      }
+      bucket = { policy, tokens: policy.limit, updatedAt: time };
+      buckets.set(key, bucket);
+    }
+
+    const allowed = bucket.tokens >= 1;
+    if (allowed) {
+      bucket.tokens -= 1;
+    }
+    return {
+      allowed,
+      remaining: Math.floor(bucket.tokens),
+      reset: Math.ceil((policy.limit - bucket.tokens) / policy.perMs / 1000),
+      retryAfter: allowed ? 0 : Math.ceil((1 - bucket.tokens) / policy.perMs / 1000)
+    };
+  }
+
+  function rateLimit(req, res, next) {
+    const caller = key(req);
+    if (caller === null) {
+      return next();
+    }
+    const kind = READ_METHODS.has(req.method) ? 'read' : 'write';
+    const policy = policies[kind];
+    const result = take(`${kind}:${caller}`, policy);
+
+    res.set({
+      'RateLimit-Policy': `${policy.limit};w=${policy.windowSeconds}`,
+      'RateLimit-Limit': String(policy.limit),
+      'RateLimit-Remaining': String(result.remaining),
+      'RateLimit-Reset': String(result.reset)
+    });
+
+    if (!result.allowed) {
+      res.set('Retry-After', String(result.retryAfter));
+      return next(tooManyRequests(result.retryAfter));
+    }
+    next();
+  }
+
+  // Number of callers currently tracked, for tests and diagnostics
+  rateLimit.size = () => buckets.size;
+
+  return rateLimit;
+}
+
+const rateLimit = createRateLimit();
+
+module.exports = { createRateLimit, byIp, byApiKey, rateLimit };
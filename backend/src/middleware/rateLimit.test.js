@@ -0,0 +1,168 @@
+const request = require('supertest');
+const express = require('express');
+const { createRateLimit, byApiKey } = require('./rateLimit');
+const { jsonBody } = require('./bodyParsers');
+const { errorHandler } = require('./errorHandler');
+
+describe('rate limit middleware', () => {
+  let clock;
+  let rateLimit;
+
+  // Callers pick their identity per request: X-Test-Key acts as an API key
+  const buildApp = () => {
+    const app = express();
+    app.use((req, res, next) => {
+      const apiKeyId = req.get('X-Test-Key');
+      req.user = apiKeyId ? { username: 'bot', role: 'editor', apiKeyId } : undefined;
+      next();
+    });
+    app.use(rateLimit);
+    app.use(jsonBody);
+    app.get('/items', (req, res) => res.json({ ok: true }));
+    app.post('/items', (req, res) => res.status(201).json({ size: JSON.stringify(req.body).length }));
+    app.use(errorHandler);
+    return app;
+  };
+
+  beforeEach(() => {
+    clock = 1000000;
+    rateLimit = createRateLimit({
+      read: { limit: 3, windowSeconds: 60 },
+      write: { limit: 1, windowSeconds: 30 },
+      now: () => clock
+    });
+  });
+
+  it('should report the remaining budget on every response', async () => {
+    const app = buildApp();
+
+    const first = await request(app).get('/items').expect(200);
+    expect(first.headers['ratelimit-policy']).toBe('3;w=60');
+    expect(first.headers['ratelimit-limit']).toBe('3');
+    expect(first.headers['ratelimit-remaining']).toBe('2');
+    expect(first.headers['ratelimit-reset']).toBe('20');
+
+    const second = await request(app).get('/items').expect(200);
+    expect(second.headers['ratelimit-remaining']).toBe('1');
+    expect(second.headers['ratelimit-reset']).toBe('40');
+  });
+
+  it('should refuse requests once the bucket is empty', async () => {
+    const app = buildApp();
+    for (let i = 0; i < 3; i++) {
+      await request(app).get('/items').expect(200);
+    }
+
+    const response = await request(app).get('/items').expect(429);
+
+    expect(response.headers['retry-after']).toBe('20');
+    expect(response.headers['ratelimit-remaining']).toBe('0');
+    expect(response.body.error).toMatchObject({
+      code: 'TOO_MANY_REQUESTS',
+      message: 'Too many requests; try again in 20 seconds',
+      details: { retryAfter: 20 }
+    });
+  });
+
+  it('should refill tokens as time passes', async () => {
+    const app = buildApp();
+    for (let i = 0; i < 3; i++) {
+      await request(app).get('/items').expect(200);
+    }
+
+    clock += 15000;
+    const waiting = await request(app).get('/items').expect(429);
+    expect(waiting.headers['retry-after']).toBe('5');
+
+    clock += 5000;
+    await request(app).get('/items').expect(200);
+    await request(app).get('/items').expect(429);
+
+    clock += 60000;
+    const refilled = await request(app).get('/items').expect(200);
+    expect(refilled.headers['ratelimit-remaining']).toBe('2');
+  });
+
+  it('should keep separate budgets for reads and writes', async () => {
+    const app = buildApp();
+
+    const write = await request(app).post('/items').send({ name: 'Desk' }).expect(201);
+    expect(write.headers['ratelimit-policy']).toBe('1;w=30');
+    expect(write.headers['ratelimit-reset']).toBe('30');
+
+    const refused = await request(app).post('/items').send({ name: 'Lamp' }).expect(429);
+    expect(refused.headers['retry-after']).toBe('30');
+
+    await request(app).get('/items').expect(200);
+  });
+
+  it('should give each API key its own budget', async () => {
+    const app = buildApp();
+    await request(app).post('/items').send({}).expect(201);
+    await request(app).post('/items').send({}).expect(429);
+
+    await request(app).post('/items').set('X-Test-Key', 'k1').send({}).expect(201);
+    await request(app).post('/items').set('X-Test-Key', 'k1').send({}).expect(429);
+    await request(app).post('/items').set('X-Test-Key', 'k2').send({}).expect(201);
+  });
+
+  it('should let through callers the key function skips', async () => {
+    rateLimit = createRateLimit({
+      read: { limit: 1, windowSeconds: 60 },
+      key: byApiKey,
+      now: () => clock
+    });
+    const app = buildApp();
+
+    await request(app).get('/items').expect(200);
+    const response = await request(app).get('/items').expect(200);
+    expect(response.headers['ratelimit-limit']).toBeUndefined();
+
+    await request(app).get('/items').set('X-Test-Key', 'k1').expect(200);
+    await request(app).get('/items').set('X-Test-Key', 'k1').expect(429);
+  });
+
+  it('should refuse before reading the body', async () => {
+    const app = buildApp();
+    await request(app).post('/items').send({}).expect(201);
+
+    const response = await request(app).post('/items').send('{not json').set('Content-Type', 'application/json').expect(429);
+
+    expect(response.body.error.code).toBe('TOO_MANY_REQUESTS');
+  });
+
+  it('should forget idle callers once it tracks too many', async () => {
+    rateLimit = createRateLimit({
+      read: { limit: 2, windowSeconds: 10 },
+      write: { limit: 1, windowSeconds: 10 },
+      now: () => clock,
+      maxBuckets: 2
+    });
+    const app = buildApp();
+
+    await request(app).get('/items').set('X-Test-Key', 'k1').expect(200);
+    await request(app).get('/items').set('X-Test-Key', 'k2').expect(200);
+    expect(rateLimit.size()).toBe(2);
+
+    // k1 and k2 have refilled by now, so a new caller replaces them
+    clock += 10000;
+    await request(app).get('/items').set('X-Test-Key', 'k3').expect(200);
+    expect(rateLimit.size()).toBe(1);
+  });
+
+  it('should still track busy callers when sweeping', async () => {
+    rateLimit = createRateLimit({
+      read: { limit: 2, windowSeconds: 10 },
+      write: { limit: 1, windowSeconds: 10 },
+      now: () => clock,
+      maxBuckets: 1
+    });
+    const app = buildApp();
+
+    await request(app).get('/items').set('X-Test-Key', 'k1').expect(200);
+    await request(app).get('/items').set('X-Test-Key', 'k2').expect(200);
+    await request(app).get('/items').set('X-Test-Key', 'k1').expect(200);
+
+    await request(app).get('/items').set('X-Test-Key', 'k1').expect(429);
+  });
+});
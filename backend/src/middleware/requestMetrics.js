@@ -0,0 +1,42 @@
+const { performance } = require('perf_hooks');
+const { metrics: defaultRegistry } = require('../metrics');
+const { trackRoute } = require('../utils/routeTemplate');
+
+// Count requests and time them per route template. Requests no route handled
+// (404s, auth failures) share the `unmatched` route so the series stay bounded.
+function createRequestMetrics(registry = defaultRegistry, { now = () => performance.now() } = {}) {
+  const requests = registry.counter({
+    name: 'http_requests_total',
+    help: 'HTTP requests by method, route template and status',
+    labelNames: ['method', 'route', 'status']
+  });
+  const duration = registry.histogram({
+    name: 'http_request_duration_seconds',
+    help: 'HTTP request latency by method and route template',
+    labelNames: ['method', 'route']
+  });
+
+  return function requestMetrics(req, res, next) {
+    const startedAt = now();
+    const routeTemplate = trackRoute(req);
+
+    let recorded = false;
+    const record = () => {
+      if (recorded) {
+        return;
+      }
+      recorded = true;
+      const route = routeTemplate() || 'unmatched';
+      requests.inc({ method: req.method, route, status: res.statusCode });
+      duration.observe({ method: req.method, route }, (now() - startedAt) / 1000);
+    };
+
+    res.on('finish', record);
+    res.on('close', record);
+    next();
+  };
+}
+
+const requestMetrics = createRequestMetrics();
+
+module.exports = { createRequestMetrics, requestMetrics };
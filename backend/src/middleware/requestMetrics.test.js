@@ -0,0 +1,71 @@
+const request = require('supertest');
+const express = require('express');
+const { createRequestMetrics } = require('./requestMetrics');
+const { createRequestLogger } = require('./logger');
+const { createRegistry } = require('../metrics/registry');
+const { createLogger } = require('../utils/logger');
+const { notFound, errorHandler } = require('./errorHandler');
+
+describe('request metrics middleware', () => {
+  let clock;
+  let registry;
+  let app;
+
+  beforeEach(() => {
+    clock = 0;
+    registry = createRegistry();
+    app = express();
+    app.use(createRequestMetrics(registry, { now: () => clock }));
+    const router = express.Router();
+    router.get('/:id', (req, res, next) => {
+      clock += 30;
+      if (req.params.id === 'missing') {
+        const err = new Error('Item not found');
+        err.status = 404;
+        return next(err);
+      }
+      res.json({ id: req.params.id });
+    });
+    app.use('/api/items', router);
+    app.use('*', notFound);
+    app.use(errorHandler);
+  });
+
+  it('should count requests per route template and status', async () => {
+    await request(app).get('/api/items/1').expect(200);
+    await request(app).get('/api/items/2').expect(200);
+    await request(app).get('/api/items/missing').expect(404);
+    await request(app).get('/elsewhere').expect(404);
+
+    const { text } = await registry.render();
+
+    expect(text).toContain('http_requests_total{method="GET",route="/api/items/:id",status="200"} 2');
+    expect(text).toContain('http_requests_total{method="GET",route="/api/items/:id",status="404"} 1');
+    expect(text).toContain('http_requests_total{method="GET",route="unmatched",status="404"} 1');
+  });
+
+  it('should record latency in seconds', async () => {
+    await request(app).get('/api/items/1').expect(200);
+
+    const { text } = await registry.render();
+
+    expect(text).toContain('http_request_duration_seconds_bucket{method="GET",route="/api/items/:id",le="0.025"} 0');
+    expect(text).toContain('http_request_duration_seconds_bucket{method="GET",route="/api/items/:id",le="0.05"} 1');
+    expect(text).toContain('http_request_duration_seconds_sum{method="GET",route="/api/items/:id"} 0.03');
+  });
+
+  it('should share the route template with the request logger', async () => {
+    const lines = [];
+    const logger = createLogger({ write: line => lines.push(JSON.parse(line)) });
+    const sharedRegistry = createRegistry();
+    const shared = express();
+    shared.use(createRequestLogger({ logger }));
+    shared.use(createRequestMetrics(sharedRegistry));
+    shared.get('/api/things/:id', (req, res) => res.json({}));
+
+    await request(shared).get('/api/things/9').expect(200);
+
+    expect(lines[0].route).toBe('/api/things/:id');
+    expect((await sharedRegistry.render()).text).toContain('route="/api/things/:id",status="200"} 1');
+  });
+});
@@ -0,0 +1,32 @@
+// Validate and coerce request input against schemas from validation/schemas.js.
+// On success the coerced values replace req.params / req.query / req.body;
+// otherwise a 400 VALIDATION_ERROR is passed on with per-field details.
+const SOURCES = {
+  params: 'Invalid route parameters',
+  query: 'Invalid query parameters',
+  body: 'Invalid request body'
+};
+
+function validate(schemas) {
+  return (req, res, next) => {
+    for (const source of Object.keys(SOURCES)) {
+      const schema = schemas[source];
+      if (!schema) {
+        continue;
+      }
+
+      const { value, errors } = schema.validate(req[source] === undefined ? {} : req[source]);
+      if (errors.length > 0) {
+        const err = new Error(errors.map(e => e.message).join('; ') || SOURCES[source]);
+        err.status = 400;
+        err.code = 'VALIDATION_ERROR';
+        err.details = errors.map(e => ({ source, ...e }));
+        return next(err);
+      }
+      req[source] = value;
+    }
+    next();
+  };
+}
+
+module.exports = validate;
@@ -0,0 +1,91 @@
+// Shape of a catalog item. `id`, `version`, `createdAt`, `updatedAt` and `deletedAt`
+// are managed by the server; everything else comes from clients (see validation/schemas.js).
+// `version` starts at 1 and goes up by one with every change, for optimistic locking.
+// Deleting an item only sets `deletedAt`; it stays in the trash until it is purged
+// (after `trash.retentionDays`, see validation/schemas.js).
+
+// Defaults for the optional fields, also used to migrate older records
+const ITEM_DEFAULTS = {
+  description: '',
+  sku: null,
+  stock: 0,
+  imageUrl: null,
+  tags: []
+};
+
+// Fields clients may never set directly
+const SERVER_FIELDS = ['id', 'version', 'createdAt', 'updatedAt', 'deletedAt'];
+
+// Fill in missing optional fields, keeping a stable key order
+function applyItemDefaults(item) {
+  return {
+    id: item.id,
+    name: item.name,
+    category: item.category,
+    price: item.price,
+    description: item.description ?? ITEM_DEFAULTS.description,
+    sku: item.sku ?? ITEM_DEFAULTS.sku,
+    stock: item.stock ?? ITEM_DEFAULTS.stock,
+    imageUrl: item.imageUrl ?? ITEM_DEFAULTS.imageUrl,
+    tags: Array.isArray(item.tags) ? item.tags : [...ITEM_DEFAULTS.tags],
+    version: item.version ?? 1,
+    createdAt: item.createdAt ?? null,
+    updatedAt: item.updatedAt ?? null,
+    deletedAt: item.deletedAt ?? null
+  };
+}
+
+// Remove server-managed fields from client input (e.g. a re-imported export)
+function omitServerFields(input) {
+  const fields = { ...input };
+  for (const key of SERVER_FIELDS) {
+    delete fields[key];
+  }
+  return fields;
+}
+
+// Throw unless the item is at `expectedVersion` (undefined skips the check)
+function assertVersion(item, expectedVersion) {
+  if (expectedVersion !== undefined && item.version !== expectedVersion) {
+    const err = new Error(`Item ${item.id} has been changed by someone else (now at version ${item.version})`);
+    err.status = 412;
+    err.code = 'VERSION_CONFLICT';
+    err.details = { current: item };
+    throw err;
+  }
+}
+
+function duplicateSkuError(sku) {
+  const err = new Error(`SKU "${sku}" is already in use`);
+  err.status = 409;
+  err.code = 'DUPLICATE_SKU';
+  return err;
+}
+
+// Fields that change on every write and would only add noise to a diff
+const BOOKKEEPING_FIELDS = ['version', 'updatedAt'];
+
+// Fields that differ between two copies of an item, as { field: { before, after } }.
+// Pass null for `before` when the item was created and for `after` when it was deleted.
+function diffItems(before, after) {
+  const changes = {};
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  for (const field of fields) {
+    if (BOOKKEEPING_FIELDS.includes(field)) continue;
+    const from = before ? before[field] ?? null : null;
+    const to = after ? after[field] ?? null : null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { before: from, after: to };
+    }
+  }
+  return changes;
+}
+
+module.exports = {
+  ITEM_DEFAULTS,
+  applyItemDefaults,
+  omitServerFields,
+  assertVersion,
+  duplicateSkuError,
+  diffItems
+};
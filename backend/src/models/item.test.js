@@ -0,0 +1,36 @@
+const { diffItems } = require('./item');
+
+describe('diffItems', () => {
+  const item = {
+    id: 1,
+    name: 'Desk',
+    category: 'Furniture',
+    price: 200,
+    tags: ['oak'],
+    version: 1,
+    createdAt: '2024-01-01T00:00:00.000Z',
+    updatedAt: '2024-01-01T00:00:00.000Z'
+  };
+
+  it('should list only the fields that changed', () => {
+    const after = { ...item, price: 180, tags: ['oak', 'sale'], version: 2, updatedAt: '2024-02-01T00:00:00.000Z' };
+
+    expect(diffItems(item, after)).toEqual({
+      price: { before: 200, after: 180 },
+      tags: { before: ['oak'], after: ['oak', 'sale'] }
+    });
+  });
+
+  it('should describe created and deleted items against null', () => {
+    expect(diffItems(null, item)).toMatchObject({
+      id: { before: null, after: 1 },
+      name: { before: null, after: 'Desk' }
+    });
+    expect(diffItems(item, null)).toMatchObject({ price: { before: 200, after: null } });
+    expect(diffItems(item, null)).not.toHaveProperty('version');
+  });
+
+  it('should be empty when nothing but bookkeeping changed', () => {
+    expect(diffItems(item, { ...item, version: 2 })).toEqual({});
+  });
+});
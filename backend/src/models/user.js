@@ -0,0 +1,22 @@
+// Shape of a user account. Passwords and API keys are only ever stored hashed:
+//   { username, role, passwordHash, apiKeys: [{ id, name, hash, createdAt }], createdAt }
+
+// Each role may do everything the roles before it may: viewers read, editors also
+// create and update items, admins also delete, restore, purge and import
+const ROLES = ['viewer', 'editor', 'admin'];
+
+function hasRole(user, role) {
+  return Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+// What the API shows about a user
+function publicUser(user) {
+  return { username: user.username, role: user.role };
+}
+
+// What the API shows about an API key; the key itself is only returned once
+function publicApiKey({ id, name, createdAt }) {
+  return { id, name, createdAt };
+}
+
+module.exports = { ROLES, hasRole, publicUser, publicApiKey };
@@ -0,0 +1,72 @@
+const { config } = require('../config');
+const storage = require('../storage');
+const { createJsonItemRepository } = require('./jsonItemRepository');
+const { createUserRepository } = require('./userRepository');
+
+// Item repository interface, implemented by every storage adapter:
+//   list({ q, category, minPrice, maxPrice, deleted, sort, page, limit, after })
+//                                      -> { items, totalItems }; `deleted` is 'exclude'
+//                                         (default), 'include' or 'only' (the trash)
+//   find(id)                           -> item | null, deleted or not
+//   findUsedSkus(skus)                 -> the given SKUs some item (deleted or not) has
+//   create(fields)                     -> item
+//   createMany(fieldsList)             -> items (all or nothing)
+//   update(id, fields, { replace, expectedVersion })
+//                                      -> item | null (also for deleted items);
+//                                         412 if not at expectedVersion
+//   delete(id, { expectedVersion })    -> deleted item | null; sets deletedAt, 412 if
+//                                         not at expectedVersion
+//   restore(id, { expectedVersion })   -> restored item | null if not in the trash
+//   purge(cutoff)                      -> items deleted at or before cutoff, now gone
+//   aggregate({ q, category, minPrice, maxPrice }, summarize = calculateStats)
+//                                      -> summarize(matching live items); summaries
+//                                         only read category, price and stock
+//   getModifiedTime()                  -> ms timestamp of the last change
+//   check()                            -> resolves if the data can be read, throws if not
+//   getStorageSize()                   -> bytes used by the data file
+//   onChange(listener)                 -> unsubscribe; listener({ source }) runs after
+//                                         every write ('write') or outside edit ('external')
+//   watch()                            -> stop; start reporting outside edits
+//   close()
+
+// Pick the adapter for `storage.driver` (json | sqlite; STORAGE_DRIVER). The JSON
+// adapter keeps items in `stores` (see storage/index.js); the SQLite adapter
+// reports failing change listeners to `logger`.
+function createItemRepository(driver = config.storage.driver, { stores = storage, sqlitePath = config.storage.sqlitePath, logger } = {}) {
+  switch (driver) {
+    case 'json':
+      return createJsonItemRepository(stores.itemsStore, stores.itemsSequence);
+    case 'sqlite': {
+      // Loaded lazily so the native module is only required when it's used
+      const { createSqliteItemRepository } = require('./sqliteItemRepository');
+      return createSqliteItemRepository({
+        filename: sqlitePath,
+        logger
+      });
+    }
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER "${driver}" (expected "json" or "sqlite")`);
+  }
+}
+
+// Everything the app keeps on disk for one `storage` config section: the item
+// repository, the user accounts (always a JSON file, whichever driver stores the
+// items) and the audit log. `close()` waits for queued writes and releases the
+// database; nothing may be written afterwards. Storage errors that no request
+// is waiting on (failing change listeners, watcher errors) go to `logger`.
+function createStorage(storageConfig = config.storage, { logger, stores = storage.createStores(storageConfig.dataPath, { logger }) } = {}) {
+  const itemRepository = createItemRepository(storageConfig.driver, { stores, sqlitePath: storageConfig.sqlitePath, logger });
+  const userRepository = createUserRepository(stores.usersStore);
+
+  async function close() {
+    await Promise.all([itemRepository.close(), stores.auditLog.flush(), stores.usersStore.flush()]);
+  }
+
+  return { itemRepository, userRepository, auditLog: stores.auditLog, close };
+}
+
+// Storage for the configured data files, shared with the scripts
+const defaultStorage = createStorage(config.storage, { stores: storage });
+const { itemRepository, userRepository } = defaultStorage;
+
+module.exports = { createItemRepository, createStorage, storage: defaultStorage, itemRepository, userRepository };
@@ -0,0 +1,625 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { createJsonStore } = require('../storage/jsonStore');
+const { createSequence } = require('../storage/sequence');
+const { createJsonItemRepository } = require('./jsonItemRepository');
+const { createSqliteItemRepository } = require('./sqliteItemRepository');
+
+const seedItems = [
+  { id: 1, name: 'Test Laptop', category: 'Electronics', price: 1000 },
+  { id: 2, name: 'Test Headphones', category: 'Electronics', price: 200 },
+  { id: 3, name: 'Test Chair', category: 'Furniture', price: 500 },
+  { id: 4, name: '100% Cotton Tee', category: 'Apparel', price: 25 }
+];
+
+const adapters = {
+  json: async dir => {
+    const filePath = path.join(dir, 'items.json');
+    // Out of id order, as a hand-edited file may be
+    await fs.writeFile(filePath, JSON.stringify([seedItems[2], seedItems[0], seedItems[3], seedItems[1]]));
+    return createJsonItemRepository(
+      createJsonStore(filePath),
+      createSequence(path.join(dir, 'items.seq.json'))
+    );
+  },
+  sqlite: async dir => {
+    const repository = createSqliteItemRepository({ filename: path.join(dir, 'items.db') });
+    await repository.importItems(seedItems);
+    return repository;
+  }
+};
+
+// Every adapter must satisfy the same contract
+describe.each(Object.keys(adapters))('%s item repository', driver => {
+  let dir;
+  let repository;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), `items-${driver}-`));
+    repository = await adapters[driver](dir);
+  });
+
+  afterEach(async () => {
+    await repository.close();
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  describe('list', () => {
+    it('should page through all items in id order', async () => {
+      const first = await repository.list({ page: 1, limit: 3 });
+      const second = await repository.list({ page: 2, limit: 3 });
+
+      expect(first.totalItems).toBe(4);
+      expect(first.items.map(item => item.id)).toEqual([1, 2, 3]);
+      expect(second.items.map(item => item.id)).toEqual([4]);
+    });
+
+    it('should search name and category case-insensitively', async () => {
+      const byName = await repository.list({ q: 'LAPTOP' });
+      const byCategory = await repository.list({ q: 'electronics' });
+
+      expect(byName.items.map(item => item.id)).toEqual([1]);
+      expect(byCategory.totalItems).toBe(2);
+    });
+
+    it('should treat search wildcards literally', async () => {
+      const result = await repository.list({ q: '100%' });
+
+      expect(result.items.map(item => item.id)).toEqual([4]);
+      await expect(repository.list({ q: '_' })).resolves.toMatchObject({ totalItems: 0 });
+    });
+  });
+
+  describe('filter and sort', () => {
+    const ids = result => result.items.map(item => item.id);
+
+    it('should filter by categories case-insensitively', async () => {
+      const result = await repository.list({ category: ['furniture', 'Apparel'] });
+
+      expect(ids(result)).toEqual([3, 4]);
+    });
+
+    it('should filter by price range inclusively', async () => {
+      const result = await repository.list({ minPrice: 200, maxPrice: 500 });
+
+      expect(ids(result)).toEqual([2, 3]);
+    });
+
+    it('should sort by price in either direction', async () => {
+      const ascending = await repository.list({ sort: { field: 'price', direction: 'asc' } });
+      const descending = await repository.list({ sort: { field: 'price', direction: 'desc' } });
+
+      expect(ids(ascending)).toEqual([4, 2, 3, 1]);
+      expect(ids(descending)).toEqual([1, 3, 2, 4]);
+    });
+
+    it('should sort strings case-insensitively and break ties by id', async () => {
+      await repository.create({ name: 'lamp', category: 'furniture', price: 40 });
+      const result = await repository.list({ sort: { field: 'category', direction: 'asc' }, limit: 10 });
+
+      expect(ids(result)).toEqual([4, 1, 2, 3, 5]);
+    });
+
+    it('should combine filters with sorting and pagination', async () => {
+      const result = await repository.list({
+        q: 'test',
+        category: ['Electronics'],
+        sort: { field: 'price', direction: 'asc' },
+        page: 2,
+        limit: 1
+      });
+
+      expect(result.totalItems).toBe(2);
+      expect(ids(result)).toEqual([1]);
+    });
+  });
+
+  describe('keyset pagination', () => {
+    const ids = result => result.items.map(item => item.id);
+
+    it('should start after the given id in default order', async () => {
+      const result = await repository.list({ after: { value: null, id: 2 } });
+
+      expect(ids(result)).toEqual([3, 4]);
+      expect(result.totalItems).toBe(4);
+    });
+
+    it('should visit every item once when paging from the last id', async () => {
+      const first = await repository.list({ limit: 2 });
+      const last = first.items[first.items.length - 1];
+      const second = await repository.list({ after: { value: null, id: last.id }, limit: 2 });
+
+      expect([...ids(first), ...ids(second)]).toEqual([1, 2, 3, 4]);
+    });
+
+    it('should start after the given sort position', async () => {
+      const sort = { field: 'price', direction: 'desc' };
+      const result = await repository.list({ sort, after: { value: 500, id: 3 }, limit: 10 });
+
+      expect(ids(result)).toEqual([2, 4]);
+    });
+
+    it('should order ties by id when resuming', async () => {
+      await repository.create({ name: 'Test Stool', category: 'Furniture', price: 500 });
+      const sort = { field: 'price', direction: 'asc' };
+      const result = await repository.list({ sort, after: { value: 500, id: 3 }, limit: 10 });
+
+      expect(ids(result)).toEqual([5, 1]);
+    });
+
+    it('should compare string keys case-insensitively', async () => {
+      const sort = { field: 'name', direction: 'asc' };
+      const result = await repository.list({ sort, after: { value: 'test chair', id: 3 }, limit: 10 });
+
+      expect(ids(result)).toEqual([2, 1]);
+    });
+  });
+
+  describe('find', () => {
+    it('should return an item by id', async () => {
+      await expect(repository.find(2)).resolves.toMatchObject(seedItems[1]);
+    });
+
+    it('should return null for unknown ids', async () => {
+      await expect(repository.find(999)).resolves.toBeNull();
+    });
+  });
+
+  describe('create', () => {
+    it('should assign an id and persist the item', async () => {
+      const item = await repository.create({ name: 'Desk', category: 'Furniture', price: 300 });
+
+      expect(item.id).toBe(5);
+      await expect(repository.find(item.id)).resolves.toEqual(item);
+    });
+
+    it('should give concurrent creations distinct ids', async () => {
+      const items = await Promise.all(
+        Array.from({ length: 10 }, (_, i) =>
+          repository.create({ name: `Item ${i}`, category: 'Misc', price: i })
+        )
+      );
+
+      expect(new Set(items.map(item => item.id)).size).toBe(10);
+      await expect(repository.list({ limit: 100 })).resolves.toMatchObject({ totalItems: 14 });
+    });
+
+    it('should not reuse the id of a purged item', async () => {
+      const first = await repository.create({ name: 'Desk', category: 'Furniture', price: 300 });
+      await repository.delete(first.id);
+      await repository.purge(new Date().toISOString());
+      const second = await repository.create({ name: 'Desk', category: 'Furniture', price: 300 });
+
+      expect(second.id).toBeGreaterThan(first.id);
+    });
+  });
+
+  describe('createMany', () => {
+    it('should insert every item with consecutive new ids', async () => {
+      const items = await repository.createMany([
+        { name: 'Desk', category: 'Furniture', price: 300 },
+        { name: 'Lamp', category: 'Furniture', price: 45 }
+      ]);
+
+      expect(items.map(item => item.id)).toEqual([5, 6]);
+      await expect(repository.list({ category: ['Furniture'] })).resolves.toMatchObject({ totalItems: 3 });
+    });
+  });
+
+  describe('item model', () => {
+    const desk = { name: 'Desk', category: 'Furniture', price: 300 };
+
+    it('should read older records with defaults', async () => {
+      await expect(repository.find(1)).resolves.toEqual({
+        ...seedItems[0],
+        description: '',
+        sku: null,
+        stock: 0,
+        imageUrl: null,
+        tags: [],
+        version: 1,
+        createdAt: null,
+        updatedAt: null,
+        deletedAt: null
+      });
+    });
+
+    it('should store the optional fields and set timestamps', async () => {
+      const item = await repository.create({
+        ...desk,
+        description: 'Oak',
+        sku: 'DESK-1',
+        stock: 4,
+        imageUrl: 'https://example.com/desk.png',
+        tags: ['office', 'wood']
+      });
+
+      expect(item).toMatchObject({ sku: 'DESK-1', stock: 4, tags: ['office', 'wood'] });
+      expect(item.createdAt).toEqual(expect.any(String));
+      await expect(repository.find(item.id)).resolves.toEqual(item);
+    });
+
+    it('should enforce unique SKUs on create and update', async () => {
+      const first = await repository.create({ ...desk, sku: 'DESK-1' });
+      const second = await repository.create({ ...desk, sku: 'DESK-2' });
+
+      await expect(repository.create({ ...desk, sku: 'DESK-1' }))
+        .rejects.toMatchObject({ status: 409, code: 'DUPLICATE_SKU' });
+      await expect(repository.createMany([{ ...desk, sku: 'DESK-3' }, { ...desk, sku: 'DESK-3' }]))
+        .rejects.toMatchObject({ status: 409 });
+      await expect(repository.update(second.id, { sku: 'DESK-1' }))
+        .rejects.toMatchObject({ status: 409 });
+      await expect(repository.update(first.id, { sku: 'DESK-1', stock: 2 }))
+        .resolves.toMatchObject({ sku: 'DESK-1', stock: 2 });
+      await expect(repository.list({ q: 'desk-3' })).resolves.toMatchObject({ totalItems: 0 });
+    });
+
+    it('should allow many items without a SKU', async () => {
+      await repository.create(desk);
+      await repository.create(desk);
+
+      await expect(repository.list({ category: ['Furniture'] })).resolves.toMatchObject({ totalItems: 3 });
+    });
+
+    it('should search SKUs and tags', async () => {
+      const item = await repository.create({ ...desk, sku: 'OAK-77', tags: ['standing'] });
+
+      await expect(repository.list({ q: 'oak-7' })).resolves.toMatchObject({ items: [item] });
+      await expect(repository.list({ q: 'STANDING' })).resolves.toMatchObject({ items: [item] });
+    });
+
+    it('should report which SKUs are taken, trash included', async () => {
+      await repository.create({ ...desk, sku: 'OAK-1' });
+      const deleted = await repository.create({ ...desk, sku: 'OAK-2' });
+      await repository.delete(deleted.id);
+
+      expect((await repository.findUsedSkus(['OAK-1', 'OAK-2', 'OAK-3'])).sort()).toEqual(['OAK-1', 'OAK-2']);
+      await expect(repository.findUsedSkus(['OAK-3'])).resolves.toEqual([]);
+    });
+
+    it('should match tags one at a time, not their stored form', async () => {
+      await repository.create({ ...desk, tags: ['office', 'wood'] });
+
+      await expect(repository.list({ q: '[' })).resolves.toMatchObject({ totalItems: 0 });
+      await expect(repository.list({ q: '","' })).resolves.toMatchObject({ totalItems: 0 });
+      await expect(repository.list({ q: 'ice' })).resolves.toMatchObject({ totalItems: 1 });
+    });
+
+    it('should keep createdAt when replacing an item', async () => {
+      const item = await repository.create({ ...desk, sku: 'DESK-1', tags: ['a'] });
+      const replaced = await repository.update(item.id, desk, { replace: true });
+
+      expect(replaced.createdAt).toBe(item.createdAt);
+      expect(replaced).toMatchObject({ sku: null, tags: [] });
+    });
+  });
+
+  describe('update', () => {
+    it('should merge fields', async () => {
+      const item = await repository.update(2, { price: 150 });
+
+      expect(item).toMatchObject({ ...seedItems[1], price: 150 });
+      await expect(repository.find(2)).resolves.toEqual(item);
+    });
+
+    it('should replace fields', async () => {
+      const replacement = { name: 'Stool', category: 'Furniture', price: 80 };
+
+      await expect(repository.update(3, replacement, { replace: true }))
+        .resolves.toMatchObject({ id: 3, ...replacement });
+    });
+
+    it('should return null for unknown ids', async () => {
+      await expect(repository.update(999, { price: 1 })).resolves.toBeNull();
+    });
+  });
+
+  describe('delete', () => {
+    it('should move the item to the trash', async () => {
+      const deleted = await repository.delete(1);
+
+      expect(deleted).toMatchObject({ id: 1, version: 2, deletedAt: expect.any(String) });
+      expect(deleted.updatedAt).toBe(deleted.deletedAt);
+      await expect(repository.find(1)).resolves.toEqual(deleted);
+    });
+
+    it('should hide deleted items unless asked for them', async () => {
+      await repository.delete(1);
+
+      const ids = async filters => (await repository.list({ limit: 100, ...filters })).items.map(item => item.id);
+      expect(await ids()).toEqual([2, 3, 4]);
+      expect(await ids({ q: 'laptop' })).toEqual([]);
+      expect(await ids({ deleted: 'include' })).toEqual([1, 2, 3, 4]);
+      expect(await ids({ deleted: 'only' })).toEqual([1]);
+      await expect(repository.aggregate()).resolves.toMatchObject({ total: 3 });
+    });
+
+    it('should not update or delete items in the trash', async () => {
+      await repository.delete(1);
+
+      await expect(repository.update(1, { price: 1 })).resolves.toBeNull();
+      await expect(repository.delete(1)).resolves.toBeNull();
+    });
+
+    it('should keep the SKU of a deleted item reserved', async () => {
+      await repository.update(1, { sku: 'LAP-1' });
+      await repository.delete(1);
+
+      await expect(repository.create({ name: 'Laptop', category: 'Electronics', price: 1, sku: 'LAP-1' }))
+        .rejects.toMatchObject({ status: 409 });
+    });
+
+    it('should return null for unknown ids', async () => {
+      await expect(repository.delete(999)).resolves.toBeNull();
+    });
+  });
+
+  describe('restore', () => {
+    it('should bring a deleted item back', async () => {
+      await repository.delete(1);
+
+      await expect(repository.restore(1, { expectedVersion: 2 }))
+        .resolves.toMatchObject({ id: 1, version: 3, deletedAt: null });
+      await expect(repository.list({ limit: 100 })).resolves.toMatchObject({ totalItems: 4 });
+    });
+
+    it('should return null for items that are not in the trash', async () => {
+      await expect(repository.restore(1)).resolves.toBeNull();
+      await expect(repository.restore(999)).resolves.toBeNull();
+    });
+
+    it('should refuse a stale version', async () => {
+      await repository.delete(1);
+
+      await expect(repository.restore(1, { expectedVersion: 1 })).rejects.toMatchObject({ status: 412 });
+    });
+  });
+
+  describe('purge', () => {
+    it('should permanently remove items deleted at or before the cutoff', async () => {
+      const first = await repository.delete(1);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      await repository.delete(2);
+
+      const purged = await repository.purge(first.deletedAt);
+
+      expect(purged.map(item => item.id)).toEqual([1]);
+      await expect(repository.find(1)).resolves.toBeNull();
+      await expect(repository.find(2)).resolves.toMatchObject({ deletedAt: expect.any(String) });
+    });
+
+    it('should leave the store alone when nothing has expired', async () => {
+      const listener = jest.fn();
+      repository.onChange(listener);
+
+      await expect(repository.purge(new Date().toISOString())).resolves.toEqual([]);
+      expect(listener).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('aggregate', () => {
+    it('should summarize the catalog', async () => {
+      await expect(repository.aggregate()).resolves.toEqual({
+        total: 4,
+        averagePrice: 431.25,
+        medianPrice: 350,
+        percentiles: { p25: 156.25, p75: 625, p90: 850 },
+        standardDeviation: 369.7,
+        inventoryValue: 0,
+        categories: { Apparel: 1, Electronics: 2, Furniture: 1 },
+        byCategory: {
+          Apparel: { count: 1, averagePrice: 25, min: 25, max: 25 },
+          Electronics: { count: 2, averagePrice: 600, min: 200, max: 1000 },
+          Furniture: { count: 1, averagePrice: 500, min: 500, max: 500 }
+        },
+        priceRange: { min: 25, max: 1000 }
+      });
+    });
+
+    it('should only describe items matching the filters', async () => {
+      const stats = await repository.aggregate({ q: 'test', minPrice: 300 });
+
+      expect(stats).toMatchObject({
+        total: 2,
+        averagePrice: 750,
+        categories: { Electronics: 1, Furniture: 1 },
+        priceRange: { min: 500, max: 1000 }
+      });
+      await expect(repository.aggregate({ category: ['electronics'] }))
+        .resolves.toMatchObject({ total: 2, medianPrice: 600 });
+    });
+
+    it('should pass the matching items to a custom summary', async () => {
+      const summarize = jest.fn(items => items.map(item => item.price).sort((a, b) => a - b));
+
+      await expect(repository.aggregate({ category: ['Electronics'] }, summarize)).resolves.toEqual([200, 1000]);
+      expect(summarize.mock.calls[0][0][0]).toEqual(expect.objectContaining({ category: 'Electronics', stock: 0 }));
+    });
+
+    it('should value inventory by price and stock', async () => {
+      await repository.update(1, { stock: 2 });
+      await repository.update(4, { stock: 10 });
+
+      await expect(repository.aggregate()).resolves.toMatchObject({ inventoryValue: 2250 });
+    });
+
+    it('should handle an empty catalog', async () => {
+      for (const item of seedItems) {
+        await repository.delete(item.id);
+      }
+
+      await expect(repository.aggregate()).resolves.toEqual({
+        total: 0,
+        averagePrice: 0,
+        medianPrice: 0,
+        percentiles: { p25: 0, p75: 0, p90: 0 },
+        standardDeviation: 0,
+        inventoryValue: 0,
+        categories: {},
+        byCategory: {},
+        priceRange: { min: 0, max: 0 }
+      });
+    });
+  });
+
+  describe('versions', () => {
+    it('should start at 1 and increase with every update', async () => {
+      const item = await repository.create({ name: 'Lamp', category: 'Furniture', price: 40 });
+      expect(item.version).toBe(1);
+
+      await repository.update(item.id, { price: 45 });
+      const replaced = await repository.update(item.id, { name: 'Lamp', category: 'Furniture', price: 50 }, { replace: true });
+
+      expect(replaced.version).toBe(3);
+      await expect(repository.find(item.id)).resolves.toMatchObject({ version: 3 });
+    });
+
+    it('should refuse updates and deletes at a stale version', async () => {
+      await repository.update(1, { price: 1100 }, { expectedVersion: 1 });
+
+      await expect(repository.update(1, { price: 1200 }, { expectedVersion: 1 }))
+        .rejects.toMatchObject({ status: 412, code: 'VERSION_CONFLICT', details: { current: { version: 2, price: 1100 } } });
+      await expect(repository.delete(1, { expectedVersion: 1 })).rejects.toMatchObject({ status: 412 });
+      await expect(repository.delete(1, { expectedVersion: 2 })).resolves.toMatchObject({ id: 1 });
+    });
+
+    it('should let only one of two concurrent edits of the same version win', async () => {
+      const results = await Promise.allSettled([
+        repository.update(2, { price: 210 }, { expectedVersion: 1 }),
+        repository.update(2, { price: 220 }, { expectedVersion: 1 })
+      ]);
+
+      expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+      await expect(repository.find(2)).resolves.toMatchObject({ version: 2 });
+    });
+  });
+
+  it('should notify change listeners after writes', async () => {
+    const listener = jest.fn();
+    const unsubscribe = repository.onChange(listener);
+
+    await repository.create({ name: 'Lamp', category: 'Furniture', price: 40 });
+    await repository.update(1, { stock: 1 });
+    await repository.delete(2);
+    expect(listener).toHaveBeenCalledTimes(3);
+    expect(listener).toHaveBeenCalledWith({ source: 'write' });
+
+    unsubscribe();
+    await repository.delete(3);
+    expect(listener).toHaveBeenCalledTimes(3);
+  });
+
+  it('should advance the modified time on writes', async () => {
+    const before = await repository.getModifiedTime();
+    // Filesystem mtimes can be coarse; make sure the clock moves
+    await new Promise(resolve => setTimeout(resolve, 20));
+    await repository.create({ name: 'Lamp', category: 'Furniture', price: 40 });
+
+    expect(await repository.getModifiedTime()).toBeGreaterThan(before);
+  });
+
+  it('should pass the health check and report its size', async () => {
+    await expect(repository.check()).resolves.toBeUndefined();
+    expect(await repository.getStorageSize()).toBeGreaterThan(0);
+  });
+});
+
+describe('json item repository health check', () => {
+  let dir;
+  let filePath;
+  let repository;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'items-check-'));
+    filePath = path.join(dir, 'items.json');
+    repository = createJsonItemRepository(createJsonStore(filePath), createSequence(path.join(dir, 'items.seq.json')));
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('should fail when the data file is missing', async () => {
+    await expect(repository.check()).rejects.toThrow('Failed to read data file');
+    await expect(repository.getStorageSize()).rejects.toThrow('Failed to get file stats');
+  });
+
+  it('should fail when the data file is not valid JSON', async () => {
+    await fs.writeFile(filePath, '[{"id": 1,');
+
+    await expect(repository.check()).rejects.toThrow('Failed to read data file');
+  });
+
+  it('should fail when the data file is not a list', async () => {
+    await fs.writeFile(filePath, '{"items": []}');
+
+    await expect(repository.check()).rejects.toThrow('Data file does not contain a list of items');
+  });
+});
+
+describe('sqlite schema upgrade', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'items-upgrade-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('should add the new columns to a database created by an older release', async () => {
+    const Database = require('better-sqlite3');
+    const filename = path.join(dir, 'items.db');
+    const legacy = new Database(filename);
+    legacy.exec(`
+      CREATE TABLE items (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        category TEXT NOT NULL,
+        price REAL NOT NULL
+      );
+      INSERT INTO items (name, category, price) VALUES ('Lamp', 'Furniture', 40);
+    `);
+    legacy.close();
+
+    const repository = createSqliteItemRepository({ filename });
+    try {
+      await expect(repository.find(1)).resolves.toEqual({
+        id: 1,
+        name: 'Lamp',
+        category: 'Furniture',
+        price: 40,
+        description: '',
+        sku: null,
+        stock: 0,
+        imageUrl: null,
+        tags: [],
+        version: 1,
+        createdAt: null,
+        updatedAt: null,
+        deletedAt: null
+      });
+      await expect(repository.update(1, { sku: 'LAMP-1' })).resolves.toMatchObject({ sku: 'LAMP-1' });
+    } finally {
+      await repository.close();
+    }
+  });
+  it('should not open the database until it is used', async () => {
+    const filename = path.join(dir, 'items.db');
+    const repository = createSqliteItemRepository({ filename });
+    await expect(fs.access(filename)).rejects.toThrow();
+
+    await expect(repository.isEmpty()).resolves.toBe(true);
+    await expect(fs.access(filename)).resolves.toBeUndefined();
+    await repository.close();
+  });
+
+  it('should close without ever opening the database', async () => {
+    const filename = path.join(dir, 'items.db');
+    await createSqliteItemRepository({ filename }).close();
+
+    await expect(fs.access(filename)).rejects.toThrow();
+  });
+});
@@ -0,0 +1,216 @@
+const { calculateStats } = require('../utils/stats');
+const { filterItems, sortItems, itemsAfter } = require('../utils/itemQuery');
+const { applyItemDefaults, assertVersion, duplicateSkuError } = require('../models/item');
+
+// Thrown inside a store mutation to abort it without writing
+const NOT_FOUND = Symbol('not found');
+
+// Item repository backed by a JSON document store (see storage/jsonStore.js).
+// Everything is evaluated in memory, which is fine for a catalog that fits in one file.
+// New ids come from `sequence` (see storage/sequence.js).
+function createJsonItemRepository(store, sequence) {
+  // Run a mutation that resolves to null when the item does not exist
+  async function mutateItem(mutator) {
+    try {
+      return await store.update(mutator);
+    } catch (error) {
+      if (error === NOT_FOUND) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  // Index of the item, which must be live (or in the trash, with `deleted`)
+  function indexOf(data, id, { deleted = false } = {}) {
+    const index = data.findIndex(item => item.id === id && Boolean(item.deletedAt) === deleted);
+    if (index === -1) {
+      throw NOT_FOUND;
+    }
+    return index;
+  }
+
+  // SKUs are unique across the catalog, trash included, so restoring an item
+  // never clashes (ignoring the item being updated)
+  function assertSkuAvailable(data, sku, exceptId = null) {
+    if (sku && data.some(item => item.sku === sku && item.id !== exceptId)) {
+      throw duplicateSkuError(sku);
+    }
+  }
+
+  // Records written before the richer item model are read with defaults
+  async function readItems() {
+    return (await store.read()).map(applyItemDefaults);
+  }
+
+  // With `after` ({ value, id } from a cursor) the page starts right after that
+  // position instead of at an offset
+  async function list({ page = 1, limit = 10, sort = null, after = null, ...filters } = {}) {
+    const results = sortItems(filterItems(await readItems(), filters), sort);
+
+    const startIndex = after ? 0 : (page - 1) * limit;
+    return {
+      items: itemsAfter(results, after, sort).slice(startIndex, startIndex + limit),
+      totalItems: results.length
+    };
+  }
+
+  async function find(id) {
+    const data = await readItems();
+    return data.find(item => item.id === id) || null;
+  }
+
+  // Which of `skus` belong to an item, deleted or not
+  async function findUsedSkus(skus) {
+    const used = new Set((await readItems()).map(item => item.sku));
+    return skus.filter(sku => used.has(sku));
+  }
+
+  // Insert every item in one write, reserving a block of ids
+  function createMany(fieldsList) {
+    return store.update(async data => {
+      const maxId = data.reduce((max, item) => Math.max(max, item.id), 0);
+      const skus = new Set();
+      for (const { sku } of fieldsList) {
+        assertSkuAvailable(data, sku);
+        if (sku && skus.has(sku)) {
+          throw duplicateSkuError(sku);
+        }
+        skus.add(sku);
+      }
+
+      const firstId = await sequence.next(maxId, fieldsList.length);
+      const now = new Date().toISOString();
+      const items = fieldsList.map((fields, i) =>
+        applyItemDefaults({ ...fields, id: firstId + i, createdAt: now, updatedAt: now })
+      );
+      data.push(...items);
+      return items;
+    });
+  }
+
+  async function create(fields) {
+    const [item] = await createMany([fields]);
+    return item;
+  }
+
+  // Merge `fields` into the item, or replace every client field with `replace`.
+  // With `expectedVersion` the update only happens if the item is still at that version.
+  // Deleted items can't be updated until they are restored.
+  function update(id, fields, { replace = false, expectedVersion } = {}) {
+    return mutateItem(data => {
+      const index = indexOf(data, id);
+      const current = applyItemDefaults(data[index]);
+      assertVersion(current, expectedVersion);
+      assertSkuAvailable(data, fields.sku, id);
+      data[index] = applyItemDefaults({
+        ...(replace ? {} : current),
+        ...fields,
+        id,
+        version: current.version + 1,
+        createdAt: current.createdAt,
+        updatedAt: new Date().toISOString()
+      });
+      return data[index];
+    });
+  }
+
+  // Move an item into (`trashed`) or out of the trash, counting it as a change
+  function setTrashed(id, trashed, expectedVersion) {
+    return mutateItem(data => {
+      const index = indexOf(data, id, { deleted: !trashed });
+      const current = applyItemDefaults(data[index]);
+      assertVersion(current, expectedVersion);
+      const now = new Date().toISOString();
+      data[index] = applyItemDefaults({
+        ...current,
+        version: current.version + 1,
+        updatedAt: now,
+        deletedAt: trashed ? now : null
+      });
+      return data[index];
+    });
+  }
+
+  // Move a live item to the trash
+  function remove(id, { expectedVersion } = {}) {
+    return setTrashed(id, true, expectedVersion);
+  }
+
+  // Bring an item back from the trash
+  function restore(id, { expectedVersion } = {}) {
+    return setTrashed(id, false, expectedVersion);
+  }
+
+  // Permanently remove every item deleted at or before `cutoff` (an ISO timestamp)
+  async function purge(cutoff) {
+    const cutoffTime = Date.parse(cutoff);
+    const expired = item => item.deletedAt && Date.parse(item.deletedAt) <= cutoffTime;
+    if (!(await store.read()).some(expired)) {
+      return [];
+    }
+    return store.update(data => {
+      const purged = data.filter(expired).map(applyItemDefaults);
+      data.splice(0, data.length, ...data.filter(item => !expired(item)));
+      return purged;
+    });
+  }
+
+  // Summarize the items matching the list filters (`q`, `category`, price range).
+  // `summarize` defaults to the catalog stats; see utils/stats.js.
+  async function aggregate(filters = {}, summarize = calculateStats) {
+    return summarize(filterItems(await readItems(), filters));
+  }
+
+  function getModifiedTime() {
+    return store.getModifiedTime();
+  }
+
+  // Read and parse the whole file, as a request would
+  async function check() {
+    const data = await store.read();
+    if (!Array.isArray(data)) {
+      throw new Error('Data file does not contain a list of items');
+    }
+  }
+
+  function getStorageSize() {
+    return store.getSize();
+  }
+
+  // Changes are reported by the store, including edits by other processes while watched
+  function onChange(listener) {
+    return store.subscribe(listener);
+  }
+
+  function watch() {
+    return store.watch();
+  }
+
+  function close() {
+    return store.flush();
+  }
+
+  return {
+    driver: 'json',
+    filePath: store.filePath,
+    list,
+    find,
+    findUsedSkus,
+    create,
+    createMany,
+    update,
+    delete: remove,
+    restore,
+    purge,
+    aggregate,
+    getModifiedTime,
+    check,
+    getStorageSize,
+    onChange,
+    watch,
+    close
+  };
+}
+
+module.exports = { createJsonItemRepository };
@@ -0,0 +1,442 @@
+const fs = require('fs');
+const Database = require('better-sqlite3');
+const { calculateStats } = require('../utils/stats');
+const { SORT_FIELDS } = require('../utils/itemQuery');
+const { applyItemDefaults, assertVersion, duplicateSkuError } = require('../models/item');
+const { logger: defaultLogger } = require('../utils/logger');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS items (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    category TEXT NOT NULL,
+    price REAL NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS items_category ON items (category);
+`;
+
+// Columns added after the first release; older databases are upgraded on open
+const ADDED_COLUMNS = {
+  description: "TEXT NOT NULL DEFAULT ''",
+  sku: 'TEXT',
+  stock: 'INTEGER NOT NULL DEFAULT 0',
+  image_url: 'TEXT',
+  tags: "TEXT NOT NULL DEFAULT '[]'",
+  version: 'INTEGER NOT NULL DEFAULT 1',
+  created_at: 'TEXT',
+  updated_at: 'TEXT',
+  deleted_at: 'TEXT'
+};
+
+const COLUMNS = 'id, name, category, price, description, sku, stock, image_url, tags, version, created_at, updated_at, deleted_at';
+const VALUES = '@id, @name, @category, @price, @description, @sku, @stock, @imageUrl, @tags, @version, @createdAt, @updatedAt, @deletedAt';
+
+function migrate(db) {
+  const existing = new Set(db.pragma('table_info(items)').map(column => column.name));
+  for (const [column, definition] of Object.entries(ADDED_COLUMNS)) {
+    if (!existing.has(column)) {
+      db.exec(`ALTER TABLE items ADD COLUMN ${column} ${definition}`);
+    }
+  }
+  db.exec('CREATE UNIQUE INDEX IF NOT EXISTS items_sku ON items (sku) WHERE sku IS NOT NULL');
+}
+
+function toItem(row) {
+  return row && applyItemDefaults({
+    id: row.id,
+    name: row.name,
+    category: row.category,
+    price: row.price,
+    description: row.description,
+    sku: row.sku,
+    stock: row.stock,
+    imageUrl: row.image_url,
+    tags: JSON.parse(row.tags),
+    version: row.version,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    deletedAt: row.deleted_at
+  });
+}
+
+// Statement parameters for an item; tags are stored as JSON text
+function toParams(item) {
+  return { ...applyItemDefaults(item), tags: JSON.stringify(item.tags || []) };
+}
+
+// Escape LIKE wildcards so user input is matched literally
+function escapeLike(value) {
+  return value.replace(/[\\%_]/g, match => `\\${match}`);
+}
+
+// Build the WHERE clause shared by list queries (mirrors utils/itemQuery.filterItems)
+function buildWhere({ q, category = [], minPrice = null, maxPrice = null, deleted = 'exclude' }) {
+  const clauses = [];
+  const params = {};
+
+  if (deleted === 'only') {
+    clauses.push('deleted_at IS NOT NULL');
+  } else if (deleted !== 'include') {
+    clauses.push('deleted_at IS NULL');
+  }
+
+  if (q) {
+    const columns = ['name', 'category', 'sku'];
+    const matches = columns.map(column => `lower(${column}) LIKE @search ESCAPE '\\'`);
+    // Tags are stored as JSON text, so each one is matched on its own rather than the brackets and quotes around them
+    matches.push(`EXISTS (SELECT 1 FROM json_each(items.tags) WHERE lower(value) LIKE @search ESCAPE '\\')`);
+    clauses.push(`(${matches.join(' OR ')})`);
+    params.search = `%${escapeLike(q.toLowerCase())}%`;
+  }
+
+  if (category.length > 0) {
+    const names = category.map((value, i) => {
+      params[`category${i}`] = value.toLowerCase();
+      return `@category${i}`;
+    });
+    clauses.push(`lower(category) IN (${names.join(', ')})`);
+  }
+
+  if (minPrice !== null) {
+    clauses.push('price >= @minPrice');
+    params.minPrice = minPrice;
+  }
+
+  if (maxPrice !== null) {
+    clauses.push('price <= @maxPrice');
+    params.maxPrice = maxPrice;
+  }
+
+  return {
+    where: clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '',
+    params
+  };
+}
+
+// Keyset condition selecting rows strictly after a cursor position
+function buildAfter(after, sort, params) {
+  params.afterId = after.id;
+  if (!sort) {
+    return 'id > @afterId';
+  }
+  const column = sort.field === 'price' ? 'price' : `${sort.field} COLLATE NOCASE`;
+  const op = sort.direction === 'desc' ? '<' : '>';
+  params.afterValue = after.value;
+  return `(${column} ${op} @afterValue OR (${column} = @afterValue AND id ${op} @afterId))`;
+}
+
+// ORDER BY for a parsed sort; ties are broken by id in the same direction
+function buildOrderBy(sort) {
+  if (!sort) {
+    return 'ORDER BY id';
+  }
+  // Column names are interpolated, so only whitelisted fields get through
+  if (!SORT_FIELDS.includes(sort.field)) {
+    throw new Error(`Unsupported sort field: ${sort.field}`);
+  }
+  const column = sort.field === 'price' ? 'price' : `${sort.field} COLLATE NOCASE`;
+  const direction = sort.direction === 'desc' ? 'DESC' : 'ASC';
+  return `ORDER BY ${column} ${direction}, id ${direction}`;
+}
+
+// Statements every repository method reuses
+function prepareStatements(db) {
+  return {
+    find: db.prepare(`SELECT ${COLUMNS} FROM items WHERE id = ?`),
+    insert: db.prepare(`INSERT INTO items (${COLUMNS}) VALUES (${VALUES})`),
+    replace: db.prepare(`INSERT OR REPLACE INTO items (${COLUMNS}) VALUES (${VALUES})`),
+    update: db.prepare(`
+      UPDATE items SET name = @name, category = @category, price = @price,
+        description = @description, sku = @sku, stock = @stock, image_url = @imageUrl,
+        tags = @tags, version = @version, updated_at = @updatedAt, deleted_at = @deletedAt
+      WHERE id = @id
+    `),
+    expired: db.prepare(`SELECT ${COLUMNS} FROM items WHERE deleted_at IS NOT NULL AND deleted_at <= ?`),
+    delete: db.prepare('DELETE FROM items WHERE id = ?'),
+    count: db.prepare('SELECT COUNT(*) AS count FROM items'),
+    usedSkus: db.prepare('SELECT sku FROM items WHERE sku IN (SELECT value FROM json_each(?))')
+  };
+}
+
+// Item repository backed by an embedded SQLite database.
+// better-sqlite3 is synchronous; methods are async to match the JSON adapter.
+// AUTOINCREMENT keeps ids monotonic: SQLite never reuses the id of a purged row.
+// The database is opened on first use, so building a repository (as the shared
+// default storage does when it's required) touches nothing on disk.
+// Failing change listeners are reported to `logger`.
+function createSqliteItemRepository({ filename, logger = defaultLogger }) {
+  let db = null;
+  let statements = null;
+
+  function open() {
+    if (!db) {
+      const database = new Database(filename);
+      database.pragma('journal_mode = WAL');
+      database.exec(SCHEMA);
+      migrate(database);
+      statements = prepareStatements(database);
+      db = database;
+    }
+    return db;
+  }
+
+  // A transaction around `fn`, prepared once the database is open
+  function transaction(fn) {
+    let run = null;
+    return (...args) => {
+      run = run || open().transaction(fn);
+      return run(...args);
+    };
+  }
+
+  // Run a write, translating SKU uniqueness violations into a 409
+  function withSkuCheck(write, sku) {
+    try {
+      return write();
+    } catch (error) {
+      if (error.code === 'SQLITE_CONSTRAINT_UNIQUE' && /items\.sku/.test(error.message)) {
+        throw duplicateSkuError(sku);
+      }
+      throw error;
+    }
+  }
+
+  // WAL commits don't reliably touch the main file's mtime, so track changes ourselves
+  let modifiedAt = fs.existsSync(filename) ? fs.statSync(filename).mtime.getTime() : Date.now();
+  const listeners = new Set();
+  function touch() {
+    modifiedAt = Math.max(Date.now(), modifiedAt + 1);
+    for (const listener of listeners) {
+      try {
+        listener({ source: 'write' });
+      } catch (error) {
+        logger.error('repository change listener failed', { error });
+      }
+    }
+  }
+
+  // With `after` ({ value, id } from a cursor) the page is selected by keyset
+  // instead of OFFSET
+  async function list({ page = 1, limit = 10, sort = null, after = null, ...filters } = {}) {
+    const { where, params } = buildWhere(filters);
+    const { totalItems } = open().prepare(`SELECT COUNT(*) AS totalItems FROM items ${where}`).get(params);
+
+    const pageParams = { ...params, limit, offset: after ? 0 : (page - 1) * limit };
+    let pageWhere = where;
+    if (after) {
+      const keyset = buildAfter(after, sort, pageParams);
+      pageWhere = where ? `${where} AND ${keyset}` : `WHERE ${keyset}`;
+    }
+    const items = open()
+      .prepare(`SELECT ${COLUMNS} FROM items ${pageWhere} ${buildOrderBy(sort)} LIMIT @limit OFFSET @offset`)
+      .all(pageParams)
+      .map(toItem);
+
+    return { items, totalItems };
+  }
+
+  async function find(id) {
+    open();
+    return toItem(statements.find.get(id)) || null;
+  }
+
+  async function findUsedSkus(skus) {
+    open();
+    return statements.usedSkus.all(JSON.stringify(skus)).map(row => row.sku);
+  }
+
+  // Insert every item in one transaction
+  const createManyTransaction = transaction(fieldsList => {
+    const now = new Date().toISOString();
+    return fieldsList.map(fields => {
+      const params = toParams({ ...fields, id: null, createdAt: now, updatedAt: now });
+      const { lastInsertRowid } = withSkuCheck(() => statements.insert.run(params), fields.sku);
+      return toItem(statements.find.get(lastInsertRowid));
+    });
+  });
+
+  async function createMany(fieldsList) {
+    const items = createManyTransaction(fieldsList);
+    touch();
+    return items;
+  }
+
+  async function create(fields) {
+    const [item] = await createMany([fields]);
+    return item;
+  }
+
+  // Merge `fields` into the item, or replace every client field with `replace`.
+  // With `expectedVersion` the update only happens if the item is still at that version.
+  // Deleted items can't be updated until they are restored.
+  const updateTransaction = transaction((id, fields, replace, expectedVersion) => {
+    const current = toItem(statements.find.get(id));
+    if (!current || current.deletedAt) {
+      return null;
+    }
+    assertVersion(current, expectedVersion);
+    const item = applyItemDefaults({
+      ...(replace ? {} : current),
+      ...fields,
+      id,
+      version: current.version + 1,
+      createdAt: current.createdAt,
+      updatedAt: new Date().toISOString()
+    });
+    withSkuCheck(() => statements.update.run(toParams(item)), fields.sku);
+    return item;
+  });
+
+  async function update(id, fields, { replace = false, expectedVersion } = {}) {
+    const item = updateTransaction(id, fields, replace, expectedVersion);
+    if (item) {
+      touch();
+    }
+    return item;
+  }
+
+  // Move an item into (`trashed`) or out of the trash, counting it as a change
+  const trashTransaction = transaction((id, trashed, expectedVersion) => {
+    const current = toItem(statements.find.get(id));
+    if (!current || Boolean(current.deletedAt) === trashed) {
+      return null;
+    }
+    assertVersion(current, expectedVersion);
+    const now = new Date().toISOString();
+    const item = applyItemDefaults({
+      ...current,
+      version: current.version + 1,
+      updatedAt: now,
+      deletedAt: trashed ? now : null
+    });
+    statements.update.run(toParams(item));
+    return item;
+  });
+
+  function setTrashed(id, trashed, expectedVersion) {
+    const item = trashTransaction(id, trashed, expectedVersion);
+    if (item) {
+      touch();
+    }
+    return item;
+  }
+
+  // Move a live item to the trash
+  async function remove(id, { expectedVersion } = {}) {
+    return setTrashed(id, true, expectedVersion);
+  }
+
+  // Bring an item back from the trash
+  async function restore(id, { expectedVersion } = {}) {
+    return setTrashed(id, false, expectedVersion);
+  }
+
+  // Permanently remove every item deleted at or before `cutoff` (an ISO timestamp).
+  // Timestamps are stored as ISO strings, so they compare correctly as text.
+  const purgeTransaction = transaction(cutoff => {
+    const items = statements.expired.all(cutoff).map(toItem);
+    for (const item of items) {
+      statements.delete.run(item.id);
+    }
+    return items;
+  });
+
+  async function purge(cutoff) {
+    const items = purgeTransaction(cutoff);
+    if (items.length > 0) {
+      touch();
+    }
+    return items;
+  }
+
+  // Percentiles don't map onto portable SQL aggregates, so only the filtering runs
+  // in SQLite and the numbers come from the same utils/stats.js as the JSON adapter
+  async function aggregate(filters = {}, summarize = calculateStats) {
+    const { where, params } = buildWhere(filters);
+    const rows = open().prepare(`SELECT category, price, stock FROM items ${where}`).all(params);
+    return summarize(rows);
+  }
+
+  // Bulk-load items, keeping their ids. Existing rows with the same id are replaced.
+  const importTransaction = transaction(items => {
+    for (const item of items) {
+      statements.replace.run(toParams(item));
+    }
+    return items.length;
+  });
+
+  async function importItems(items) {
+    const count = importTransaction(items);
+    touch();
+    return count;
+  }
+
+  async function isEmpty() {
+    open();
+    return statements.count.get().count === 0;
+  }
+
+  async function getModifiedTime() {
+    return modifiedAt;
+  }
+
+  // Query the items table, as a request would
+  async function check() {
+    try {
+      open();
+      statements.count.get();
+    } catch (error) {
+      throw new Error(`Failed to read database: ${error.message}`);
+    }
+  }
+
+  async function getStorageSize() {
+    try {
+      return (await fs.promises.stat(filename)).size;
+    } catch (error) {
+      throw new Error(`Failed to get file stats: ${error.message}`);
+    }
+  }
+
+  function onChange(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }
+
+  // Only writes made through this repository are reported; there is nothing to watch
+  function watch() {
+    return () => {};
+  }
+
+  // Nothing to release if the database was never opened
+  async function close() {
+    if (db) {
+      db.close();
+    }
+  }
+
+  return {
+    driver: 'sqlite',
+    filePath: filename,
+    list,
+    find,
+    findUsedSkus,
+    create,
+    createMany,
+    update,
+    delete: remove,
+    restore,
+    purge,
+    aggregate,
+    importItems,
+    isEmpty,
+    getModifiedTime,
+    check,
+    getStorageSize,
+    onChange,
+    watch,
+    close
+  };
+}
+
+module.exports = { createSqliteItemRepository };
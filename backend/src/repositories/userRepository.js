@@ -0,0 +1,112 @@
+const crypto = require('crypto');
+const { ROLES, publicUser, publicApiKey } = require('../models/user');
+const { hashPassword, verifyPassword } = require('../auth/passwords');
+
+// API keys look like `ik_<id>_<secret>`; the id finds the key, the secret proves it
+const API_KEY_PATTERN = /^ik_([0-9a-f]{16})_([A-Za-z0-9_-]{43})$/;
+
+// Compared when a username doesn't exist, so failed logins take the same time either way
+const DUMMY_HASH = 'scrypt$AAAAAAAAAAAAAAAAAAAAAA$AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA';
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function conflict(message, code) {
+  const err = new Error(message);
+  err.status = 409;
+  err.code = code;
+  return err;
+}
+
+// User accounts kept in a JSON document store (see models/user.js for the shape).
+// Methods resolve to stored users; use publicUser() before sending one to a client.
+function createUserRepository(store) {
+  async function find(username) {
+    const users = await store.read();
+    return users.find(user => user.username === username) || null;
+  }
+
+  async function list() {
+    return (await store.read()).map(publicUser);
+  }
+
+  async function create({ username, password, role }) {
+    if (!ROLES.includes(role)) {
+      throw new Error(`Unknown role "${role}" (expected one of: ${ROLES.join(', ')})`);
+    }
+    const passwordHash = await hashPassword(password);
+    return store.update(users => {
+      if (users.some(user => user.username === username)) {
+        throw conflict(`User "${username}" already exists`, 'DUPLICATE_USER');
+      }
+      const user = { username, role, passwordHash, apiKeys: [], createdAt: new Date().toISOString() };
+      users.push(user);
+      return publicUser(user);
+    });
+  }
+
+  // The user if the password matches, otherwise null
+  async function verifyCredentials(username, password) {
+    const user = await find(username);
+    const valid = await verifyPassword(password, user ? user.passwordHash : DUMMY_HASH);
+    return user && valid ? user : null;
+  }
+
+  // Issue a new API key for the user. The key is returned only here; just its hash is kept.
+  function createApiKey(username, name) {
+    const id = crypto.randomBytes(8).toString('hex');
+    const secret = crypto.randomBytes(32).toString('base64url');
+    return store.update(users => {
+      const user = users.find(candidate => candidate.username === username);
+      if (!user) {
+        return null;
+      }
+      const apiKey = { id, name, hash: hashSecret(secret), createdAt: new Date().toISOString() };
+      user.apiKeys = [...(user.apiKeys || []), apiKey];
+      return { ...publicApiKey(apiKey), key: `ik_${id}_${secret}` };
+    });
+  }
+
+  // The owner of a valid API key and the key's id, or null
+  async function findByApiKey(key) {
+    const match = API_KEY_PATTERN.exec(String(key));
+    if (!match) {
+      return null;
+    }
+    const [, id, secret] = match;
+    for (const user of await store.read()) {
+      const apiKey = (user.apiKeys || []).find(candidate => candidate.id === id);
+      if (apiKey) {
+        const expected = Buffer.from(apiKey.hash, 'hex');
+        const actual = Buffer.from(hashSecret(secret), 'hex');
+        return crypto.timingSafeEqual(actual, expected) ? { user, apiKeyId: id } : null;
+      }
+    }
+    return null;
+  }
+
+  async function listApiKeys(username) {
+    const user = await find(username);
+    return user ? (user.apiKeys || []).map(publicApiKey) : [];
+  }
+
+  // Resolves to false when the user has no key with that id
+  async function revokeApiKey(username, id) {
+    const users = await store.read();
+    const owner = users.find(user => user.username === username);
+    if (!owner || !(owner.apiKeys || []).some(apiKey => apiKey.id === id)) {
+      return false;
+    }
+    return store.update(data => {
+      const user = data.find(candidate => candidate.username === username);
+      const before = (user.apiKeys || []).length;
+      user.apiKeys = (user.apiKeys || []).filter(apiKey => apiKey.id !== id);
+      return user.apiKeys.length < before;
+    });
+  }
+
+  return { filePath: store.filePath, find, list, create, verifyCredentials, createApiKey, findByApiKey, listApiKeys, revokeApiKey };
+}
+
+module.exports = { createUserRepository };
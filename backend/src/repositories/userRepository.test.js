@@ -0,0 +1,63 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { createJsonStore } = require('../storage/jsonStore');
+const { createUserRepository } = require('./userRepository');
+
+describe('createUserRepository', () => {
+  let dir;
+  let users;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'users-'));
+    users = createUserRepository(createJsonStore(path.join(dir, 'users.json'), { defaultValue: [] }));
+    await users.create({ username: 'ana', password: 'correct horse', role: 'editor' });
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('should store users with hashed passwords', async () => {
+    const stored = await users.find('ana');
+
+    expect(stored).toMatchObject({ username: 'ana', role: 'editor', apiKeys: [] });
+    expect(stored.passwordHash).toMatch(/^scrypt\$/);
+    expect(JSON.stringify(stored)).not.toContain('correct horse');
+    await expect(users.list()).resolves.toEqual([{ username: 'ana', role: 'editor' }]);
+  });
+
+  it('should refuse duplicate usernames and unknown roles', async () => {
+    await expect(users.create({ username: 'ana', password: 'another one', role: 'viewer' }))
+      .rejects.toMatchObject({ status: 409, code: 'DUPLICATE_USER' });
+    await expect(users.create({ username: 'ben', password: 'another one', role: 'owner' }))
+      .rejects.toThrow('Unknown role "owner"');
+  });
+
+  it('should verify credentials', async () => {
+    await expect(users.verifyCredentials('ana', 'correct horse')).resolves.toMatchObject({ username: 'ana' });
+    await expect(users.verifyCredentials('ana', 'wrong')).resolves.toBeNull();
+    await expect(users.verifyCredentials('nobody', 'correct horse')).resolves.toBeNull();
+  });
+
+  it('should issue API keys that resolve to their owner until revoked', async () => {
+    const apiKey = await users.createApiKey('ana', 'ci');
+
+    expect(apiKey).toEqual({ id: expect.stringMatching(/^[0-9a-f]{16}$/), name: 'ci', createdAt: expect.any(String), key: expect.stringMatching(/^ik_/) });
+    await expect(users.findByApiKey(apiKey.key)).resolves.toMatchObject({ user: { username: 'ana' }, apiKeyId: apiKey.id });
+    await expect(users.listApiKeys('ana')).resolves.toEqual([{ id: apiKey.id, name: 'ci', createdAt: apiKey.createdAt }]);
+    expect(JSON.stringify(await users.find('ana'))).not.toContain(apiKey.key.slice(-43));
+
+    await expect(users.revokeApiKey('ana', apiKey.id)).resolves.toBe(true);
+    await expect(users.findByApiKey(apiKey.key)).resolves.toBeNull();
+    await expect(users.revokeApiKey('ana', apiKey.id)).resolves.toBe(false);
+  });
+
+  it('should reject API keys with a wrong secret or shape', async () => {
+    const { key } = await users.createApiKey('ana', 'ci');
+    const wrongSecret = `${key.slice(0, -1)}${key.endsWith('A') ? 'B' : 'A'}`;
+
+    await expect(users.findByApiKey(wrongSecret)).resolves.toBeNull();
+    await expect(users.findByApiKey('not-a-key')).resolves.toBeNull();
+  });
+});
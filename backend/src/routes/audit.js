@@ -0,0 +1,27 @@
+const express = require('express');
+const { auditLog: defaultAuditLog } = require('../storage');
+const validate = require('../middleware/validate');
+const { auditQuery } = require('../validation/schemas');
+
+// Router for /api/audit over `auditLog`
+function createAuditRouter({ auditLog = defaultAuditLog } = {}) {
+  const router = express.Router();
+
+  // GET /api/audit
+  // Every recorded item change, newest first. Filter by time range (`from`, `to`,
+  // inclusive ISO 8601), `actor`, `action` and `itemId`; `total` counts all matches.
+  router.get('/', validate({ query: auditQuery }), async (req, res, next) => {
+    try {
+      const { limit, ...filters } = req.query;
+      const { entries, total } = await auditLog.query({ ...filters, limit });
+
+      res.json({ entries, total, limit, filters });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createAuditRouter };
@@ -0,0 +1,103 @@
+const request = require('supertest');
+const express = require('express');
+const fs = require('fs').promises;
+const { createAuditRouter } = require('./audit');
+const { errorHandler } = require('../middleware/errorHandler');
+
+const app = express();
+app.use('/api/audit', createAuditRouter());
+app.use(errorHandler);
+
+jest.mock('fs', () => ({
+  // Synchronous calls stay real so config/ can be loaded
+  ...jest.requireActual('fs'),
+  promises: {
+    readFile: jest.fn(),
+    appendFile: jest.fn()
+  }
+}));
+
+const entries = [
+  { id: 'a', timestamp: '2024-03-01T10:00:00.000Z', actor: 'ana', action: 'created', itemId: 1, changes: {} },
+  { id: 'b', timestamp: '2024-03-02T10:00:00.000Z', actor: 'ben', action: 'updated', itemId: 1, changes: {} },
+  { id: 'c', timestamp: '2024-03-03T10:00:00.000Z', actor: 'ana', action: 'updated', itemId: 2, changes: {} },
+  { id: 'd', timestamp: '2024-03-04T10:00:00.000Z', actor: 'ana', action: 'deleted', itemId: 1, changes: {} }
+];
+
+describe('Audit API Routes', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    fs.readFile.mockResolvedValue(entries.map(entry => `${JSON.stringify(entry)}\n`).join(''));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  const ids = response => response.body.entries.map(entry => entry.id);
+
+  it('should return every entry, newest first', async () => {
+    const response = await request(app).get('/api/audit').expect(200);
+
+    expect(ids(response)).toEqual(['d', 'c', 'b', 'a']);
+    expect(response.body).toMatchObject({ total: 4, limit: 100, filters: {} });
+  });
+
+  it('should filter by an inclusive time range', async () => {
+    const response = await request(app)
+      .get('/api/audit?from=2024-03-02T10:00:00Z&to=2024-03-03')
+      .expect(200);
+
+    expect(ids(response)).toEqual(['b']);
+    expect(response.body.filters).toEqual({
+      from: '2024-03-02T10:00:00.000Z',
+      to: '2024-03-03T00:00:00.000Z'
+    });
+  });
+
+  it('should filter by actor, action and item', async () => {
+    const byActor = await request(app).get('/api/audit?actor=ana&action=updated').expect(200);
+    const byItem = await request(app).get('/api/audit?itemId=1').expect(200);
+
+    expect(ids(byActor)).toEqual(['c']);
+    expect(ids(byItem)).toEqual(['d', 'b', 'a']);
+  });
+
+  it('should limit entries but count every match', async () => {
+    const response = await request(app).get('/api/audit?limit=2').expect(200);
+
+    expect(ids(response)).toEqual(['d', 'c']);
+    expect(response.body.total).toBe(4);
+  });
+
+  it('should return nothing before the first change is recorded', async () => {
+    fs.readFile.mockRejectedValue(Object.assign(new Error('ENOENT: no such file'), { code: 'ENOENT' }));
+
+    const response = await request(app).get('/api/audit').expect(200);
+
+    expect(response.body).toMatchObject({ entries: [], total: 0 });
+  });
+
+  it('should reject invalid filters', async () => {
+    const badDate = await request(app).get('/api/audit?from=last-week').expect(400);
+    const backwards = await request(app).get('/api/audit?from=2024-03-05&to=2024-03-01').expect(400);
+    await request(app).get('/api/audit?action=renamed').expect(400);
+    await request(app).get('/api/audit?limit=5000').expect(400);
+
+    expect(badDate.body.error.details).toEqual([
+      { source: 'query', field: 'from', message: 'from must be an ISO 8601 date' }
+    ]);
+    expect(backwards.body.error.details).toEqual([
+      { source: 'query', field: null, message: 'from must not be later than to' }
+    ]);
+  });
+
+  it('should report unreadable logs', async () => {
+    fs.readFile.mockRejectedValue(new Error('EACCES: permission denied'));
+
+    const response = await request(app).get('/api/audit').expect(500);
+
+    expect(response.body.error.message).toContain('Failed to read audit log');
+  });
+});
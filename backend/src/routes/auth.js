@@ -0,0 +1,82 @@
+const express = require('express');
+const { userRepository: defaultUserRepository } = require('../repositories');
+const { sessionTokens: defaultSessionTokens } = require('../auth/tokens');
+const { publicUser } = require('../models/user');
+const { authenticate: defaultAuthenticate } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { loginBody, apiKeyBody, apiKeyParams } = require('../validation/schemas');
+
+// Router for /api/auth. `authenticate` must check tokens from `sessionTokens`.
+function createAuthRouter({
+  userRepository = defaultUserRepository,
+  sessionTokens = defaultSessionTokens,
+  authenticate = defaultAuthenticate
+} = {}) {
+  const router = express.Router();
+
+  // POST /api/auth/login
+  // Exchange a username and password for a session token, sent back as
+  // `Authorization: Bearer <token>` until `expiresAt`
+  router.post('/login', validate({ body: loginBody }), async (req, res, next) => {
+    try {
+      const user = await userRepository.verifyCredentials(req.body.username, req.body.password);
+      if (!user) {
+        const err = new Error('Invalid username or password');
+        err.status = 401;
+        throw err;
+      }
+
+      const { token, expiresAt } = sessionTokens.sign({ sub: user.username });
+      res.json({ token, tokenType: 'Bearer', expiresAt, user: publicUser(user) });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Everything below acts on the signed-in user
+  router.use(authenticate);
+
+  // GET /api/auth/me
+  router.get('/me', (req, res) => {
+    res.json({ user: publicUser(req.user) });
+  });
+
+  // GET /api/auth/api-keys
+  router.get('/api-keys', async (req, res, next) => {
+    try {
+      res.json({ apiKeys: await userRepository.listApiKeys(req.user.username) });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // POST /api/auth/api-keys
+  // Create an API key acting as the current user, for scripts and integrations
+  // (`X-API-Key: <key>`). The key is only ever shown in this response.
+  router.post('/api-keys', validate({ body: apiKeyBody }), async (req, res, next) => {
+    try {
+      const apiKey = await userRepository.createApiKey(req.user.username, req.body.name);
+      res.status(201).json(apiKey);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // DELETE /api/auth/api-keys/:keyId
+  router.delete('/api-keys/:keyId', validate({ params: apiKeyParams }), async (req, res, next) => {
+    try {
+      if (!(await userRepository.revokeApiKey(req.user.username, req.params.keyId))) {
+        const err = new Error('API key not found');
+        err.status = 404;
+        throw err;
+      }
+      res.status(204).end();
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createAuthRouter };
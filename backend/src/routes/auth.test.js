@@ -0,0 +1,100 @@
+const request = require('supertest');
+const express = require('express');
+const fs = require('fs').promises;
+const { createAuthRouter } = require('./auth');
+const { errorHandler } = require('../middleware/errorHandler');
+const { hashPassword } = require('../auth/passwords');
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth', createAuthRouter());
+app.use(errorHandler);
+
+jest.mock('fs', () => ({
+  // Synchronous calls stay real so config/ can be loaded
+  ...jest.requireActual('fs'),
+  promises: {
+    readFile: jest.fn(),
+    writeFile: jest.fn(),
+    copyFile: jest.fn(),
+    rename: jest.fn(),
+    unlink: jest.fn()
+  }
+}));
+
+describe('Auth API Routes', () => {
+  let users;
+
+  beforeAll(async () => {
+    users = [
+      { username: 'ana', role: 'editor', passwordHash: await hashPassword('correct horse'), apiKeys: [], createdAt: '2024-01-01T00:00:00.000Z' }
+    ];
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    // Serve the users file, and read back whatever was last written to it
+    let current = JSON.stringify(users);
+    fs.readFile.mockImplementation(async () => current);
+    fs.writeFile.mockImplementation(async (filePath, contents) => {
+      current = contents;
+    });
+    fs.copyFile.mockResolvedValue();
+    fs.rename.mockResolvedValue();
+    fs.unlink.mockResolvedValue();
+  });
+
+  const login = () => request(app).post('/api/auth/login').send({ username: 'ana', password: 'correct horse' });
+
+  it('should issue a session token for valid credentials', async () => {
+    const response = await login().expect(200);
+
+    expect(response.body).toEqual({
+      token: expect.stringMatching(/^[\w-]+\.[\w-]+$/),
+      tokenType: 'Bearer',
+      expiresAt: expect.any(String),
+      user: { username: 'ana', role: 'editor' }
+    });
+  });
+
+  it('should reject wrong credentials without saying which part was wrong', async () => {
+    const wrongPassword = await request(app).post('/api/auth/login').send({ username: 'ana', password: 'nope' }).expect(401);
+    const unknownUser = await request(app).post('/api/auth/login').send({ username: 'zed', password: 'correct horse' }).expect(401);
+
+    expect(wrongPassword.body.error.message).toBe('Invalid username or password');
+    expect(unknownUser.body.error.message).toBe('Invalid username or password');
+  });
+
+  it('should validate the login body', async () => {
+    const response = await request(app).post('/api/auth/login').send({ username: 'ana' }).expect(400);
+
+    expect(response.body.error.message).toBe('Password is required');
+  });
+
+  it('should describe the signed-in user', async () => {
+    const { body } = await login();
+
+    const response = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${body.token}`).expect(200);
+    await request(app).get('/api/auth/me').expect(401);
+
+    expect(response.body).toEqual({ user: { username: 'ana', role: 'editor' } });
+  });
+
+  it('should create, use, list and revoke API keys', async () => {
+    const { body: session } = await login();
+    const auth = `Bearer ${session.token}`;
+
+    const created = await request(app).post('/api/auth/api-keys').set('Authorization', auth).send({ name: 'ci' }).expect(201);
+    expect(created.body).toMatchObject({ name: 'ci', key: expect.stringMatching(/^ik_/) });
+
+    const me = await request(app).get('/api/auth/me').set('X-API-Key', created.body.key).expect(200);
+    expect(me.body.user.username).toBe('ana');
+
+    const listed = await request(app).get('/api/auth/api-keys').set('Authorization', auth).expect(200);
+    expect(listed.body.apiKeys).toEqual([{ id: created.body.id, name: 'ci', createdAt: created.body.createdAt }]);
+
+    await request(app).delete(`/api/auth/api-keys/${created.body.id}`).set('Authorization', auth).expect(204);
+    await request(app).get('/api/auth/me').set('X-API-Key', created.body.key).expect(401);
+    await request(app).delete(`/api/auth/api-keys/${created.body.id}`).set('Authorization', auth).expect(404);
+  });
+});
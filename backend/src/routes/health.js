@@ -0,0 +1,66 @@
+const express = require('express');
+const { itemRepository: defaultItemRepository } = require('../repositories');
+const { metrics: defaultMetrics } = require('../metrics');
+const { config } = require('../config');
+
+// Probes for load balancers and orchestrators. They are mounted outside /api and
+// need no credentials. `isDraining()` turns true once the server starts shutting
+// down, so /readyz fails and traffic moves elsewhere while requests finish.
+// `env` (NODE_ENV) decides whether failures are explained.
+function createHealthRouter({
+  itemRepository = defaultItemRepository,
+  metrics = defaultMetrics,
+  isDraining = () => false,
+  env = config.env
+} = {}) {
+  const router = express.Router();
+
+  // GET /healthz
+  // Liveness: the process is up and serving requests. Nothing else is checked, so a
+  // broken data file doesn't get the process restarted in a loop.
+  router.get('/healthz', (req, res) => {
+    res.json({ status: 'ok', uptime: Math.round(process.uptime()) });
+  });
+
+  // GET /readyz
+  // Readiness: the data store can be read and parsed, so requests can be served.
+  // Answers 503 while it can't, or while draining; the reason is only shown outside
+  // production.
+  router.get('/readyz', async (req, res) => {
+    if (isDraining()) {
+      return res.status(503).json({ status: 'draining', checks: {} });
+    }
+    try {
+      await itemRepository.check();
+      res.json({ status: 'ready', checks: { storage: { status: 'ok', driver: itemRepository.driver } } });
+    } catch (err) {
+      if (req.log) {
+        req.log.error('readiness check failed', { error: err });
+      }
+      const storage = { status: 'failed', driver: itemRepository.driver };
+      if (env !== 'production') {
+        storage.error = err.message;
+      }
+      res.status(503).json({ status: 'unavailable', checks: { storage } });
+    }
+  });
+
+  // GET /metrics
+  // Prometheus text format: request counts and latency histograms per route, stats
+  // cache effectiveness and the data file size.
+  router.get('/metrics', async (req, res, next) => {
+    try {
+      const { text, failed } = await metrics.render();
+      if (req.log) {
+        failed.forEach(({ name, error }) => req.log.warn('metric could not be collected', { metric: name, error }));
+      }
+      res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8').send(text);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createHealthRouter };
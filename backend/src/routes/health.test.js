@@ -0,0 +1,109 @@
+const request = require('supertest');
+const express = require('express');
+const fs = require('fs').promises;
+const { createHealthRouter } = require('./health');
+const { errorHandler } = require('../middleware/errorHandler');
+
+const app = express();
+app.use(createHealthRouter());
+app.use(errorHandler);
+
+// Mock fs.promises
+jest.mock('fs', () => ({
+  // Synchronous calls stay real so config/ can be loaded
+  ...jest.requireActual('fs'),
+  promises: {
+    readFile: jest.fn(),
+    writeFile: jest.fn(),
+    copyFile: jest.fn(),
+    rename: jest.fn(),
+    unlink: jest.fn(),
+    stat: jest.fn()
+  }
+}));
+
+describe('Health API Routes', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    fs.readFile.mockResolvedValue(JSON.stringify([{ id: 1, name: 'Desk', category: 'Furniture', price: 100 }]));
+    fs.stat.mockResolvedValue({ mtime: new Date('2024-01-01T00:00:00Z'), size: 2048 });
+  });
+
+  describe('GET /healthz', () => {
+    it('should report the process as alive without touching the data', async () => {
+      fs.readFile.mockRejectedValue(new Error('EACCES: permission denied'));
+
+      const response = await request(app).get('/healthz').expect(200);
+
+      expect(response.body).toEqual({ status: 'ok', uptime: expect.any(Number) });
+      expect(fs.readFile).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /readyz', () => {
+    it('should be ready when the data file parses', async () => {
+      const response = await request(app).get('/readyz').expect(200);
+
+      expect(response.body).toEqual({ status: 'ready', checks: { storage: { status: 'ok', driver: 'json' } } });
+    });
+
+    it('should answer 503 without checking storage while draining', async () => {
+      const draining = express();
+      draining.use(createHealthRouter({ isDraining: () => true }));
+
+      const response = await request(draining).get('/readyz').expect(503);
+
+      expect(response.body).toEqual({ status: 'draining', checks: {} });
+      expect(fs.readFile).not.toHaveBeenCalled();
+    });
+
+    it('should answer 503 when the data file is unreadable', async () => {
+      fs.readFile.mockRejectedValue(new Error('ENOENT: no such file or directory'));
+
+      const response = await request(app).get('/readyz').expect(503);
+
+      expect(response.body).toEqual({
+        status: 'unavailable',
+        checks: { storage: { status: 'failed', driver: 'json', error: 'Failed to read data file: ENOENT: no such file or directory' } }
+      });
+    });
+
+    it('should answer 503 when the data file is corrupt', async () => {
+      fs.readFile.mockResolvedValue('[{"id": 1,');
+
+      const response = await request(app).get('/readyz').expect(503);
+
+      expect(response.body.checks.storage.error).toMatch(/^Failed to read data file: /);
+    });
+
+    it('should not explain failures in production', async () => {
+      const production = express();
+      production.use(createHealthRouter({ env: 'production' }));
+      fs.readFile.mockResolvedValue('{}');
+
+      const response = await request(production).get('/readyz').expect(503);
+
+      expect(response.body.checks.storage).toEqual({ status: 'failed', driver: 'json' });
+    });
+  });
+
+  describe('GET /metrics', () => {
+    it('should expose Prometheus text with cache and data file metrics', async () => {
+      const response = await request(app).get('/metrics').expect(200);
+
+      expect(response.headers['content-type']).toMatch(/^text\/plain;.*version=0\.0\.4/);
+      expect(response.text).toContain('# TYPE stats_cache_hit_ratio gauge');
+      expect(response.text).toMatch(/^stats_cache_hits_total \d+$/m);
+      expect(response.text).toContain('data_file_size_bytes{driver="json"} 2048');
+    });
+
+    it('should leave out the data file size when it cannot be read', async () => {
+      fs.stat.mockRejectedValue(new Error('ENOENT: no such file or directory'));
+
+      const response = await request(app).get('/metrics').expect(200);
+
+      expect(response.text).toContain('# TYPE data_file_size_bytes gauge');
+      expect(response.text).not.toContain('data_file_size_bytes{');
+    });
+  });
+});
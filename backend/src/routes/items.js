@@ -1,125 +1,589 @@
 const express = require('express');
-const fs = require('fs').promises;
-const path = require('path');
-const router = express.Router();
-const DATA_PATH = path.join(__dirname, '../../../data/items.json');
-
-// Utility to read data asynchronously
-async function readData() {
-  try {
-    const raw = await fs.readFile(DATA_PATH, 'utf8');
-    return JSON.parse(raw);
-  } catch (error) {
-    throw new Error(`Failed to read data file: ${error.message}`);
+const { once } = require('events');
+const { itemRepository: defaultItemRepository } = require('../repositories');
+const { describeFilters, encodeCursor, decodeCursor } = require('../utils/itemQuery');
+const { parseCsvRecords, toCsvRow } = require('../utils/csv');
+const { omitServerFields, diffItems } = require('../models/item');
+const { itemEvents: defaultItemEvents } = require('../events/changeFeed');
+const { auditLog: defaultAuditLog } = require('../storage');
+const validate = require('../middleware/validate');
+const { requireRole } = require('../middleware/auth');
+const { importJsonBody: defaultImportJsonBody, importCsvBody: defaultImportCsvBody } = require('../middleware/bodyParsers');
+const conditionalGet = require('../middleware/conditionalGet');
+const { itemsVersion: defaultItemsVersion } = require('../cache/dataVersion');
+const { logger } = require('../utils/logger');
+const { config: defaultConfig } = require('../config');
+const {
+  itemBody,
+  itemPatchBody,
+  itemIdParams,
+  createSchemas,
+  importJsonRow,
+  importCsvRow,
+  importItemsQuery,
+  exportItemsQuery,
+  getItemQuery,
+  itemEventsQuery,
+  itemHistoryQuery
+} = require('../validation/schemas');
+
+// Columns of exported CSV files. Tags are written comma-separated in one cell.
+const CSV_COLUMNS = [
+  'id',
+  'name',
+  'category',
+  'price',
+  'sku',
+  'stock',
+  'description',
+  'imageUrl',
+  'tags',
+  'createdAt',
+  'updatedAt',
+  'deletedAt'
+];
+
+// SSE clients are told to wait this long before reconnecting, and get a comment
+// line at this interval so proxies don't close idle streams
+const SSE_RETRY_MS = 3000;
+const SSE_HEARTBEAT_MS = 25000;
+
+// Items are exported in keyset-paginated batches so large catalogs never sit in one response buffer
+const EXPORT_BATCH_SIZE = 500;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Throw a 404 unless the repository found the item. Items in the trash count as
+// missing unless `includeDeleted` is set.
+function assertFound(item, { includeDeleted = false } = {}) {
+  if (!item || (item.deletedAt && !includeDeleted)) {
+    const err = new Error('Item not found');
+    err.status = 404;
+    throw err;
   }
+  return item;
+}
+
+// Turn the `includeDeleted` query flag into the repository's `deleted` filter
+function withDeleted({ includeDeleted, ...filters }) {
+  return { ...filters, deleted: includeDeleted ? 'include' : 'exclude' };
 }
 
-// Utility to write data asynchronously
-async function writeData(data) {
-  try {
-    await fs.writeFile(DATA_PATH, JSON.stringify(data, null, 2), 'utf8');
-  } catch (error) {
-    throw new Error(`Failed to write data file: ${error.message}`);
+// Deleted items are the trash's, which only admins see: `includeDeleted=true`
+// needs the admin role. Runs after the query is validated.
+const requireAdminForDeleted = (req, res, next) => (
+  req.query.includeDeleted ? requireRole('admin')(req, res, next) : next()
+);
+
+// Who is making the request, as set by the authenticate middleware
+function actorOf(req) {
+  return req.user ? req.user.username : 'anonymous';
+}
+
+// Turn an import request body into rows plus the schema each row must satisfy
+function readImportRows(req) {
+  if (req.is('text/csv')) {
+    try {
+      return { rows: parseCsvRecords(req.body), schema: importCsvRow };
+    } catch (error) {
+      const err = new Error(`Invalid CSV: ${error.message}`);
+      err.status = 400;
+      throw err;
+    }
+  }
+  if (Array.isArray(req.body)) {
+    return { rows: req.body, schema: importJsonRow };
   }
+  const err = new Error('Import body must be CSV (text/csv) or a JSON array of items');
+  err.status = 400;
+  throw err;
 }
 
-// GET /api/items
-router.get('/', async (req, res, next) => {
-  try {
-    const data = await readData();
-    const { limit, q, page = 1 } = req.query;
-    let results = data;
-
-    // Implement server-side search
-    if (q) {
-      const searchTerm = q.toLowerCase();
-      results = results.filter(item => 
-        item.name.toLowerCase().includes(searchTerm) ||
-        item.category.toLowerCase().includes(searchTerm)
-      );
+// Write a chunk, waiting for the socket to drain when its buffer is full. The
+// listener that loses the race is removed, so long exports don't pile them up.
+async function writeChunk(res, chunk) {
+  if (!res.write(chunk)) {
+    const controller = new AbortController();
+    const { signal } = controller;
+    try {
+      await Promise.race([once(res, 'drain', { signal }), once(res, 'close', { signal })]);
+    } finally {
+      controller.abort();
     }
+  }
+}
 
-    // Implement pagination
-    const pageSize = parseInt(limit) || 10;
-    const pageNumber = parseInt(page);
-    const totalItems = results.length;
-    const totalPages = Math.ceil(totalItems / pageSize);
-    const startIndex = (pageNumber - 1) * pageSize;
-    const endIndex = startIndex + pageSize;
-    
-    const paginatedResults = results.slice(startIndex, endIndex);
+// Items are tagged with their version; the tag is what clients send back in If-Match
+function itemTag(item) {
+  return `"${item.version}"`;
+}
 
-    res.json({
-      items: paginatedResults,
-      pagination: {
-        page: pageNumber,
-        pageSize,
-        totalItems,
-        totalPages,
-        hasNextPage: pageNumber < totalPages,
-        hasPrevPage: pageNumber > 1
+function sendItem(res, item) {
+  res.set('ETag', itemTag(item));
+  if (item.updatedAt) {
+    res.set('Last-Modified', new Date(item.updatedAt).toUTCString());
+  }
+  res.set('Cache-Control', 'no-cache');
+  // res.json answers 304 by itself when the request's validators still match
+  res.json(item);
+}
+
+// Version the client expects the item to be at, from If-Match. Mutations require
+// the header; `*` skips the check, and a tag that isn't a version never matches.
+function expectedVersion(req) {
+  const header = (req.get('If-Match') || '').trim();
+  if (!header) {
+    const err = new Error('If-Match header is required; send the ETag from GET /api/items/:id');
+    err.status = 428;
+    throw err;
+  }
+  if (header === '*') {
+    return undefined;
+  }
+  const match = /^"(\d+)"$/.exec(header);
+  return match ? Number(match[1]) : NaN;
+}
+
+// Serialize a change feed event in the text/event-stream format
+function formatEvent({ id, type, data }) {
+  return `id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+// Router for /api/items, announcing changes on `itemEvents` and recording them in
+// `auditLog`. Page sizes and the trash retention come from `config`.
+function createItemsRouter({
+  itemRepository = defaultItemRepository,
+  auditLog = defaultAuditLog,
+  itemEvents = defaultItemEvents,
+  itemsVersion = defaultItemsVersion,
+  importJsonBody = defaultImportJsonBody,
+  importCsvBody = defaultImportCsvBody,
+  config = defaultConfig
+} = {}) {
+  const router = express.Router();
+  const { listItemsQuery, trashQuery, purgeQuery } = createSchemas(config);
+
+  // Announce a saved change to SSE subscribers and append it to the audit log.
+  // `before` is null for created items and `after` is null for deleted ones. The
+  // change is already committed, so a failed audit write is logged with the request
+  // (or to the shared logger outside the app), not returned.
+  async function recordChange(req, action, before, after) {
+    const item = after || before;
+    itemEvents.publish(action, item);
+    try {
+      await auditLog.append({
+        actor: actorOf(req),
+        action,
+        itemId: item.id,
+        changes: diffItems(before, after)
+      });
+    } catch (error) {
+      (req.log || logger).error('audit log write failed', { action, itemId: item.id, error });
+    }
+  }
+
+  // SKUs are unique across the catalog, trash included, so an import row is invalid
+  // when an existing item or an earlier row already has its SKU. Rows have been
+  // validated, so their SKUs are already uppercased.
+  async function findSkuErrors(rows) {
+    const withSku = rows.filter(({ value }) => value.sku);
+    const used = new Set(await itemRepository.findUsedSkus([...new Set(withSku.map(({ value }) => value.sku))]));
+    const firstRow = new Map();
+    const errors = [];
+    for (const { row, value: { sku } } of withSku) {
+      if (used.has(sku)) {
+        errors.push({ row, field: 'sku', message: `SKU "${sku}" is already in use` });
+      } else if (firstRow.has(sku)) {
+        errors.push({ row, field: 'sku', message: `SKU "${sku}" is already used by row ${firstRow.get(sku)}` });
+      } else {
+        firstRow.set(sku, row);
       }
-    });
-  } catch (err) {
-    next(err);
+    }
+    return errors;
   }
-});
-
-// GET /api/items/:id
-router.get('/:id', async (req, res, next) => {
-  try {
-    const data = await readData();
-    const item = data.find(i => i.id === parseInt(req.params.id));
-    if (!item) {
-      const err = new Error('Item not found');
-      err.status = 404;
-      throw err;
+
+  // GET /api/items
+  // Offset pagination by default (`page`). Passing `cursor` (alias `after`) switches to
+  // cursor mode: an empty value starts from the beginning, otherwise it must be the
+  // `nextCursor` of the previous page. Cursor pages don't shift when items are added.
+  // Deleted items are left out unless an admin asks for `includeDeleted=true`.
+  router.get('/', validate({ query: listItemsQuery }), requireAdminForDeleted, conditionalGet(itemsVersion), async (req, res, next) => {
+    try {
+      const { limit: pageSize, page, cursor: cursorParam, after: afterParam, ...query } = req.query;
+      const filters = withDeleted(query);
+      const cursor = cursorParam !== undefined ? cursorParam : afterParam;
+
+      // Search, filtering, sorting and pagination are delegated to the storage adapter
+      if (cursor !== undefined) {
+        const after = cursor ? decodeCursor(cursor, filters.sort) : null;
+        // Fetch one extra item to learn whether another page follows
+        const { items, totalItems } = await itemRepository.list({
+          ...filters,
+          after,
+          limit: pageSize + 1
+        });
+        const pageItems = items.slice(0, pageSize);
+        const hasNextPage = items.length > pageSize;
+
+        return res.json({
+          items: pageItems,
+          pagination: {
+            mode: 'cursor',
+            pageSize,
+            totalItems,
+            nextCursor: hasNextPage ? encodeCursor(pageItems[pageItems.length - 1], filters.sort) : null,
+            hasNextPage,
+            filters: describeFilters(filters)
+          }
+        });
+      }
+
+      const pageNumber = page || 1;
+      const { items, totalItems } = await itemRepository.list({
+        ...filters,
+        page: pageNumber,
+        limit: pageSize
+      });
+      const totalPages = Math.ceil(totalItems / pageSize);
+
+      res.json({
+        items,
+        pagination: {
+          mode: 'page',
+          page: pageNumber,
+          pageSize,
+          totalItems,
+          totalPages,
+          hasNextPage: pageNumber < totalPages,
+          hasPrevPage: pageNumber > 1,
+          filters: describeFilters(filters)
+        }
+      });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Yield every item matching the filters, one batch at a time
+  async function* iterateItems(filters) {
+    let after = null;
+    for (;;) {
+      const { items } = await itemRepository.list({ ...filters, after, limit: EXPORT_BATCH_SIZE });
+      yield* items;
+      if (items.length < EXPORT_BATCH_SIZE) {
+        return;
+      }
+      const last = items[items.length - 1];
+      after = { value: filters.sort ? last[filters.sort.field] : null, id: last.id };
     }
-    res.json(item);
-  } catch (err) {
-    next(err);
   }
-});
-
-// POST /api/items
-router.post('/', async (req, res, next) => {
-  try {
-    // Validate payload
-    const { name, category, price } = req.body;
-    
-    if (!name || typeof name !== 'string' || name.trim().length === 0) {
-      const err = new Error('Name is required and must be a non-empty string');
-      err.status = 400;
-      throw err;
+
+  // POST /api/items/import
+  // Accepts CSV (text/csv, header row required) or a JSON array. Every row is checked
+  // against the POST rules; ids and timestamps in the input are ignored. The import is all-or-nothing,
+  // and `dryRun=true` only reports what would happen.
+  router.post(
+    '/import',
+    requireRole('admin'),
+    // Parsed here, with the import limit, only once the caller is known to be an admin
+    importJsonBody,
+    importCsvBody,
+    validate({ query: importItemsQuery }),
+    async (req, res, next) => {
+      try {
+        const { rows, schema } = readImportRows(req);
+        if (rows.length === 0) {
+          const err = new Error('Nothing to import');
+          err.status = 400;
+          throw err;
+        }
+
+        const errors = [];
+        const checked = [];
+        rows.forEach((row, index) => {
+          // Ids and timestamps are always assigned by the server
+          const isObject = row !== null && typeof row === 'object' && !Array.isArray(row);
+          const result = schema.validate(isObject ? omitServerFields(row) : row);
+          if (result.errors.length > 0) {
+            errors.push(...result.errors.map(error => ({ row: index + 1, ...error })));
+          } else {
+            checked.push({ row: index + 1, value: result.value });
+          }
+        });
+
+        const skuErrors = await findSkuErrors(checked);
+        const clashing = new Set(skuErrors.map(error => error.row));
+        const valid = checked.filter(({ row }) => !clashing.has(row)).map(({ value }) => value);
+        errors.push(...skuErrors);
+        errors.sort((a, b) => a.row - b.row);
+
+        const report = {
+          dryRun: req.query.dryRun,
+          total: rows.length,
+          valid: valid.length,
+          invalid: rows.length - valid.length,
+          imported: 0,
+          errors
+        };
+
+        if (req.query.dryRun) {
+          return res.json(report);
+        }
+
+        if (errors.length > 0) {
+          const err = new Error(`${report.invalid} of ${report.total} rows are invalid; nothing was imported`);
+          err.status = 400;
+          err.code = 'VALIDATION_ERROR';
+          err.details = errors;
+          throw err;
+        }
+
+        const created = await itemRepository.createMany(valid);
+        await Promise.all(created.map(item => recordChange(req, 'created', null, item)));
+        res.status(201).json({ ...report, imported: created.length });
+      } catch (err) {
+        next(err);
+      }
     }
-    
-    if (!category || typeof category !== 'string' || category.trim().length === 0) {
-      const err = new Error('Category is required and must be a non-empty string');
-      err.status = 400;
-      throw err;
+  );
+
+  // GET /api/items/export?format=csv|json
+  // Streams every item matching the same search/filter/sort params as the list route
+  router.get('/export', validate({ query: exportItemsQuery }), requireAdminForDeleted, async (req, res, next) => {
+    const { format, ...query } = req.query;
+    const filters = withDeleted(query);
+
+    try {
+      const items = iterateItems(filters);
+      // Read the first batch before committing to a 200 so storage errors still get a JSON error
+      let result = await items.next();
+
+      res.attachment(`items.${format}`);
+      res.type(format === 'csv' ? 'text/csv' : 'application/json');
+
+      if (format === 'csv') {
+        await writeChunk(res, toCsvRow(CSV_COLUMNS));
+      } else {
+        await writeChunk(res, '[');
+      }
+
+      let first = true;
+      // Stop early if the client goes away
+      while (!result.done && !res.destroyed) {
+        const item = result.value;
+        if (format === 'csv') {
+          const values = CSV_COLUMNS.map(column => (column === 'tags' ? item.tags.join(',') : item[column]));
+          await writeChunk(res, toCsvRow(values));
+        } else {
+          await writeChunk(res, `${first ? '\n' : ',\n'}${JSON.stringify(item)}`);
+        }
+        first = false;
+        result = await items.next();
+      }
+
+      res.end(format === 'csv' ? '' : '\n]\n');
+    } catch (err) {
+      // Once streaming has started the status line is gone; just cut the response
+      if (res.headersSent) {
+        res.destroy(err);
+      } else {
+        next(err);
+      }
     }
-    
-    if (price === undefined || price === null || typeof price !== 'number' || price < 0) {
-      const err = new Error('Price is required and must be a non-negative number');
-      err.status = 400;
-      throw err;
+  });
+
+  // GET /api/items/events
+  // Server-Sent Events stream of `created`, `updated` and `deleted` events, each with
+  // the item as data. A client reconnecting with `Last-Event-ID` (or `?lastEventId=`)
+  // first receives the events it missed, or a `reset` event when they are no longer
+  // available and it should reload. The stream ends when the feed is closed on
+  // shutdown; clients reconnect to another instance after the retry delay.
+  router.get('/events', validate({ query: itemEventsQuery }), (req, res) => {
+    const header = req.get('Last-Event-ID');
+    const lastEventId = /^\d+$/.test(header || '') ? Number(header) : req.query.lastEventId;
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: ${SSE_RETRY_MS}\n\n`);
+
+    // Replay and subscribe in the same tick so no event falls in between
+    if (lastEventId !== undefined) {
+      const missed = itemEvents.since(lastEventId);
+      if (missed) {
+        missed.forEach(event => res.write(formatEvent(event)));
+      } else {
+        res.write('event: reset\ndata: {}\n\n');
+      }
     }
+    const unsubscribe = itemEvents.subscribe(event => res.write(formatEvent(event)), () => res.end());
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), SSE_HEARTBEAT_MS);
 
-    const item = {
-      id: Date.now(), // Simple ID generation - in production, use UUID
-      name: name.trim(),
-      category: category.trim(),
-      price: Number(price)
-    };
-    
-    const data = await readData();
-    data.push(item);
-    await writeData(data);
-    
-    res.status(201).json(item);
-  } catch (err) {
-    next(err);
-  }
-});
+    res.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  });
+
+  // GET /api/items/trash
+  // Deleted items, which POST /purge removes once past the retention window
+  router.get('/trash', requireRole('admin'), validate({ query: trashQuery }), conditionalGet(itemsVersion), async (req, res, next) => {
+    try {
+      const { page, limit: pageSize } = req.query;
+      const { items, totalItems } = await itemRepository.list({ deleted: 'only', page, limit: pageSize });
+      const totalPages = Math.ceil(totalItems / pageSize);
+
+      res.json({
+        items,
+        retentionDays: config.trash.retentionDays,
+        pagination: {
+          mode: 'page',
+          page,
+          pageSize,
+          totalItems,
+          totalPages,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1
+        }
+      });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // POST /api/items/purge
+  // Permanently removes items that have been in the trash for `olderThanDays`
+  // (the retention window by default)
+  router.post('/purge', requireRole('admin'), validate({ query: purgeQuery }), async (req, res, next) => {
+    try {
+      const cutoff = new Date(Date.now() - req.query.olderThanDays * DAY_MS).toISOString();
+      const purged = await itemRepository.purge(cutoff);
+      await Promise.all(purged.map(item => recordChange(req, 'purged', item, null)));
+
+      res.json({ purged: purged.length, ids: purged.map(item => item.id), cutoff });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // GET /api/items/:id/history
+  // Audit entries for one item, newest first. Deleted items keep their history.
+  router.get('/:id/history', validate({ params: itemIdParams, query: itemHistoryQuery }), async (req, res, next) => {
+    try {
+      const { entries, total } = await auditLog.query({ itemId: req.params.id, limit: req.query.limit });
+      if (total === 0) {
+        assertFound(await itemRepository.find(req.params.id));
+      }
+
+      res.json({ itemId: req.params.id, entries, total });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // GET /api/items/:id
+  // The ETag is the item's version, so it only changes when this item does.
+  // Deleted items are only returned to admins, with `includeDeleted=true`.
+  router.get('/:id', validate({ params: itemIdParams, query: getItemQuery }), requireAdminForDeleted, async (req, res, next) => {
+    try {
+      const item = assertFound(await itemRepository.find(req.params.id), req.query);
+      sendItem(res, item);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // POST /api/items
+  router.post('/', requireRole('editor'), validate({ body: itemBody }), async (req, res, next) => {
+    try {
+      const item = await itemRepository.create(req.body);
+      await recordChange(req, 'created', null, item);
+
+      res.status(201).json(item);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // PUT /api/items/:id (full replace)
+  // PUT, PATCH and DELETE require If-Match with the item's current ETag; a stale
+  // version gets a 412 whose details carry the current copy. Each reads the item
+  // first so the audit log can record what changed; with a version in If-Match
+  // that copy is exactly the one the change replaced.
+  router.put('/:id', requireRole('editor'), validate({ params: itemIdParams, body: itemBody }), async (req, res, next) => {
+    try {
+      const version = expectedVersion(req);
+      const before = assertFound(await itemRepository.find(req.params.id));
+      const item = assertFound(
+        await itemRepository.update(req.params.id, req.body, { replace: true, expectedVersion: version })
+      );
+      await recordChange(req, 'updated', before, item);
+
+      sendItem(res, item);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // PATCH /api/items/:id (partial update)
+  router.patch('/:id', requireRole('editor'), validate({ params: itemIdParams, body: itemPatchBody }), async (req, res, next) => {
+    try {
+      const version = expectedVersion(req);
+      const before = assertFound(await itemRepository.find(req.params.id));
+      const item = assertFound(
+        await itemRepository.update(req.params.id, req.body, { expectedVersion: version })
+      );
+      await recordChange(req, 'updated', before, item);
+
+      sendItem(res, item);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // DELETE /api/items/:id
+  // Moves the item to the trash; it can be restored until it is purged
+  router.delete('/:id', requireRole('admin'), validate({ params: itemIdParams }), async (req, res, next) => {
+    try {
+      const version = expectedVersion(req);
+      const before = assertFound(await itemRepository.find(req.params.id));
+      const item = assertFound(
+        await itemRepository.delete(req.params.id, { expectedVersion: version }),
+        { includeDeleted: true }
+      );
+      await recordChange(req, 'deleted', before, item);
+
+      res.status(204).end();
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // POST /api/items/:id/restore
+  // Takes an item out of the trash. Like the other mutations it requires If-Match.
+  router.post('/:id/restore', requireRole('admin'), validate({ params: itemIdParams }), async (req, res, next) => {
+    try {
+      const version = expectedVersion(req);
+      const before = assertFound(await itemRepository.find(req.params.id), { includeDeleted: true });
+      if (!before.deletedAt) {
+        const err = new Error(`Item ${before.id} is not deleted`);
+        err.status = 409;
+        err.code = 'NOT_DELETED';
+        throw err;
+      }
+      const item = assertFound(await itemRepository.restore(req.params.id, { expectedVersion: version }));
+      await recordChange(req, 'restored', before, item);
+
+      sendItem(res, item);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  return router;
+}
 
-module.exports = router;
\ No newline at end of file
+module.exports = { createItemsRouter };
@@ -1,8 +1,12 @@
 const request = require('supertest');
 const express = require('express');
+const http = require('http');
 const fs = require('fs').promises;
 const path = require('path');
-const itemsRouter = require('./items');
+const { createItemsRouter } = require('./items');
+const { errorHandler } = require('../middleware/errorHandler');
+const { itemEvents } = require('../events/changeFeed');
+const { createLogger } = require('../utils/logger');
 
 // Mock data
 const mockItems = [
@@ -11,28 +15,82 @@ const mockItems = [
   { "id": 3, "name": "Test Chair", "category": "Furniture", "price": 500 }
 ];
 
+// Lines logged through `req.log`, as parsed JSON
+const logLines = [];
+const log = createLogger({ level: 'error', write: line => logLines.push(JSON.parse(line)) });
+
 // Setup express app for testing
 const app = express();
 app.use(express.json());
-app.use('/api/items', itemsRouter);
-app.use((err, req, res, next) => {
-  res.status(err.status || 500).json({ error: err.message });
+// Stand-in for authenticate (and the request logger): requests run as an admin
+// unless a test names another user or role
+app.use((req, res, next) => {
+  req.user = { username: req.get('X-Test-User') || 'tester', role: req.get('X-Test-Role') || 'admin', apiKeyId: null };
+  req.log = log;
+  next();
 });
+app.use('/api/items', createItemsRouter());
+app.use(errorHandler);
 
 // Mock fs.promises
 jest.mock('fs', () => ({
+  // Synchronous calls stay real so config/ can be loaded
+  ...jest.requireActual('fs'),
   promises: {
     readFile: jest.fn(),
     writeFile: jest.fn(),
+    copyFile: jest.fn(),
+    rename: jest.fn(),
+    unlink: jest.fn(),
+    stat: jest.fn(),
+    appendFile: jest.fn(),
   }
 }));
 
+// Serve the items file, the id sequence file and the audit log from separate fixtures
+function mockDataFiles({ items = mockItems, sequence, audit } = {}) {
+  fs.readFile.mockImplementation(async filePath => {
+    if (filePath.endsWith('.jsonl')) {
+      if (!audit) {
+        throw Object.assign(new Error('ENOENT: no such file'), { code: 'ENOENT' });
+      }
+      return audit.map(entry => `${JSON.stringify(entry)}\n`).join('');
+    }
+    if (filePath.endsWith('.seq.json')) {
+      if (!sequence) {
+        throw Object.assign(new Error('ENOENT: no such file'), { code: 'ENOENT' });
+      }
+      return JSON.stringify(sequence);
+    }
+    return JSON.stringify(items);
+  });
+}
+
+// Audit entries appended so far
+function auditEntries() {
+  return fs.appendFile.mock.calls.map(([, line]) => JSON.parse(line));
+}
+
+// Documents written so far, keyed by the file they were written for
+function writtenFiles() {
+  return fs.writeFile.mock.calls.map(([filePath, contents]) => ({
+    filePath,
+    data: JSON.parse(contents)
+  }));
+}
+
 describe('Items API Routes', () => {
   beforeEach(() => {
     jest.clearAllMocks();
+    logLines.length = 0;
     // Default mock implementation
-    fs.readFile.mockResolvedValue(JSON.stringify(mockItems));
+    mockDataFiles();
     fs.writeFile.mockResolvedValue();
+    fs.copyFile.mockResolvedValue();
+    fs.rename.mockResolvedValue();
+    fs.stat.mockResolvedValue({ mtime: new Date('2024-01-01T00:00:00Z') });
+    fs.unlink.mockResolvedValue();
+    fs.appendFile.mockResolvedValue();
   });
 
   describe('GET /api/items', () => {
@@ -88,6 +146,213 @@ describe('Items API Routes', () => {
       expect(response.body.pagination.hasPrevPage).toBe(true);
     });
 
+    it('should also search SKUs and tags', async () => {
+      mockDataFiles({
+        items: [
+          { ...mockItems[0], sku: 'LPT-900' },
+          { ...mockItems[1], tags: ['audio', 'bluetooth'] },
+          mockItems[2]
+        ]
+      });
+
+      const bySku = await request(app).get('/api/items?q=lpt-9').expect(200);
+      const byTag = await request(app).get('/api/items?q=blue').expect(200);
+
+      expect(bySku.body.items.map(item => item.id)).toEqual([1]);
+      expect(byTag.body.items.map(item => item.id)).toEqual([2]);
+    });
+
+    it('should sort by price ascending and descending', async () => {
+      const ascending = await request(app).get('/api/items?sort=price').expect(200);
+      const descending = await request(app).get('/api/items?sort=-price').expect(200);
+
+      expect(ascending.body.items.map(item => item.id)).toEqual([2, 3, 1]);
+      expect(descending.body.items.map(item => item.id)).toEqual([1, 3, 2]);
+    });
+
+    it('should sort by name', async () => {
+      const response = await request(app).get('/api/items?sort=name').expect(200);
+
+      expect(response.body.items.map(item => item.name)).toEqual([
+        'Test Chair',
+        'Test Headphones',
+        'Test Laptop'
+      ]);
+    });
+
+    it('should filter by one or more categories', async () => {
+      const single = await request(app).get('/api/items?category=Furniture').expect(200);
+      const repeated = await request(app)
+        .get('/api/items?category=Furniture&category=electronics')
+        .expect(200);
+      const commaSeparated = await request(app)
+        .get('/api/items?category=Furniture,Electronics')
+        .expect(200);
+
+      expect(single.body.items.map(item => item.id)).toEqual([3]);
+      expect(repeated.body.pagination.totalItems).toBe(3);
+      expect(commaSeparated.body.pagination.totalItems).toBe(3);
+    });
+
+    it('should filter by price range', async () => {
+      const response = await request(app)
+        .get('/api/items?minPrice=200&maxPrice=500')
+        .expect(200);
+
+      expect(response.body.items.map(item => item.id)).toEqual([2, 3]);
+    });
+
+    it('should combine search, filters, sorting and pagination', async () => {
+      const response = await request(app)
+        .get('/api/items?q=test&category=Electronics&maxPrice=1000&sort=-price&limit=1&page=2')
+        .expect(200);
+
+      expect(response.body.items.map(item => item.id)).toEqual([2]);
+      expect(response.body.pagination).toMatchObject({
+        page: 2,
+        totalItems: 2,
+        totalPages: 2,
+        filters: {
+          q: 'test',
+          category: ['Electronics'],
+          minPrice: null,
+          maxPrice: 1000,
+          sort: '-price'
+        }
+      });
+    });
+
+    it('should echo empty filters when none are applied', async () => {
+      const response = await request(app).get('/api/items').expect(200);
+
+      expect(response.body.pagination.filters).toEqual({
+        q: null,
+        category: [],
+        minPrice: null,
+        maxPrice: null,
+        sort: null
+      });
+    });
+
+    it('should reject unknown sort fields', async () => {
+      const response = await request(app).get('/api/items?sort=rating').expect(400);
+
+      expect(response.body.error.message).toBe(
+        'sort must be one of: name, -name, category, -category, price, -price'
+      );
+    });
+
+    it('should reject invalid price filters', async () => {
+      const negative = await request(app).get('/api/items?minPrice=-5').expect(400);
+      const notANumber = await request(app).get('/api/items?maxPrice=cheap').expect(400);
+      const inverted = await request(app).get('/api/items?minPrice=500&maxPrice=100').expect(400);
+
+      expect(negative.body.error.message).toBe('minPrice must be a non-negative number');
+      expect(notANumber.body.error.message).toBe('maxPrice must be a non-negative number');
+      expect(inverted.body.error.message).toBe('minPrice must not be greater than maxPrice');
+    });
+
+    it('should default the page size to 10', async () => {
+      const response = await request(app).get('/api/items').expect(200);
+
+      expect(response.body.pagination.pageSize).toBe(10);
+    });
+
+    it('should reject out-of-range and malformed pagination params', async () => {
+      const tooLarge = await request(app).get('/api/items?limit=100000').expect(400);
+      const negative = await request(app).get('/api/items?page=-3').expect(400);
+      const notANumber = await request(app).get('/api/items?page=abc').expect(400);
+
+      expect(tooLarge.body.error.message).toBe('limit must be an integer between 1 and 100');
+      expect(negative.body.error.message).toBe('page must be a positive integer');
+      expect(notANumber.body.error.message).toBe('page must be a positive integer');
+      expect(fs.readFile).not.toHaveBeenCalled();
+    });
+
+    it('should reject unknown query params in the standard error format', async () => {
+      const response = await request(app).get('/api/items?serach=laptop').expect(400);
+
+      expect(response.body.error).toMatchObject({
+        code: 'VALIDATION_ERROR',
+        message: 'Unknown parameter "serach"',
+        details: [{ source: 'query', field: 'serach', message: 'Unknown parameter "serach"' }]
+      });
+    });
+
+    describe('cursor mode', () => {
+      const ids = response => response.body.items.map(item => item.id);
+
+      it('should return the first page and an opaque next cursor', async () => {
+        const response = await request(app).get('/api/items?cursor=&limit=2').expect(200);
+
+        expect(ids(response)).toEqual([1, 2]);
+        expect(response.body.pagination).toMatchObject({
+          mode: 'cursor',
+          pageSize: 2,
+          totalItems: 3,
+          hasNextPage: true
+        });
+        expect(typeof response.body.pagination.nextCursor).toBe('string');
+      });
+
+      it('should continue from the cursor and end with a null cursor', async () => {
+        const first = await request(app).get('/api/items?cursor=&limit=2');
+        const second = await request(app)
+          .get(`/api/items?cursor=${first.body.pagination.nextCursor}&limit=2`)
+          .expect(200);
+
+        expect(ids(second)).toEqual([3]);
+        expect(second.body.pagination.hasNextPage).toBe(false);
+        expect(second.body.pagination.nextCursor).toBeNull();
+      });
+
+      it('should not skip items when one is added before the cursor', async () => {
+        const first = await request(app).get('/api/items?cursor=&limit=2&sort=-price');
+        expect(ids(first)).toEqual([1, 3]);
+
+        // A new item sorting before the cursor position would shift an offset page
+        mockDataFiles({ items: [...mockItems, { id: 4, name: 'Test Desk', category: 'Furniture', price: 5000 }] });
+        const second = await request(app)
+          .get(`/api/items?after=${first.body.pagination.nextCursor}&limit=2&sort=-price`)
+          .expect(200);
+
+        expect(ids(second)).toEqual([2]);
+      });
+
+      it('should reject malformed cursors', async () => {
+        const response = await request(app).get('/api/items?cursor=not-a-cursor').expect(400);
+
+        expect(response.body.error.message).toBe('Invalid cursor');
+      });
+
+      it('should reject cursors whose sort key has the wrong type', async () => {
+        const forge = payload => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+        for (const [sort, k] of [['price', {}], ['price', '500'], ['name', 5], [null, 'x']]) {
+          const cursor = forge({ s: sort, k, id: 1 });
+          const response = await request(app)
+            .get(`/api/items?cursor=${cursor}${sort ? `&sort=${sort}` : ''}`)
+            .expect(400);
+          expect(response.body.error.message).toBe('Invalid cursor');
+        }
+      });
+
+      it('should reject cursors issued for a different sort', async () => {
+        const first = await request(app).get('/api/items?cursor=&limit=1&sort=price');
+        const response = await request(app)
+          .get(`/api/items?cursor=${first.body.pagination.nextCursor}&sort=name`)
+          .expect(400);
+
+        expect(response.body.error.message).toBe('Cursor does not match the requested sort');
+      });
+
+      it('should reject mixing page and cursor', async () => {
+        const response = await request(app).get('/api/items?cursor=&page=2').expect(400);
+
+        expect(response.body.error.message).toBe('page cannot be combined with cursor');
+      });
+    });
+
     it('should handle file read errors', async () => {
       fs.readFile.mockRejectedValue(new Error('File not found'));
 
@@ -95,7 +360,7 @@ describe('Items API Routes', () => {
         .get('/api/items')
         .expect(500);
 
-      expect(response.body.error).toContain('Failed to read data file');
+      expect(response.body.error.message).toContain('Failed to read data file');
     });
 
     it('should handle invalid JSON', async () => {
@@ -105,7 +370,7 @@ describe('Items API Routes', () => {
         .get('/api/items')
         .expect(500);
 
-      expect(response.body.error).toContain('Failed to read data file');
+      expect(response.body.error.message).toContain('Failed to read data file');
     });
   });
 
@@ -124,15 +389,29 @@ describe('Items API Routes', () => {
         .get('/api/items/999')
         .expect(404);
 
-      expect(response.body.error).toBe('Item not found');
+      expect(response.body.error.message).toBe('Item not found');
+    });
+
+    it('should reject malformed ids with a 400', async () => {
+      for (const id of ['abc', '12abc', '0', '-1', '1.5', '01', '99999999999999999999']) {
+        const response = await request(app)
+          .get(`/api/items/${id}`)
+          .expect(400);
+
+        expect(response.body.error.message).toBe('Invalid item id');
+      }
+      expect(fs.readFile).not.toHaveBeenCalled();
     });
 
-    it('should handle invalid ID format', async () => {
+    it('should still resolve legacy timestamp ids', async () => {
+      const legacyItem = { id: 1718000000000, name: 'Legacy', category: 'Misc', price: 1 };
+      mockDataFiles({ items: [...mockItems, legacyItem] });
+
       const response = await request(app)
-        .get('/api/items/abc')
-        .expect(404);
+        .get(`/api/items/${legacyItem.id}`)
+        .expect(200);
 
-      expect(response.body.error).toBe('Item not found');
+      expect(response.body).toMatchObject(legacyItem);
     });
 
     it('should handle file read errors', async () => {
@@ -142,7 +421,7 @@ describe('Items API Routes', () => {
         .get('/api/items/1')
         .expect(500);
 
-      expect(response.body.error).toContain('Failed to read data file');
+      expect(response.body.error.message).toContain('Failed to read data file');
     });
   });
 
@@ -166,6 +445,30 @@ describe('Items API Routes', () => {
       expect(fs.writeFile).toHaveBeenCalled();
     });
 
+    it('should assign the next id after the highest existing one', async () => {
+      const response = await request(app)
+        .post('/api/items')
+        .send(validItem)
+        .expect(201);
+
+      expect(response.body.id).toBe(4);
+      const [sequenceWrite, itemsWrite] = writtenFiles();
+      expect(sequenceWrite.filePath).toMatch(/\.seq\.json\.\d+\.tmp$/);
+      expect(sequenceWrite.data).toEqual({ lastId: 4 });
+      expect(itemsWrite.data.map(item => item.id)).toEqual([1, 2, 3, 4]);
+    });
+
+    it('should continue the persisted sequence rather than reuse deleted ids', async () => {
+      mockDataFiles({ sequence: { lastId: 10 } });
+
+      const response = await request(app)
+        .post('/api/items')
+        .send(validItem)
+        .expect(201);
+
+      expect(response.body.id).toBe(11);
+    });
+
     it('should trim whitespace from name and category', async () => {
       const itemWithSpaces = {
         name: '  Spaced Product  ',
@@ -190,7 +493,7 @@ describe('Items API Routes', () => {
         .send(invalidItem)
         .expect(400);
 
-      expect(response.body.error).toContain('Name is required');
+      expect(response.body.error.message).toContain('Name is required');
     });
 
     it('should validate name is not empty string', async () => {
@@ -201,7 +504,7 @@ describe('Items API Routes', () => {
         .send(invalidItem)
         .expect(400);
 
-      expect(response.body.error).toContain('Name is required');
+      expect(response.body.error.message).toContain('Name is required');
     });
 
     it('should validate name is not just whitespace', async () => {
@@ -212,7 +515,7 @@ describe('Items API Routes', () => {
         .send(invalidItem)
         .expect(400);
 
-      expect(response.body.error).toContain('Name is required');
+      expect(response.body.error.message).toContain('Name is required');
     });
 
     it('should validate required category field', async () => {
@@ -223,7 +526,7 @@ describe('Items API Routes', () => {
         .send(invalidItem)
         .expect(400);
 
-      expect(response.body.error).toContain('Category is required');
+      expect(response.body.error.message).toContain('Category is required');
     });
 
     it('should validate required price field', async () => {
@@ -234,7 +537,7 @@ describe('Items API Routes', () => {
         .send(invalidItem)
         .expect(400);
 
-      expect(response.body.error).toContain('Price is required');
+      expect(response.body.error.message).toContain('Price is required');
     });
 
     it('should validate price is a number', async () => {
@@ -245,7 +548,7 @@ describe('Items API Routes', () => {
         .send(invalidItem)
         .expect(400);
 
-      expect(response.body.error).toContain('Price is required and must be a non-negative number');
+      expect(response.body.error.message).toContain('Price is required and must be a non-negative number');
     });
 
     it('should validate price is not negative', async () => {
@@ -256,7 +559,114 @@ describe('Items API Routes', () => {
         .send(invalidItem)
         .expect(400);
 
-      expect(response.body.error).toContain('Price is required and must be a non-negative number');
+      expect(response.body.error.message).toContain('Price is required and must be a non-negative number');
+    });
+
+    it('should report every invalid field', async () => {
+      const response = await request(app)
+        .post('/api/items')
+        .send({ price: 'free' })
+        .expect(400);
+
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+      expect(response.body.error.details.map(detail => detail.field)).toEqual([
+        'name',
+        'category',
+        'price'
+      ]);
+    });
+
+    it('should reject unknown fields', async () => {
+      const response = await request(app)
+        .post('/api/items')
+        .send({ ...validItem, id: 42 })
+        .expect(400);
+
+      expect(response.body.error.message).toBe('Unknown field "id"');
+      expect(fs.writeFile).not.toHaveBeenCalled();
+    });
+
+    it('should accept and normalize the optional fields', async () => {
+      const response = await request(app)
+        .post('/api/items')
+        .send({
+          ...validItem,
+          description: 'Over-ear, wireless',
+          sku: 'hp-100',
+          stock: 12,
+          imageUrl: 'https://cdn.example.com/hp-100.png',
+          tags: ['Audio', 'audio', 'wireless']
+        })
+        .expect(201);
+
+      expect(response.body).toMatchObject({
+        description: 'Over-ear, wireless',
+        sku: 'HP-100',
+        stock: 12,
+        imageUrl: 'https://cdn.example.com/hp-100.png',
+        tags: ['audio', 'wireless']
+      });
+      expect(new Date(response.body.createdAt).toISOString()).toBe(response.body.createdAt);
+      expect(response.body.updatedAt).toBe(response.body.createdAt);
+    });
+
+    it('should default the optional fields', async () => {
+      const response = await request(app)
+        .post('/api/items')
+        .send(validItem)
+        .expect(201);
+
+      expect(response.body).toMatchObject({
+        description: '',
+        sku: null,
+        stock: 0,
+        imageUrl: null,
+        tags: []
+      });
+    });
+
+    it('should validate the optional fields', async () => {
+      const response = await request(app)
+        .post('/api/items')
+        .send({
+          ...validItem,
+          sku: 'has spaces',
+          stock: 1.5,
+          imageUrl: 'javascript:alert(1)',
+          tags: 'audio'
+        })
+        .expect(400);
+
+      expect(response.body.error.details.map(detail => detail.message)).toEqual([
+        'SKU must be 1-64 letters, digits, dots, dashes or underscores',
+        'Stock must be a non-negative integer',
+        'Image URL must be an http(s) URL',
+        'Tags must be a list of at most 20 non-empty strings'
+      ]);
+    });
+
+    it('should reject server-managed timestamps', async () => {
+      const response = await request(app)
+        .post('/api/items')
+        .send({ ...validItem, createdAt: '2020-01-01T00:00:00.000Z' })
+        .expect(400);
+
+      expect(response.body.error.message).toBe('Unknown field "createdAt"');
+    });
+
+    it('should reject a duplicate SKU with a 409', async () => {
+      mockDataFiles({ items: [{ ...mockItems[0], sku: 'LAPTOP-1' }, ...mockItems.slice(1)] });
+
+      const response = await request(app)
+        .post('/api/items')
+        .send({ ...validItem, sku: 'laptop-1' })
+        .expect(409);
+
+      expect(response.body.error).toMatchObject({
+        code: 'DUPLICATE_SKU',
+        message: 'SKU "LAPTOP-1" is already in use'
+      });
+      expect(fs.writeFile).not.toHaveBeenCalled();
     });
 
     it('should allow price of zero', async () => {
@@ -278,7 +688,7 @@ describe('Items API Routes', () => {
         .send(validItem)
         .expect(500);
 
-      expect(response.body.error).toContain('Failed to read data file');
+      expect(response.body.error.message).toContain('Failed to read data file');
     });
 
     it('should handle file write errors', async () => {
@@ -289,7 +699,7 @@ describe('Items API Routes', () => {
         .send(validItem)
         .expect(500);
 
-      expect(response.body.error).toContain('Failed to write data file');
+      expect(response.body.error.message).toContain('Failed to write data file');
     });
 
     it('should handle malformed JSON in data file', async () => {
@@ -300,7 +710,886 @@ describe('Items API Routes', () => {
         .send(validItem)
         .expect(500);
 
-      expect(response.body.error).toContain('Failed to read data file');
+      expect(response.body.error.message).toContain('Failed to read data file');
+    });
+  });
+  describe('PUT /api/items/:id', () => {
+    const replacement = {
+      name: 'Replaced Laptop',
+      category: 'Computers',
+      price: 1200
+    };
+
+    it('should replace an existing item', async () => {
+      const response = await request(app)
+        .put('/api/items/1')
+        .set('If-Match', '"1"')
+        .send(replacement)
+        .expect(200);
+
+      expect(response.body).toMatchObject({ id: 1, ...replacement, sku: null, tags: [] });
+      const written = JSON.parse(fs.writeFile.mock.calls[0][1]);
+      expect(written.find(item => item.id === 1)).toEqual(response.body);
+      expect(written).toHaveLength(3);
+    });
+
+    it('should require every field', async () => {
+      const response = await request(app)
+        .put('/api/items/1')
+        .set('If-Match', '"1"')
+        .send({ name: 'Only Name' })
+        .expect(400);
+
+      expect(response.body.error.message).toContain('Category is required');
+      expect(fs.writeFile).not.toHaveBeenCalled();
+    });
+
+    it('should validate price', async () => {
+      const response = await request(app)
+        .put('/api/items/1')
+        .set('If-Match', '"1"')
+        .send({ ...replacement, price: -1 })
+        .expect(400);
+
+      expect(response.body.error.message).toContain('Price is required and must be a non-negative number');
+    });
+
+    it('should return 404 for non-existent item', async () => {
+      const response = await request(app)
+        .put('/api/items/999')
+        .set('If-Match', '"1"')
+        .send(replacement)
+        .expect(404);
+
+      expect(response.body.error.message).toBe('Item not found');
+      expect(fs.writeFile).not.toHaveBeenCalled();
+    });
+
+    it('should handle file write errors', async () => {
+      fs.writeFile.mockRejectedValue(new Error('Write permission denied'));
+
+      const response = await request(app)
+        .put('/api/items/1')
+        .set('If-Match', '"1"')
+        .send(replacement)
+        .expect(500);
+
+      expect(response.body.error.message).toContain('Failed to write data file');
+    });
+  });
+
+  describe('PATCH /api/items/:id', () => {
+    it('should update only the provided fields', async () => {
+      const response = await request(app)
+        .patch('/api/items/2')
+        .set('If-Match', '"1"')
+        .send({ price: 150 })
+        .expect(200);
+
+      expect(response.body).toMatchObject({
+        id: 2,
+        name: 'Test Headphones',
+        category: 'Electronics',
+        price: 150
+      });
+      const written = JSON.parse(fs.writeFile.mock.calls[0][1]);
+      expect(written.find(item => item.id === 2).price).toBe(150);
+    });
+
+    it('should keep createdAt and refresh updatedAt', async () => {
+      const createdAt = '2024-01-01T00:00:00.000Z';
+      mockDataFiles({ items: [{ ...mockItems[1], createdAt, updatedAt: createdAt }] });
+
+      const response = await request(app)
+        .patch('/api/items/2')
+        .set('If-Match', '"1"')
+        .send({ stock: 3 })
+        .expect(200);
+
+      expect(response.body.createdAt).toBe(createdAt);
+      expect(response.body.updatedAt > createdAt).toBe(true);
+    });
+
+    it('should trim updated strings', async () => {
+      const response = await request(app)
+        .patch('/api/items/2')
+        .set('If-Match', '"1"')
+        .send({ name: '  Studio Headphones  ' })
+        .expect(200);
+
+      expect(response.body.name).toBe('Studio Headphones');
+    });
+
+    it('should validate provided fields', async () => {
+      const response = await request(app)
+        .patch('/api/items/2')
+        .set('If-Match', '"1"')
+        .send({ name: '   ' })
+        .expect(400);
+
+      expect(response.body.error.message).toContain('Name is required');
+      expect(fs.writeFile).not.toHaveBeenCalled();
+    });
+
+    it('should reject an empty update', async () => {
+      const response = await request(app)
+        .patch('/api/items/2')
+        .set('If-Match', '"1"')
+        .send({})
+        .expect(400);
+
+      expect(response.body.error.message).toBe('At least one item field must be provided');
+    });
+
+    it('should return 404 for non-existent item', async () => {
+      const response = await request(app)
+        .patch('/api/items/999')
+        .set('If-Match', '"1"')
+        .send({ price: 10 })
+        .expect(404);
+
+      expect(response.body.error.message).toBe('Item not found');
+    });
+  });
+
+  describe('DELETE /api/items/:id', () => {
+    it('should move an existing item to the trash', async () => {
+      await request(app)
+        .delete('/api/items/3')
+        .set('If-Match', '"1"')
+        .expect(204);
+
+      const written = JSON.parse(fs.writeFile.mock.calls[0][1]);
+      expect(written).toHaveLength(3);
+      expect(written.find(item => item.id === 3)).toMatchObject({ version: 2, deletedAt: expect.any(String) });
+    });
+
+    it('should return 404 for an item that is already deleted', async () => {
+      mockDataFiles({ items: [{ ...mockItems[0], deletedAt: '2024-01-01T00:00:00.000Z' }] });
+
+      await request(app).delete('/api/items/1').set('If-Match', '*').expect(404);
+      expect(fs.writeFile).not.toHaveBeenCalled();
+    });
+
+    it('should reject malformed ids', async () => {
+      await request(app).put('/api/items/1x').set('If-Match', '"1"').send({ name: 'A', category: 'B', price: 1 }).expect(400);
+      await request(app).patch('/api/items/1x').set('If-Match', '"1"').send({ price: 1 }).expect(400);
+      await request(app).delete('/api/items/1x').set('If-Match', '"1"').expect(400);
+
+      expect(fs.writeFile).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 for non-existent item', async () => {
+      const response = await request(app)
+        .delete('/api/items/999')
+        .set('If-Match', '"1"')
+        .expect(404);
+
+      expect(response.body.error.message).toBe('Item not found');
+      expect(fs.writeFile).not.toHaveBeenCalled();
+    });
+
+    it('should handle file read errors', async () => {
+      fs.readFile.mockRejectedValue(new Error('File not found'));
+
+      const response = await request(app)
+        .delete('/api/items/1')
+        .set('If-Match', '"1"')
+        .expect(500);
+
+      expect(response.body.error.message).toContain('Failed to read data file');
+    });
+  });
+
+  describe('POST /api/items/import', () => {
+    const csv = [
+      'name,category,price',
+      'Desk,Furniture,300',
+      '"Lamp, brass",Furniture,45.5'
+    ].join('\r\n');
+
+    it('should import CSV rows', async () => {
+      const response = await request(app)
+        .post('/api/items/import')
+        .set('Content-Type', 'text/csv')
+        .send(csv)
+        .expect(201);
+
+      expect(response.body).toMatchObject({ dryRun: false, total: 2, valid: 2, invalid: 0, imported: 2 });
+      const itemsWrite = writtenFiles().find(file => file.filePath.includes('items.json.'));
+      expect(itemsWrite.data.slice(3)).toMatchObject([
+        { id: 4, name: 'Desk', category: 'Furniture', price: 300 },
+        { id: 5, name: 'Lamp, brass', category: 'Furniture', price: 45.5 }
+      ]);
+    });
+
+    it('should import a JSON array and ignore incoming ids', async () => {
+      const response = await request(app)
+        .post('/api/items/import')
+        .send([{ id: 1, name: 'Desk', category: 'Furniture', price: 300 }])
+        .expect(201);
+
+      expect(response.body.imported).toBe(1);
+      const itemsWrite = writtenFiles().find(file => file.filePath.includes('items.json.'));
+      expect(itemsWrite.data.map(item => item.id)).toEqual([1, 2, 3, 4]);
+    });
+
+    it('should report row-level errors on a dry run without writing', async () => {
+      const response = await request(app)
+        .post('/api/items/import?dryRun=true')
+        .set('Content-Type', 'text/csv')
+        .send('name,category,price\nDesk,Furniture,300\n,Furniture,abc\n')
+        .expect(200);
+
+      expect(response.body).toMatchObject({ dryRun: true, total: 2, valid: 1, invalid: 1, imported: 0 });
+      expect(response.body.errors).toEqual([
+        { row: 2, field: 'name', message: 'Name is required and must be a non-empty string' },
+        { row: 2, field: 'price', message: 'Price is required and must be a non-negative number' }
+      ]);
+      expect(fs.writeFile).not.toHaveBeenCalled();
+    });
+
+    it('should validate JSON rows as strictly as POST', async () => {
+      const response = await request(app)
+        .post('/api/items/import?dryRun=true')
+        .send([{ name: 'Desk', category: 'Furniture', price: '300' }, 'oops'])
+        .expect(200);
+
+      expect(response.body.errors.map(error => error.row)).toEqual([1, 2]);
+    });
+
+    it('should import nothing when any row is invalid', async () => {
+      const response = await request(app)
+        .post('/api/items/import')
+        .send([
+          { name: 'Desk', category: 'Furniture', price: 300 },
+          { name: 'Lamp', category: 'Furniture', price: -1 }
+        ])
+        .expect(400);
+
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+      expect(response.body.error.message).toBe('1 of 2 rows are invalid; nothing was imported');
+      expect(response.body.error.details).toEqual([
+        { row: 2, field: 'price', message: 'Price is required and must be a non-negative number' }
+      ]);
+      expect(fs.writeFile).not.toHaveBeenCalled();
+    });
+
+    it('should report SKUs repeated in the import or already in the catalog', async () => {
+      mockDataFiles({ items: [{ id: 1, name: 'Desk', category: 'Furniture', price: 300, sku: 'OAK-1' }] });
+
+      const response = await request(app)
+        .post('/api/items/import?dryRun=true')
+        .set('Content-Type', 'text/csv')
+        .send('name,category,price,sku\nLamp,Furniture,40,DUP\nShade,Furniture,10,dup\nTable,Furniture,500,oak-1\n')
+        .expect(200);
+
+      expect(response.body).toMatchObject({ total: 3, valid: 1, invalid: 2, imported: 0 });
+      expect(response.body.errors).toEqual([
+        { row: 2, field: 'sku', message: 'SKU "DUP" is already used by row 1' },
+        { row: 3, field: 'sku', message: 'SKU "OAK-1" is already in use' }
+      ]);
+    });
+
+    it('should import nothing when SKUs clash', async () => {
+      const response = await request(app)
+        .post('/api/items/import')
+        .send([
+          { name: 'Lamp', category: 'Furniture', price: 40, sku: 'DUP' },
+          { name: 'Shade', category: 'Furniture', price: 10, sku: 'dup' }
+        ])
+        .expect(400);
+
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+      expect(response.body.error.details).toEqual([
+        { row: 2, field: 'sku', message: 'SKU "DUP" is already used by row 1' }
+      ]);
+      expect(fs.writeFile).not.toHaveBeenCalled();
+    });
+
+    it('should reject unsupported bodies', async () => {
+      const response = await request(app)
+        .post('/api/items/import')
+        .send({ name: 'Desk' })
+        .expect(400);
+
+      expect(response.body.error.message).toBe('Import body must be CSV (text/csv) or a JSON array of items');
+    });
+
+    it('should reject malformed CSV and empty imports', async () => {
+      const malformed = await request(app)
+        .post('/api/items/import')
+        .set('Content-Type', 'text/csv')
+        .send('name,category,price\n"Desk,Furniture,300\n')
+        .expect(400);
+      const empty = await request(app)
+        .post('/api/items/import')
+        .send([])
+        .expect(400);
+
+      expect(malformed.body.error.message).toBe('Invalid CSV: Unterminated quoted field');
+      expect(empty.body.error.message).toBe('Nothing to import');
+    });
+  });
+
+  describe('GET /api/items/export', () => {
+    it('should export JSON by default', async () => {
+      const response = await request(app)
+        .get('/api/items/export')
+        .expect(200);
+
+      expect(response.headers['content-type']).toContain('application/json');
+      expect(response.headers['content-disposition']).toBe('attachment; filename="items.json"');
+      expect(JSON.parse(response.text)).toMatchObject(mockItems);
+    });
+
+    it('should export CSV using the list filters', async () => {
+      const response = await request(app)
+        .get('/api/items/export?format=csv&category=Electronics&sort=-price')
+        .expect(200);
+
+      expect(response.headers['content-type']).toContain('text/csv');
+      expect(response.text).toBe([
+        'id,name,category,price,sku,stock,description,imageUrl,tags,createdAt,updatedAt,deletedAt',
+        '1,Test Laptop,Electronics,1000,,0,,,,,,',
+        '2,Test Headphones,Electronics,200,,0,,,,,,',
+        ''
+      ].join('\r\n'));
+    });
+
+    it('should not export cells that spreadsheets would run as formulas', async () => {
+      mockDataFiles({ items: [{ id: 1, name: '=HYPERLINK("http://evil","x")', category: '@Tools', price: 5 }] });
+
+      const response = await request(app).get('/api/items/export?format=csv').expect(200);
+
+      expect(response.text.split('\r\n')[1]).toBe('1,"\'=HYPERLINK(""http://evil"",""x"")",\'@Tools,5,,0,,,,,,');
+    });
+
+    it('should export every item across batches', async () => {
+      const manyItems = Array.from({ length: 1203 }, (_, i) => ({
+        id: i + 1,
+        name: `Item ${i + 1}`,
+        category: 'Bulk',
+        price: i
+      }));
+      mockDataFiles({ items: manyItems });
+
+      const response = await request(app).get('/api/items/export').expect(200);
+
+      expect(JSON.parse(response.text).map(item => item.id)).toEqual(manyItems.map(item => item.id));
+    });
+
+    it('should not leave listeners behind while waiting for slow clients', async () => {
+      const manyItems = Array.from({ length: 1203 }, (_, i) => ({
+        id: i + 1,
+        name: `Item ${i + 1}`,
+        category: 'Bulk',
+        price: i
+      }));
+      mockDataFiles({ items: manyItems });
+      // Most listeners the response had at once, per event
+      const peak = {};
+      const exportApp = express();
+      exportApp.use((req, res, next) => {
+        res.on('newListener', event => {
+          peak[event] = Math.max(peak[event] || 0, res.listenerCount(event) + 1);
+        });
+        next();
+      });
+      exportApp.use('/api/items', createItemsRouter());
+
+      await request(exportApp).get('/api/items/export').expect(200);
+
+      // Node warns about a leak past 10
+      expect(peak.close).toBeLessThanOrEqual(10);
+      expect(peak.error).toBeLessThanOrEqual(10);
+    });
+
+    it('should export an empty array when nothing matches', async () => {
+      const response = await request(app).get('/api/items/export?q=nothing').expect(200);
+
+      expect(JSON.parse(response.text)).toEqual([]);
+    });
+
+    it('should reject unknown formats', async () => {
+      const response = await request(app).get('/api/items/export?format=xml').expect(400);
+
+      expect(response.body.error.message).toBe('format must be one of: json, csv');
+    });
+
+    it('should report storage errors as JSON', async () => {
+      fs.readFile.mockRejectedValue(new Error('File not found'));
+
+      const response = await request(app).get('/api/items/export').expect(500);
+
+      expect(response.body.error.message).toContain('Failed to read data file');
+    });
+  });
+
+  describe('optimistic concurrency', () => {
+    it.each([
+      ['put', { name: 'A', category: 'B', price: 1 }],
+      ['patch', { price: 1 }],
+      ['delete', undefined]
+    ])('should require If-Match on %s', async (method, body) => {
+      const response = await request(app)[method]('/api/items/1').send(body).expect(428);
+
+      expect(response.body.error).toMatchObject({
+        code: 'PRECONDITION_REQUIRED',
+        message: 'If-Match header is required; send the ETag from GET /api/items/:id'
+      });
+      expect(fs.writeFile).not.toHaveBeenCalled();
+    });
+
+    it('should bump the version and return it as the ETag', async () => {
+      const response = await request(app)
+        .patch('/api/items/1')
+        .set('If-Match', '"1"')
+        .send({ price: 1200 })
+        .expect(200);
+
+      expect(response.body.version).toBe(2);
+      expect(response.headers.etag).toBe('"2"');
+    });
+
+    it('should reject a stale version with 412 and the current copy', async () => {
+      mockDataFiles({ items: [{ ...mockItems[0], version: 4 }] });
+
+      const response = await request(app)
+        .patch('/api/items/1')
+        .set('If-Match', '"3"')
+        .send({ price: 1200 })
+        .expect(412);
+
+      expect(response.body.error).toMatchObject({
+        code: 'VERSION_CONFLICT',
+        message: 'Item 1 has been changed by someone else (now at version 4)',
+        details: { current: { id: 1, price: 1000, version: 4 } }
+      });
+      expect(fs.writeFile).not.toHaveBeenCalled();
+    });
+
+    it('should never match weak or malformed tags', async () => {
+      await request(app).delete('/api/items/1').set('If-Match', 'W/"1"').expect(412);
+      await request(app).delete('/api/items/1').set('If-Match', 'abc').expect(412);
+
+      expect(fs.writeFile).not.toHaveBeenCalled();
+    });
+
+    it('should accept * as any version', async () => {
+      mockDataFiles({ items: [{ ...mockItems[0], version: 7 }] });
+
+      await request(app).put('/api/items/1').set('If-Match', '*').send({ name: 'A', category: 'B', price: 1 }).expect(200);
+    });
+
+    it('should ignore a client-supplied version in the body', async () => {
+      const response = await request(app)
+        .patch('/api/items/1')
+        .set('If-Match', '"1"')
+        .send({ version: 99 })
+        .expect(400);
+
+      expect(response.body.error.message).toBe('Unknown field "version"');
     });
   });
-}); 
\ No newline at end of file
+
+  describe('conditional GET', () => {
+    it('should answer 304 for an unchanged list without reading the data', async () => {
+      const list = await request(app).get('/api/items?limit=2').expect(200);
+      fs.readFile.mockClear();
+
+      await request(app).get('/api/items?limit=2').set('If-None-Match', list.headers.etag).expect(304);
+
+      expect(fs.readFile).not.toHaveBeenCalled();
+    });
+
+    it('should tag items with their version', async () => {
+      const detail = await request(app).get('/api/items/1').expect(200);
+
+      expect(detail.headers.etag).toBe('"1"');
+      await request(app).get('/api/items/1').set('If-None-Match', '"1"').expect(304);
+    });
+
+    it('should send a new ETag after a write', async () => {
+      const before = await request(app).get('/api/items').expect(200);
+
+      await request(app).patch('/api/items/1').set('If-Match', '"1"').send({ price: 999 }).expect(200);
+
+      const after = await request(app)
+        .get('/api/items')
+        .set('If-None-Match', before.headers.etag)
+        .expect(200);
+      expect(after.headers.etag).not.toBe(before.headers.etag);
+    });
+
+    it('should not tag error responses', async () => {
+      const response = await request(app).get('/api/items/999').expect(404);
+
+      // Only Express's weak body tag remains, never the data version tag
+      expect(response.headers.etag).toMatch(/^W\//);
+      expect(response.headers['last-modified']).toBeUndefined();
+    });
+  });
+
+  describe('roles', () => {
+    const asRole = (role, req) => req.set('X-Test-Role', role);
+
+    it('should let viewers read but not write', async () => {
+      await asRole('viewer', request(app).get('/api/items')).expect(200);
+      await asRole('viewer', request(app).get('/api/items/1')).expect(200);
+      const response = await asRole('viewer', request(app).post('/api/items'))
+        .send({ name: 'Desk', category: 'Furniture', price: 300 })
+        .expect(403);
+
+      expect(response.body.error).toMatchObject({ code: 'FORBIDDEN', message: 'This action requires the editor role' });
+      expect(fs.writeFile).not.toHaveBeenCalled();
+    });
+
+    it('should let editors create and update but not delete or import', async () => {
+      await asRole('editor', request(app).post('/api/items')).send({ name: 'Desk', category: 'Furniture', price: 300 }).expect(201);
+      await asRole('editor', request(app).patch('/api/items/1')).set('If-Match', '*').send({ price: 1 }).expect(200);
+      await asRole('editor', request(app).put('/api/items/1')).set('If-Match', '*').send({ name: 'A', category: 'B', price: 1 }).expect(200);
+
+      await asRole('editor', request(app).delete('/api/items/1')).set('If-Match', '*').expect(403);
+      await asRole('editor', request(app).post('/api/items/import')).send([{ name: 'A', category: 'B', price: 1 }]).expect(403);
+      await asRole('editor', request(app).post('/api/items/1/restore')).set('If-Match', '*').expect(403);
+      await asRole('editor', request(app).post('/api/items/purge')).expect(403);
+      await asRole('editor', request(app).get('/api/items/trash')).expect(403);
+    });
+
+    it('should check the role before validating the request', async () => {
+      await asRole('viewer', request(app).post('/api/items')).send({}).expect(403);
+    });
+  });
+
+  describe('trash', () => {
+    const deletedAt = '2024-01-01T00:00:00.000Z';
+    const trashed = [
+      mockItems[0],
+      { ...mockItems[1], version: 2, deletedAt },
+      { ...mockItems[2], version: 2, deletedAt: new Date().toISOString() }
+    ];
+
+    beforeEach(() => {
+      mockDataFiles({ items: trashed });
+    });
+
+    it('should leave deleted items out of lists and search', async () => {
+      const list = await request(app).get('/api/items').expect(200);
+      const search = await request(app).get('/api/items?q=headphones').expect(200);
+
+      expect(list.body.items.map(item => item.id)).toEqual([1]);
+      expect(list.body.pagination.totalItems).toBe(1);
+      expect(search.body.items).toEqual([]);
+    });
+
+    it('should include deleted items when asked', async () => {
+      const response = await request(app).get('/api/items?includeDeleted=true').expect(200);
+
+      expect(response.body.items.map(item => [item.id, item.deletedAt])).toEqual([
+        [1, null],
+        [2, deletedAt],
+        [3, expect.any(String)]
+      ]);
+    });
+
+    it('should only return a deleted item by id when asked', async () => {
+      await request(app).get('/api/items/2').expect(404);
+      const response = await request(app).get('/api/items/2?includeDeleted=true').expect(200);
+
+      expect(response.body).toMatchObject({ id: 2, deletedAt });
+    });
+
+    it('should only show deleted items to admins', async () => {
+      for (const url of ['/api/items?includeDeleted=true', '/api/items/2?includeDeleted=true', '/api/items/export?includeDeleted=true']) {
+        const response = await request(app).get(url).set('X-Test-Role', 'editor').expect(403);
+        expect(response.body.error.message).toBe('This action requires the admin role');
+      }
+      await request(app).get('/api/items?includeDeleted=false').set('X-Test-Role', 'viewer').expect(200);
+    });
+
+    it('should not update deleted items', async () => {
+      await request(app).patch('/api/items/2').set('If-Match', '"2"').send({ price: 1 }).expect(404);
+      expect(fs.writeFile).not.toHaveBeenCalled();
+    });
+
+    it('should list the trash with the retention window', async () => {
+      const response = await request(app).get('/api/items/trash').expect(200);
+
+      expect(response.body.items.map(item => item.id)).toEqual([2, 3]);
+      expect(response.body.retentionDays).toBe(30);
+      expect(response.body.pagination).toMatchObject({ page: 1, totalItems: 2, totalPages: 1 });
+    });
+
+    it('should restore a deleted item', async () => {
+      const response = await request(app)
+        .post('/api/items/2/restore')
+        .set('If-Match', '"2"')
+        .expect(200);
+
+      expect(response.body).toMatchObject({ id: 2, version: 3, deletedAt: null });
+      expect(response.headers.etag).toBe('"3"');
+      expect(auditEntries()).toEqual([expect.objectContaining({
+        action: 'restored',
+        itemId: 2,
+        changes: { deletedAt: { before: deletedAt, after: null } }
+      })]);
+    });
+
+    it('should require If-Match to restore and check the version', async () => {
+      await request(app).post('/api/items/2/restore').expect(428);
+      await request(app).post('/api/items/2/restore').set('If-Match', '"1"').expect(412);
+      expect(fs.writeFile).not.toHaveBeenCalled();
+    });
+
+    it('should refuse to restore items that are not deleted', async () => {
+      const response = await request(app).post('/api/items/1/restore').set('If-Match', '"1"').expect(409);
+
+      expect(response.body.error).toMatchObject({ code: 'NOT_DELETED', message: 'Item 1 is not deleted' });
+      await request(app).post('/api/items/999/restore').set('If-Match', '*').expect(404);
+    });
+
+    it('should purge items past the retention window', async () => {
+      const response = await request(app).post('/api/items/purge').expect(200);
+
+      expect(response.body).toMatchObject({ purged: 1, ids: [2] });
+      const written = JSON.parse(fs.writeFile.mock.calls[0][1]);
+      expect(written.map(item => item.id)).toEqual([1, 3]);
+      expect(auditEntries()).toEqual([expect.objectContaining({ action: 'purged', itemId: 2 })]);
+    });
+
+    it('should purge everything in the trash with olderThanDays=0', async () => {
+      const response = await request(app).post('/api/items/purge?olderThanDays=0').expect(200);
+
+      expect(response.body.ids).toEqual([2, 3]);
+    });
+
+    it('should not write when nothing has expired', async () => {
+      mockDataFiles({ items: [trashed[0], trashed[2]] });
+
+      const response = await request(app).post('/api/items/purge').expect(200);
+
+      expect(response.body).toMatchObject({ purged: 0, ids: [] });
+      expect(fs.writeFile).not.toHaveBeenCalled();
+    });
+
+    it('should reject a negative retention window', async () => {
+      await request(app).post('/api/items/purge?olderThanDays=-1').expect(400);
+    });
+  });
+
+  describe('audit log', () => {
+    const history = [
+      { id: 'a', timestamp: '2024-03-01T10:00:00.000Z', actor: 'ana', action: 'created', itemId: 1, changes: {} },
+      { id: 'b', timestamp: '2024-03-02T10:00:00.000Z', actor: 'ben', action: 'updated', itemId: 2, changes: {} },
+      { id: 'c', timestamp: '2024-03-03T10:00:00.000Z', actor: 'ana', action: 'updated', itemId: 1, changes: {} }
+    ];
+
+    it('should record who changed what on every mutation', async () => {
+      await request(app)
+        .post('/api/items')
+        .set('X-Test-User', 'ana')
+        .send({ name: 'Desk', category: 'Furniture', price: 300 })
+        .expect(201);
+      await request(app)
+        .patch('/api/items/1')
+        .set('If-Match', '"1"')
+        .set('X-Test-User', 'ben')
+        .send({ price: 900, tags: ['sale'] })
+        .expect(200);
+      await request(app).delete('/api/items/3').set('If-Match', '"1"').expect(204);
+
+      const [created, updated, deleted] = auditEntries();
+      expect(created).toMatchObject({
+        actor: 'ana',
+        action: 'created',
+        itemId: 4,
+        changes: { name: { before: null, after: 'Desk' }, price: { before: null, after: 300 } }
+      });
+      expect(updated).toEqual({
+        id: expect.any(String),
+        timestamp: expect.any(String),
+        actor: 'ben',
+        action: 'updated',
+        itemId: 1,
+        changes: {
+          price: { before: 1000, after: 900 },
+          tags: { before: [], after: ['sale'] }
+        }
+      });
+      expect(deleted).toMatchObject({
+        actor: 'tester',
+        action: 'deleted',
+        itemId: 3,
+        changes: { deletedAt: { before: null, after: expect.any(String) } }
+      });
+    });
+
+    it('should record one entry per imported item', async () => {
+      await request(app)
+        .post('/api/items/import')
+        .send([{ name: 'Desk', category: 'Furniture', price: 300 }, { name: 'Lamp', category: 'Furniture', price: 40 }])
+        .expect(201);
+
+      expect(auditEntries().map(entry => [entry.action, entry.itemId])).toEqual([['created', 4], ['created', 5]]);
+    });
+
+    it('should not record rejected changes', async () => {
+      await request(app).patch('/api/items/1').set('If-Match', '"7"').send({ price: 1 }).expect(412);
+
+      expect(fs.appendFile).not.toHaveBeenCalled();
+    });
+
+    it('should keep the change when the audit write fails', async () => {
+      fs.appendFile.mockRejectedValue(new Error('disk full'));
+
+      await request(app).patch('/api/items/1').set('If-Match', '"1"').send({ price: 1 }).expect(200);
+
+      expect(logLines).toEqual([expect.objectContaining({
+        level: 'error',
+        msg: 'audit log write failed',
+        action: 'updated',
+        itemId: 1,
+        error: expect.objectContaining({ message: 'Failed to write audit log: disk full' })
+      })]);
+    });
+
+    it('should return the history of one item, newest first', async () => {
+      mockDataFiles({ audit: history });
+
+      const response = await request(app).get('/api/items/1/history').expect(200);
+
+      expect(response.body).toEqual({ itemId: 1, total: 2, entries: [history[2], history[0]] });
+    });
+
+    it('should return an empty history for an item without entries', async () => {
+      const response = await request(app).get('/api/items/2/history').expect(200);
+
+      expect(response.body).toEqual({ itemId: 2, total: 0, entries: [] });
+    });
+
+    it('should return 404 for the history of an unknown item', async () => {
+      await request(app).get('/api/items/999/history').expect(404);
+    });
+  });
+
+  describe('GET /api/items/events', () => {
+    let server;
+
+    beforeAll(done => {
+      server = app.listen(0, done);
+    });
+
+    afterAll(done => {
+      server.close(done);
+    });
+
+    // Streams are closed by the client; wait for the server to notice
+    afterEach(async () => {
+      await waitForSubscribers(count => count === 0);
+    });
+
+    // Open the stream and collect parsed events until `count` have arrived
+    function readEvents(count, { path = '/api/items/events', headers = {} } = {}) {
+      return new Promise((resolve, reject) => {
+        const events = [];
+        const req = http.get(
+          { port: server.address().port, path, headers },
+          res => {
+            let buffer = '';
+            res.setEncoding('utf8');
+            res.on('data', chunk => {
+              buffer += chunk;
+              const blocks = buffer.split('\n\n');
+              buffer = blocks.pop();
+              for (const block of blocks) {
+                const fields = Object.fromEntries(
+                  block.split('\n').filter(line => !line.startsWith(':')).map(line => {
+                    const index = line.indexOf(': ');
+                    return [line.slice(0, index), line.slice(index + 2)];
+                  })
+                );
+                if (fields.event) {
+                  events.push({ id: fields.id && Number(fields.id), type: fields.event, data: JSON.parse(fields.data) });
+                }
+              }
+              if (events.length >= count) {
+                req.destroy();
+                resolve({ events, headers: res.headers });
+              }
+            });
+          }
+        );
+        req.on('error', reject);
+        readEvents.lastRequest = req;
+      });
+    }
+
+    async function waitForSubscribers(predicate) {
+      while (!predicate(itemEvents.subscriberCount())) {
+        await new Promise(resolve => setImmediate(resolve));
+      }
+    }
+
+    it('should stream created, updated and deleted events', async () => {
+      const stream = readEvents(3);
+      await waitForSubscribers(count => count === 1);
+
+      const { body: created } = await request(app)
+        .post('/api/items')
+        .send({ name: 'New Item', category: 'Test', price: 10 })
+        .expect(201);
+      await request(app).patch('/api/items/2').set('If-Match', '"1"').send({ price: 150 }).expect(200);
+      await request(app).delete('/api/items/3').set('If-Match', '"1"').expect(204);
+
+      const { events, headers } = await stream;
+      expect(headers['content-type']).toBe('text/event-stream');
+      expect(events.map(event => event.type)).toEqual(['created', 'updated', 'deleted']);
+      expect(events[0].data).toEqual(created);
+      expect(events[1].data).toMatchObject({ id: 2, price: 150 });
+      expect(events[2].data).toMatchObject({ id: 3, name: 'Test Chair' });
+      expect(events[1].id).toBe(events[0].id + 1);
+      expect(events[2].id).toBe(events[1].id + 1);
+    });
+
+    it('should replay missed events after Last-Event-ID', async () => {
+      const first = itemEvents.publish('updated', { id: 1 });
+      itemEvents.publish('updated', { id: 2 });
+      itemEvents.publish('deleted', { id: 3 });
+
+      const { events } = await readEvents(2, { headers: { 'Last-Event-ID': String(first.id) } });
+
+      expect(events.map(event => [event.type, event.data.id])).toEqual([['updated', 2], ['deleted', 3]]);
+    });
+
+    it('should accept the last event id as a query parameter', async () => {
+      const first = itemEvents.publish('updated', { id: 1 });
+      itemEvents.publish('created', { id: 9 });
+
+      const { events } = await readEvents(1, { path: `/api/items/events?lastEventId=${first.id}` });
+
+      expect(events[0]).toMatchObject({ type: 'created', data: { id: 9 } });
+    });
+
+    it('should tell clients to reload when missed events are gone', async () => {
+      const { events } = await readEvents(1, { headers: { 'Last-Event-ID': '1' } });
+
+      expect(events).toEqual([{ id: undefined, type: 'reset', data: {} }]);
+    });
+
+    it('should unsubscribe when the client disconnects', async () => {
+      readEvents(Infinity).catch(() => {});
+      await waitForSubscribers(count => count === 1);
+
+      readEvents.lastRequest.destroy();
+      await waitForSubscribers(count => count === 0);
+      expect(itemEvents.subscriberCount()).toBe(0);
+    });
+
+    it('should reject an invalid lastEventId', async () => {
+      const response = await request(app).get('/api/items/events?lastEventId=abc').expect(400);
+
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+    });
+  });
+});
@@ -1,139 +1,85 @@
 const express = require('express');
-const fs = require('fs').promises;
-const fsWatch = require('fs');
-const path = require('path');
-const router = express.Router();
-const DATA_PATH = path.join(__dirname, '../../../data/items.json');
+const { itemRepository: defaultItemRepository } = require('../repositories');
+const validate = require('../middleware/validate');
+const conditionalGet = require('../middleware/conditionalGet');
+const { itemsVersion: defaultItemsVersion } = require('../cache/dataVersion');
+const { statsQuery, histogramQuery } = require('../validation/schemas');
+const { describeFilters } = require('../utils/itemQuery');
+const { calculateHistogram } = require('../utils/stats');
+const { statsCache: defaultStatsCache } = require('../cache/statsCache');
 
-// Cache for stats
-let statsCache = {
-  data: null,
-  lastModified: null,
-  isCalculating: false
-};
+const DEFAULT_HISTOGRAM_BUCKETS = 10;
 
-// File watcher to invalidate cache
-let watcher = null;
+// Router for /api/stats, computing through `statsCache`
+function createStatsRouter({
+  itemRepository = defaultItemRepository,
+  statsCache = defaultStatsCache,
+  itemsVersion = defaultItemsVersion
+} = {}) {
+  const router = express.Router();
 
-function initializeWatcher() {
-  if (watcher) {
-    watcher.close();
-  }
-  
-  watcher = fsWatch.watchFile(DATA_PATH, { interval: 1000 }, (curr, prev) => {
-    if (curr.mtime !== prev.mtime) {
-      console.log('Data file changed, invalidating stats cache');
-      statsCache.data = null;
-      statsCache.lastModified = null;
+  // Compute through the shared cache; concurrent identical requests share one calculation
+  async function getCached(key, calculate) {
+    try {
+      return await statsCache.get(key, calculate);
+    } catch (error) {
+      throw new Error(`Failed to calculate stats: ${error.message}`);
     }
-  });
-}
-
-// Initialize watcher when module loads
-initializeWatcher();
-
-// Calculate stats from items data
-function calculateStats(items) {
-  if (!items || items.length === 0) {
-    return {
-      total: 0,
-      averagePrice: 0,
-      categories: {},
-      priceRange: { min: 0, max: 0 }
-    };
   }
 
-  const total = items.length;
-  const totalPrice = items.reduce((acc, cur) => acc + (cur.price || 0), 0);
-  const averagePrice = totalPrice / total;
-  
-  // Calculate category distribution
-  const categories = items.reduce((acc, item) => {
-    const category = item.category || 'Unknown';
-    acc[category] = (acc[category] || 0) + 1;
-    return acc;
-  }, {});
-  
-  // Calculate price range
-  const prices = items.map(item => item.price || 0);
-  const priceRange = {
-    min: Math.min(...prices),
-    max: Math.max(...prices)
-  };
-
-  return {
-    total,
-    averagePrice: Math.round(averagePrice * 100) / 100, // Round to 2 decimal places
-    categories,
-    priceRange
-  };
-}
+  // Read and calculate stats for the given filters with caching.
+  // The adapter selects the items (in memory for JSON, in SQL for SQLite).
+  function getStats(filters = {}) {
+    const key = JSON.stringify(['stats', describeFilters(filters)]);
+    return getCached(key, () => itemRepository.aggregate(filters));
+  }
 
-// Get file modification time
-async function getFileModTime() {
-  try {
-    const stats = await fs.stat(DATA_PATH);
-    return stats.mtime.getTime();
-  } catch (error) {
-    throw new Error(`Failed to get file stats: ${error.message}`);
+  // Price histogram for the given filters, sharing the stats cache
+  function getHistogram(filters = {}, options = {}) {
+    const key = JSON.stringify(['histogram', describeFilters(filters), options]);
+    return getCached(key, () =>
+      itemRepository.aggregate(filters, items => calculateHistogram(items, options))
+    );
   }
-}
 
-// Read and calculate stats with caching
-async function getStats() {
-  try {
-    const currentModTime = await getFileModTime();
-    
-    // Return cached data if it's still valid
-    if (statsCache.data && statsCache.lastModified === currentModTime) {
-      return statsCache.data;
-    }
-    
-    // Prevent concurrent calculations
-    if (statsCache.isCalculating) {
-      // Wait a bit and try again
-      await new Promise(resolve => setTimeout(resolve, 100));
-      return getStats();
+  // GET /api/stats
+  // Accepts the list filters (q, category, minPrice, maxPrice); without them the
+  // whole catalog is described.
+  router.get('/', validate({ query: statsQuery }), conditionalGet(itemsVersion), async (req, res, next) => {
+    try {
+      const stats = await getStats(req.query);
+      res.json({ ...stats, filters: describeFilters(req.query) });
+    } catch (err) {
+      next(err);
     }
-    
-    statsCache.isCalculating = true;
-    
+  });
+
+  // GET /api/stats/histogram?buckets=N | edges=0,100,500
+  // Counts item prices into N equal-width buckets (default 10) or between explicit
+  // edges; `groupBy=category` adds per-category counts to every bucket. Takes the
+  // same filters as /api/stats.
+  router.get('/histogram', validate({ query: histogramQuery }), conditionalGet(itemsVersion), async (req, res, next) => {
     try {
-      const raw = await fs.readFile(DATA_PATH, 'utf8');
-      const items = JSON.parse(raw);
-      const stats = calculateStats(items);
-      
-      // Update cache
-      statsCache.data = stats;
-      statsCache.lastModified = currentModTime;
-      statsCache.isCalculating = false;
-      
-      return stats;
-    } catch (error) {
-      statsCache.isCalculating = false;
-      throw error;
+      const { buckets, edges, groupBy, ...filters } = req.query;
+      const options = {
+        bucketCount: buckets || DEFAULT_HISTOGRAM_BUCKETS,
+        edges: edges || null,
+        groupBy: groupBy || null
+      };
+      const histogram = await getHistogram(filters, options);
+      res.json({ ...histogram, groupBy: options.groupBy, filters: describeFilters(filters) });
+    } catch (err) {
+      next(err);
     }
-  } catch (error) {
-    statsCache.isCalculating = false;
-    throw new Error(`Failed to calculate stats: ${error.message}`);
-  }
-}
+  });
 
-// GET /api/stats
-router.get('/', async (req, res, next) => {
-  try {
-    const stats = await getStats();
-    res.json(stats);
-  } catch (err) {
-    next(err);
-  }
-});
+  // GET /api/stats/cache
+  // Cache counters for monitoring
+  router.get('/cache', (req, res) => {
+    res.json(statsCache.stats());
+  });
 
-// Cleanup on module unload
-process.on('exit', () => {
-  if (watcher) {
-    watcher.close();
-  }
-});
+  return router;
+}
 
-module.exports = router;
\ No newline at end of file
+module.exports = { createStatsRouter };
@@ -0,0 +1,220 @@
+const request = require('supertest');
+const express = require('express');
+const fs = require('fs').promises;
+const { createStatsRouter } = require('./stats');
+const { statsCache } = require('../cache/statsCache');
+const { itemRepository } = require('../repositories');
+const { errorHandler } = require('../middleware/errorHandler');
+
+const mockItems = [
+  { id: 1, name: 'Test Laptop', category: 'Electronics', price: 1000, stock: 1 },
+  { id: 2, name: 'Test Headphones', category: 'Electronics', price: 200, stock: 5 },
+  { id: 3, name: 'Test Chair', category: 'Furniture', price: 500, stock: 0 }
+];
+
+const app = express();
+app.use('/api/stats', createStatsRouter());
+app.use(errorHandler);
+
+// Mock fs.promises
+jest.mock('fs', () => ({
+  // Synchronous calls stay real so config/ can be loaded
+  ...jest.requireActual('fs'),
+  promises: {
+    readFile: jest.fn(),
+    writeFile: jest.fn(),
+    copyFile: jest.fn(),
+    rename: jest.fn(),
+    unlink: jest.fn(),
+    stat: jest.fn()
+  }
+}));
+
+describe('Stats API Routes', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    // Keep cached results from leaking between tests
+    statsCache.clear();
+    fs.readFile.mockResolvedValue(JSON.stringify(mockItems));
+    fs.writeFile.mockResolvedValue();
+    fs.copyFile.mockResolvedValue();
+    fs.rename.mockResolvedValue();
+    fs.stat.mockResolvedValue({ mtime: new Date('2024-01-01T00:00:00Z') });
+  });
+
+  describe('GET /api/stats', () => {
+    it('should describe the whole catalog', async () => {
+      const response = await request(app).get('/api/stats').expect(200);
+
+      expect(response.body).toMatchObject({
+        total: 3,
+        averagePrice: 566.67,
+        medianPrice: 500,
+        inventoryValue: 2000,
+        categories: { Electronics: 2, Furniture: 1 },
+        byCategory: {
+          Electronics: { count: 2, averagePrice: 600, min: 200, max: 1000 }
+        },
+        priceRange: { min: 200, max: 1000 },
+        filters: { q: null, category: [], minPrice: null, maxPrice: null }
+      });
+    });
+
+    it('should apply the list filters', async () => {
+      const response = await request(app)
+        .get('/api/stats?category=electronics&maxPrice=500')
+        .expect(200);
+
+      expect(response.body).toMatchObject({
+        total: 1,
+        averagePrice: 200,
+        filters: { category: ['electronics'], maxPrice: 500 }
+      });
+    });
+
+    it('should cache results per filter set', async () => {
+      await request(app).get('/api/stats?q=chair').expect(200);
+      await request(app).get('/api/stats?q=chair').expect(200);
+      const other = await request(app).get('/api/stats?q=laptop').expect(200);
+
+      expect(fs.readFile).toHaveBeenCalledTimes(2);
+      expect(other.body.total).toBe(1);
+    });
+
+    it('should run one calculation for concurrent requests', async () => {
+      const responses = await Promise.all(
+        Array.from({ length: 5 }, () => request(app).get('/api/stats?q=test'))
+      );
+
+      expect(responses.map(response => response.status)).toEqual([200, 200, 200, 200, 200]);
+      expect(fs.readFile).toHaveBeenCalledTimes(1);
+    });
+
+    it('should report storage failures', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      fs.readFile.mockRejectedValueOnce(new Error('disk gone'));
+
+      const response = await request(app).get('/api/stats').expect(500);
+
+      expect(response.body.error.message).toBe('Failed to calculate stats: Failed to read data file: disk gone');
+      console.error.mockRestore();
+      // Failures are not cached
+      await request(app).get('/api/stats').expect(200);
+    });
+
+    it('should reject invalid filters', async () => {
+      const response = await request(app)
+        .get('/api/stats?minPrice=10&maxPrice=5')
+        .expect(400);
+
+      expect(response.body.error.message).toBe('minPrice must not be greater than maxPrice');
+    });
+
+    it('should not accept sort', async () => {
+      const response = await request(app).get('/api/stats?sort=price').expect(400);
+
+      expect(response.body.error.message).toBe('Unknown parameter "sort"');
+    });
+  });
+
+  describe('GET /api/stats/histogram', () => {
+    it('should return equal-width buckets', async () => {
+      const response = await request(app).get('/api/stats/histogram?buckets=2').expect(200);
+
+      expect(response.body).toEqual({
+        total: 3,
+        buckets: [
+          { min: 200, max: 600, count: 2 },
+          { min: 600, max: 1000, count: 1 }
+        ],
+        outOfRange: { below: 0, above: 0 },
+        groupBy: null,
+        filters: { q: null, category: [], minPrice: null, maxPrice: null, sort: null }
+      });
+    });
+
+    it('should accept explicit edges grouped by category', async () => {
+      const response = await request(app)
+        .get('/api/stats/histogram?edges=0,500,2000&groupBy=category')
+        .expect(200);
+
+      expect(response.body.buckets).toEqual([
+        { min: 0, max: 500, count: 1, categories: { Electronics: 1 } },
+        { min: 500, max: 2000, count: 2, categories: { Electronics: 1, Furniture: 1 } }
+      ]);
+      expect(response.body.groupBy).toBe('category');
+    });
+
+    it('should apply the list filters', async () => {
+      const response = await request(app)
+        .get('/api/stats/histogram?category=furniture')
+        .expect(200);
+
+      expect(response.body.buckets).toEqual([{ min: 500, max: 500, count: 1 }]);
+    });
+
+    it('should share the cache until the data changes', async () => {
+      await request(app).get('/api/stats/histogram?buckets=3').expect(200);
+      await request(app).get('/api/stats/histogram?buckets=3').expect(200);
+      expect(fs.readFile).toHaveBeenCalledTimes(1);
+
+      await request(app).get('/api/stats/histogram?buckets=4').expect(200);
+      expect(fs.readFile).toHaveBeenCalledTimes(2);
+
+      // A write through the repository invalidates every entry
+      await itemRepository.delete(3);
+      fs.readFile.mockClear();
+      await request(app).get('/api/stats/histogram?buckets=3').expect(200);
+      expect(fs.readFile).toHaveBeenCalledTimes(1);
+    });
+
+    it.each([
+      ['buckets=0', 'buckets must be an integer between 1 and 100'],
+      ['buckets=101', 'buckets must be an integer between 1 and 100'],
+      ['edges=10', 'edges must be 2 to 101 comma-separated numbers'],
+      ['edges=10,5', 'edges must be strictly increasing numbers'],
+      ['edges=a,b', 'edges must be strictly increasing numbers'],
+      ['buckets=2&edges=0,1', 'buckets cannot be combined with edges'],
+      ['groupBy=name', 'groupBy must be one of: category']
+    ])('should reject %s', async (query, message) => {
+      const response = await request(app).get(`/api/stats/histogram?${query}`).expect(400);
+
+      expect(response.body.error.message).toBe(message);
+    });
+  });
+
+  describe('GET /api/stats/cache', () => {
+    it('should report hit and miss counters', async () => {
+      const before = (await request(app).get('/api/stats/cache').expect(200)).body;
+
+      await request(app).get('/api/stats?q=monitor').expect(200);
+      await request(app).get('/api/stats?q=monitor').expect(200);
+
+      const after = (await request(app).get('/api/stats/cache').expect(200)).body;
+      expect(after.hits - before.hits).toBe(1);
+      expect(after.misses - before.misses).toBe(1);
+      expect(after).toMatchObject({ size: 1, maxEntries: 100, hitRatio: expect.any(Number) });
+    });
+  });
+
+  describe('conditional GET', () => {
+    it('should answer 304 while the data is unchanged', async () => {
+      const first = await request(app).get('/api/stats').expect(200);
+      expect(first.headers['last-modified']).toBeDefined();
+
+      await request(app).get('/api/stats').set('If-None-Match', first.headers.etag).expect(304);
+
+      await itemRepository.delete(1);
+      await request(app).get('/api/stats').set('If-None-Match', first.headers.etag).expect(200);
+    });
+
+    it('should tag histograms too', async () => {
+      const first = await request(app).get('/api/stats/histogram?buckets=2').expect(200);
+
+      await request(app)
+        .get('/api/stats/histogram?buckets=2')
+        .set('If-None-Match', first.headers.etag)
+        .expect(304);
+    });
+  });
+});
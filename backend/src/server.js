@@ -0,0 +1,104 @@
+const http = require('http');
+const { once } = require('events');
+const { setTimeout: sleep } = require('timers/promises');
+const { config: defaultConfig } = require('./config');
+const { createStorage } = require('./repositories');
+const { createLogger } = require('./utils/logger');
+const { createApp } = require('./app');
+
+// In-flight requests get this long to finish on shutdown before their connections are cut
+const DRAIN_TIMEOUT_MS = 10000;
+
+// HTTP server for the app plus its lifecycle. `start()` listens (on `config.port`
+// unless given a port) and starts watching the data file. `stop()` drains: the
+// app stops reporting ready and ends event streams, and after
+// `shutdown.readinessDelaySeconds` the server stops accepting connections and
+// waits for in-flight requests, then the watcher is closed and pending writes
+// are flushed. Calling it again returns the same promise.
+// Without `storage`, the server creates its own for `config.storage`.
+function createServer({
+  config = defaultConfig,
+  logger = createLogger(config.log),
+  storage = createStorage(config.storage, { logger }),
+  drainTimeoutMs = DRAIN_TIMEOUT_MS
+} = {}) {
+  const app = createApp({ config, storage, logger });
+  const server = http.createServer(app);
+  let stopWatching = null;
+  let stopping = null;
+
+  async function start(port = config.port) {
+    server.listen(port);
+    await once(server, 'listening');
+    // Report edits made to the data outside this process (e.g. by hand) so caches drop them
+    stopWatching = storage.itemRepository.watch();
+    return server.address();
+  }
+
+  // Resolves once the server has closed; connections still open after the
+  // timeout are destroyed
+  async function closeServer() {
+    if (!server.listening) {
+      return;
+    }
+    const closed = new Promise(resolve => server.close(resolve));
+    server.closeIdleConnections();
+    const timer = setTimeout(() => {
+      logger.warn('requests still running after the drain timeout; closing their connections', { drainTimeoutMs });
+      server.closeAllConnections();
+    }, drainTimeoutMs);
+    try {
+      await closed;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  async function shutdown() {
+    app.locals.drain();
+    // Keep accepting requests until the load balancer has seen /readyz fail
+    await sleep(config.shutdown.readinessDelaySeconds * 1000);
+    await closeServer();
+    if (stopWatching) {
+      stopWatching();
+    }
+    await storage.close();
+  }
+
+  function stop() {
+    if (!stopping) {
+      stopping = shutdown();
+    }
+    return stopping;
+  }
+
+  return { app, server, start, stop };
+}
+
+// `npm start`: serve until SIGTERM (or Ctrl+C), then drain and exit
+if (require.main === module) {
+  const logger = createLogger(defaultConfig.log);
+  const { start, stop } = createServer({ logger });
+
+  start().then(({ port }) => {
+    logger.info(`Backend running on http://localhost:${port}`, { port, env: defaultConfig.env });
+  }, error => {
+    logger.error('server failed to start', { error });
+    process.exit(1);
+  });
+
+  for (const signal of ['SIGTERM', 'SIGINT']) {
+    process.once(signal, () => {
+      logger.info('shutting down', { signal });
+      stop().then(() => {
+        logger.info('shutdown complete');
+        process.exit(0);
+      }, error => {
+        logger.error('shutdown failed', { error });
+        process.exit(1);
+      });
+    });
+  }
+}
+
+module.exports = { createServer, DRAIN_TIMEOUT_MS };
@@ -0,0 +1,144 @@
+const http = require('http');
+const { createServer } = require('./server');
+const { createLogger } = require('./utils/logger');
+const { config } = require('./config');
+
+// Just enough storage for the app: readiness checks resolve when the test says so
+function createFakeStorage() {
+  const stopWatching = jest.fn();
+  let finishCheck = () => {};
+  const storage = {
+    itemRepository: {
+      driver: 'json',
+      check: jest.fn(() => Promise.resolve()),
+      watch: jest.fn(() => stopWatching),
+      onChange: jest.fn(() => () => {}),
+      getModifiedTime: jest.fn(async () => 0),
+      getStorageSize: jest.fn(async () => 0)
+    },
+    userRepository: {
+      findByApiKey: jest.fn(async () => ({ user: { username: 'viewer', role: 'viewer' }, apiKeyId: 'key1' }))
+    },
+    auditLog: {},
+    close: jest.fn(async () => {})
+  };
+  // Make the next readiness check wait until the returned function is called
+  storage.holdNextCheck = () => {
+    storage.itemRepository.check.mockImplementationOnce(() => new Promise(resolve => { finishCheck = resolve; }));
+    return () => finishCheck();
+  };
+  return { storage, stopWatching };
+}
+
+// Resolve with the status and body once the whole response has arrived
+function get(port, path, headers = {}) {
+  return new Promise((resolve, reject) => {
+    http.get({ port, path, headers, agent: false }, res => {
+      let body = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body }));
+    }).on('error', reject);
+  });
+}
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 20));
+
+// Wait until `condition()` holds, e.g. until the server is handling a request.
+// A fixed delay isn't enough on a busy machine.
+async function until(condition) {
+  while (!condition()) {
+    await tick();
+  }
+}
+
+describe('createServer', () => {
+  const logger = createLogger({ level: 'silent' });
+  let storage;
+  let stopWatching;
+  let server;
+
+  beforeEach(() => {
+    ({ storage, stopWatching } = createFakeStorage());
+  });
+
+  afterEach(async () => {
+    await server.stop();
+  });
+
+  it('should listen, watch the data and close everything on stop', async () => {
+    server = createServer({ storage, logger });
+    const { port } = await server.start(0);
+
+    expect(storage.itemRepository.watch).toHaveBeenCalledTimes(1);
+    expect((await get(port, '/healthz')).status).toBe(200);
+
+    await server.stop();
+
+    expect(server.server.listening).toBe(false);
+    expect(stopWatching).toHaveBeenCalledTimes(1);
+    expect(storage.close).toHaveBeenCalledTimes(1);
+    // Stopping twice shuts down once
+    await server.stop();
+    expect(storage.close).toHaveBeenCalledTimes(1);
+  });
+
+  it('should keep serving while reporting not ready for the readiness delay', async () => {
+    server = createServer({ storage, logger, config: { ...config, shutdown: { readinessDelaySeconds: 0.2 } } });
+    const { port } = await server.start(0);
+
+    const stopped = server.stop();
+    const readiness = await get(port, '/readyz');
+
+    expect(readiness.status).toBe(503);
+    expect(JSON.parse(readiness.body).status).toBe('draining');
+    expect(server.server.listening).toBe(true);
+    await stopped;
+    expect(server.server.listening).toBe(false);
+  });
+
+  it('should let in-flight requests finish before flushing storage', async () => {
+    server = createServer({ storage, logger });
+    const { port } = await server.start(0);
+    const release = storage.holdNextCheck();
+
+    const pending = get(port, '/readyz');
+    await until(() => storage.itemRepository.check.mock.calls.length > 0);
+    const stopped = server.stop();
+    await tick();
+
+    expect(storage.close).not.toHaveBeenCalled();
+    release();
+
+    const response = await pending;
+    await stopped;
+    expect(response.status).toBe(200);
+    expect(storage.close).toHaveBeenCalledTimes(1);
+  });
+
+  it('should end open event streams on stop', async () => {
+    server = createServer({ storage, logger });
+    const { port } = await server.start(0);
+
+    const stream = get(port, '/api/items/events', { 'X-API-Key': 'ik_test' });
+    await until(() => storage.userRepository.findByApiKey.mock.calls.length > 0);
+    await server.stop();
+
+    const response = await stream;
+    expect(response.status).toBe(200);
+    expect(response.body).toContain('retry:');
+  });
+
+  it('should cut off requests still running after the drain timeout', async () => {
+    server = createServer({ storage, logger, drainTimeoutMs: 50 });
+    const { port } = await server.start(0);
+    storage.holdNextCheck();
+
+    const pending = get(port, '/readyz');
+    await until(() => storage.itemRepository.check.mock.calls.length > 0);
+    await server.stop();
+
+    await expect(pending).rejects.toThrow(/socket hang up|ECONNRESET/);
+    expect(storage.close).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,73 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+
+// Append-only JSON-lines log: one entry per line, oldest first. Lines are only ever
+// added, never rewritten, and appends are serialized so concurrent entries can't
+// interleave. A line that doesn't parse (e.g. cut short by a crash) is skipped.
+function createAuditLog(filePath, { now = () => new Date() } = {}) {
+  let queue = Promise.resolve();
+
+  // Stamp the entry with an id and the current time and add it to the end of the log
+  function append(entry) {
+    const record = { id: crypto.randomUUID(), timestamp: now().toISOString(), ...entry };
+    const run = queue.then(() => fs.appendFile(filePath, `${JSON.stringify(record)}\n`, 'utf8'));
+    queue = run.catch(() => {});
+    return run.then(() => record, error => {
+      throw new Error(`Failed to write audit log: ${error.message}`);
+    });
+  }
+
+  async function readAll() {
+    let raw;
+    try {
+      raw = await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+      // Nothing has been recorded yet
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw new Error(`Failed to read audit log: ${error.message}`);
+    }
+
+    const entries = [];
+    for (const line of raw.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        entries.push(JSON.parse(line));
+      } catch {
+        // Skip partial lines
+      }
+    }
+    return entries;
+  }
+
+  // Entries matching every given filter, newest first. `from` and `to` are
+  // inclusive ISO timestamps; `total` counts matches before `limit` applies.
+  async function query({ itemId, actor, action, from, to, limit } = {}) {
+    const fromTime = from !== undefined ? Date.parse(from) : -Infinity;
+    const toTime = to !== undefined ? Date.parse(to) : Infinity;
+
+    const matches = (await readAll()).filter(entry => {
+      const time = Date.parse(entry.timestamp);
+      return (itemId === undefined || entry.itemId === itemId)
+        && (actor === undefined || entry.actor === actor)
+        && (action === undefined || entry.action === action)
+        && time >= fromTime
+        && time <= toTime;
+    }).reverse();
+
+    return {
+      entries: limit !== undefined ? matches.slice(0, limit) : matches,
+      total: matches.length
+    };
+  }
+
+  // Resolves once every queued append has been written
+  function flush() {
+    return queue;
+  }
+
+  return { filePath, append, query, flush };
+}
+
+module.exports = { createAuditLog };
@@ -0,0 +1,76 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { createAuditLog } = require('./auditLog');
+
+describe('createAuditLog', () => {
+  let dir;
+  let filePath;
+  let clock;
+  let log;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'audit-log-'));
+    filePath = path.join(dir, 'audit.jsonl');
+    clock = Date.parse('2024-05-01T00:00:00Z');
+    // Each entry is one minute after the previous one
+    log = createAuditLog(filePath, { now: () => new Date((clock += 60000)) });
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('should read as empty before anything is recorded', async () => {
+    await expect(log.query()).resolves.toEqual({ entries: [], total: 0 });
+  });
+
+  it('should append one JSON line per entry with an id and timestamp', async () => {
+    const entry = await log.append({ actor: 'ana', action: 'created', itemId: 1, changes: {} });
+
+    expect(entry).toEqual({
+      id: expect.any(String),
+      timestamp: '2024-05-01T00:01:00.000Z',
+      actor: 'ana',
+      action: 'created',
+      itemId: 1,
+      changes: {}
+    });
+    const lines = (await fs.readFile(filePath, 'utf8')).trim().split('\n');
+    expect(lines.map(line => JSON.parse(line))).toEqual([entry]);
+  });
+
+  it('should keep every entry when appends overlap', async () => {
+    await Promise.all(
+      Array.from({ length: 20 }, (_, i) => log.append({ actor: 'ana', action: 'updated', itemId: i + 1 }))
+    );
+
+    const { entries, total } = await log.query();
+    expect(total).toBe(20);
+    expect(entries.map(entry => entry.itemId).sort((a, b) => a - b)).toEqual(
+      Array.from({ length: 20 }, (_, i) => i + 1)
+    );
+  });
+
+  it('should filter by item, actor, action and inclusive time range, newest first', async () => {
+    await log.append({ actor: 'ana', action: 'created', itemId: 1 }); // 00:01
+    await log.append({ actor: 'ben', action: 'updated', itemId: 1 }); // 00:02
+    await log.append({ actor: 'ana', action: 'updated', itemId: 2 }); // 00:03
+    await log.append({ actor: 'ana', action: 'deleted', itemId: 1 }); // 00:04
+
+    const actions = async filters => (await log.query(filters)).entries.map(e => `${e.action}:${e.itemId}`);
+
+    expect(await actions({ itemId: 1 })).toEqual(['deleted:1', 'updated:1', 'created:1']);
+    expect(await actions({ actor: 'ana', action: 'updated' })).toEqual(['updated:2']);
+    expect(await actions({ from: '2024-05-01T00:02:00.000Z', to: '2024-05-01T00:03:00.000Z' }))
+      .toEqual(['updated:2', 'updated:1']);
+    await expect(log.query({ limit: 1 })).resolves.toMatchObject({ total: 4, entries: [{ action: 'deleted' }] });
+  });
+
+  it('should skip lines that are not valid JSON', async () => {
+    await log.append({ actor: 'ana', action: 'created', itemId: 1 });
+    await fs.appendFile(filePath, '{"actor": "cut sh');
+
+    await expect(log.query()).resolves.toMatchObject({ total: 1 });
+  });
+});
@@ -0,0 +1,38 @@
+const path = require('path');
+const { config } = require('../config');
+const { createJsonStore } = require('./jsonStore');
+const { createSequence } = require('./sequence');
+const { createAuditLog } = require('./auditLog');
+
+// Files kept beside the items data file
+function storagePaths(dataPath) {
+  const dir = path.dirname(dataPath);
+  return {
+    dataPath,
+    // Id sequence for new items
+    sequencePath: dataPath.replace(/\.json$/, '.seq.json'),
+    // Who changed which item and how, one JSON entry per line
+    auditLogPath: path.join(dir, 'audit.jsonl'),
+    // User accounts with hashed passwords and API keys; no users until one is created
+    usersPath: path.join(dir, 'users.json')
+  };
+}
+
+// The JSON files behind one data directory. Nothing is read until it's used.
+// `logger` hears about failing change listeners and watcher errors.
+function createStores(dataPath, { logger } = {}) {
+  const paths = storagePaths(dataPath);
+  return {
+    itemsStore: createJsonStore(paths.dataPath, { logger }),
+    itemsSequence: createSequence(paths.sequencePath),
+    auditLog: createAuditLog(paths.auditLogPath),
+    usersStore: createJsonStore(paths.usersPath, { defaultValue: [], logger })
+  };
+}
+
+const { dataPath: DATA_PATH, auditLogPath: AUDIT_LOG_PATH, usersPath: USERS_PATH } = storagePaths(config.storage.dataPath);
+
+// Shared stores for `storage.dataPath`; every route reads and writes through them
+const { itemsStore, itemsSequence, auditLog, usersStore } = createStores(DATA_PATH);
+
+module.exports = { DATA_PATH, AUDIT_LOG_PATH, USERS_PATH, createStores, itemsStore, itemsSequence, auditLog, usersStore };
@@ -0,0 +1,137 @@
+const fsSync = require('fs');
+const path = require('path');
+const fs = fsSync.promises;
+const { logger: defaultLogger } = require('../utils/logger');
+
+// File-backed JSON document store.
+// Mutations are serialized through a promise queue so concurrent requests can't
+// lose each other's writes, and every write goes to a temp file that is then
+// atomically renamed over the original. The previous version is kept as `.bak`.
+// With `defaultValue`, a missing file reads as that value instead of failing.
+// Listeners registered with `subscribe` hear about every committed write, and
+// about edits made by other processes while `watch()` is running. Failing
+// listeners and watcher errors are reported to `logger`.
+function createJsonStore(filePath, { defaultValue, logger = defaultLogger } = {}) {
+  const backupPath = `${filePath}.bak`;
+  const listeners = new Set();
+  let queue = Promise.resolve();
+
+  // Run a task after every previously queued task has settled
+  function enqueue(task) {
+    const run = queue.then(task);
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  async function read() {
+    try {
+      const raw = await fs.readFile(filePath, 'utf8');
+      return JSON.parse(raw);
+    } catch (error) {
+      if (error.code === 'ENOENT' && defaultValue !== undefined) {
+        return structuredClone(defaultValue);
+      }
+      throw new Error(`Failed to read data file: ${error.message}`);
+    }
+  }
+
+  async function writeAtomic(data) {
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    try {
+      await fs.writeFile(tempPath, JSON.stringify(data, null, 2), 'utf8');
+      await backup();
+      await fs.rename(tempPath, filePath);
+    } catch (error) {
+      await fs.unlink(tempPath).catch(() => {});
+      throw new Error(`Failed to write data file: ${error.message}`);
+    }
+    notify({ source: 'write' });
+  }
+
+  // A failing listener must not fail the write that triggered it
+  function notify(event) {
+    for (const listener of listeners) {
+      try {
+        listener(event);
+      } catch (error) {
+        logger.error('store change listener failed', { file: filePath, error });
+      }
+    }
+  }
+
+  // Call `listener` after every change; returns a function that unsubscribes
+  function subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }
+
+  // Watch for edits made outside this process. The directory is watched because
+  // atomic renames replace the file (and its inode) on every write. Our own
+  // writes are reported here too; listeners must tolerate duplicate events.
+  // Returns a function that stops watching.
+  function watch() {
+    const watcher = fsSync.watch(path.dirname(filePath), (eventType, filename) => {
+      if (filename === path.basename(filePath)) {
+        notify({ source: 'external' });
+      }
+    });
+    watcher.on('error', error => logger.error('data file watcher failed', { file: filePath, error }));
+    return () => watcher.close();
+  }
+
+  // Keep a copy of the current file before it is replaced
+  async function backup() {
+    try {
+      await fs.copyFile(filePath, backupPath);
+    } catch (error) {
+      // Nothing to back up on the very first write
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+
+  // Replace the whole document
+  function write(data) {
+    return enqueue(() => writeAtomic(data));
+  }
+
+  // Read-modify-write under the queue. `mutator` changes the current document in
+  // place and its return value is passed back to the caller; throwing aborts
+  // the mutation without writing anything.
+  function update(mutator) {
+    return enqueue(async () => {
+      const data = await read();
+      const result = await mutator(data);
+      await writeAtomic(data);
+      return result;
+    });
+  }
+
+  async function stat() {
+    try {
+      return await fs.stat(filePath);
+    } catch (error) {
+      throw new Error(`Failed to get file stats: ${error.message}`);
+    }
+  }
+
+  // Modification time of the data file in milliseconds
+  async function getModifiedTime() {
+    return (await stat()).mtime.getTime();
+  }
+
+  // Size of the data file in bytes
+  async function getSize() {
+    return (await stat()).size;
+  }
+
+  // Resolves once every queued mutation has been written
+  function flush() {
+    return queue;
+  }
+
+  return { filePath, read, write, update, getModifiedTime, getSize, flush, subscribe, watch };
+}
+
+module.exports = { createJsonStore };
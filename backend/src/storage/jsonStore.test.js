@@ -0,0 +1,147 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { createJsonStore } = require('./jsonStore');
+
+describe('createJsonStore', () => {
+  let dir;
+  let filePath;
+  let store;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'json-store-'));
+    filePath = path.join(dir, 'items.json');
+    await fs.writeFile(filePath, JSON.stringify([{ id: 1, name: 'Existing' }]));
+    store = createJsonStore(filePath);
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('should read the parsed document', async () => {
+    await expect(store.read()).resolves.toEqual([{ id: 1, name: 'Existing' }]);
+  });
+
+  it('should report unreadable files', async () => {
+    await fs.writeFile(filePath, '{ not json');
+
+    await expect(store.read()).rejects.toThrow('Failed to read data file');
+  });
+
+  it('should serialize concurrent updates without losing writes', async () => {
+    await Promise.all(
+      Array.from({ length: 25 }, (_, i) =>
+        store.update(async data => {
+          // Yield between read and write to invite interleaving
+          await new Promise(resolve => setImmediate(resolve));
+          data.push({ id: i + 2 });
+        })
+      )
+    );
+
+    const data = await store.read();
+    expect(data).toHaveLength(26);
+    expect(new Set(data.map(item => item.id)).size).toBe(26);
+  });
+
+  it('should return the mutator result', async () => {
+    const result = await store.update(data => {
+      data[0].name = 'Renamed';
+      return data[0];
+    });
+
+    expect(result).toEqual({ id: 1, name: 'Renamed' });
+    await expect(store.read()).resolves.toEqual([{ id: 1, name: 'Renamed' }]);
+  });
+
+  it('should keep the previous version as a .bak copy', async () => {
+    await store.update(data => { data.push({ id: 2 }); });
+    await store.update(data => { data.push({ id: 3 }); });
+
+    const backup = JSON.parse(await fs.readFile(`${filePath}.bak`, 'utf8'));
+    expect(backup.map(item => item.id)).toEqual([1, 2]);
+  });
+
+  it('should not write when the mutator throws', async () => {
+    await expect(store.update(() => { throw new Error('nope'); })).rejects.toThrow('nope');
+
+    await expect(store.read()).resolves.toEqual([{ id: 1, name: 'Existing' }]);
+    await expect(fs.access(`${filePath}.bak`)).rejects.toThrow();
+  });
+
+  it('should keep processing the queue after a failed update', async () => {
+    await expect(store.update(() => { throw new Error('nope'); })).rejects.toThrow();
+    await store.update(data => { data.push({ id: 2 }); });
+
+    await expect(store.read()).resolves.toHaveLength(2);
+  });
+
+  it('should leave no temp files behind', async () => {
+    await store.write([{ id: 9 }]);
+
+    const files = await fs.readdir(dir);
+    expect(files.sort()).toEqual(['items.json', 'items.json.bak']);
+  });
+
+  it('should leave the original intact when the write fails', async () => {
+    const original = await fs.readFile(filePath, 'utf8');
+    // A cyclic document cannot be serialized, so the write fails before the rename
+    const cyclic = [];
+    cyclic.push(cyclic);
+
+    await expect(store.write(cyclic)).rejects.toThrow('Failed to write data file');
+    await expect(fs.readFile(filePath, 'utf8')).resolves.toBe(original);
+  });
+
+  it('should resolve flush once pending writes are done', async () => {
+    store.update(data => { data.push({ id: 2 }); });
+    await store.flush();
+
+    await expect(store.read()).resolves.toHaveLength(2);
+  });
+
+  it('should notify subscribers after each committed write', async () => {
+    const listener = jest.fn();
+    const unsubscribe = store.subscribe(listener);
+
+    await store.update(data => { data.push({ id: 2 }); });
+    expect(listener).toHaveBeenCalledWith({ source: 'write' });
+
+    unsubscribe();
+    await store.write([]);
+    expect(listener).toHaveBeenCalledTimes(1);
+  });
+
+  it('should log a failing listener without failing the write', async () => {
+    const logger = { error: jest.fn() };
+    store = createJsonStore(filePath, { logger });
+    store.subscribe(() => { throw new Error('boom'); });
+
+    await store.write([]);
+
+    expect(logger.error).toHaveBeenCalledWith('store change listener failed', expect.objectContaining({
+      file: filePath,
+      error: expect.objectContaining({ message: 'boom' })
+    }));
+  });
+
+  it('should not notify when a write fails', async () => {
+    const listener = jest.fn();
+    store.subscribe(listener);
+
+    await expect(store.update(() => { throw new Error('abort'); })).rejects.toThrow('abort');
+    expect(listener).not.toHaveBeenCalled();
+  });
+
+  it('should report edits made by other processes while watching', async () => {
+    const changed = new Promise(resolve => store.subscribe(resolve));
+    const stop = store.watch();
+    try {
+      await fs.writeFile(filePath, JSON.stringify([]));
+      await expect(changed).resolves.toEqual({ source: 'external' });
+    } finally {
+      stop();
+    }
+  });
+});
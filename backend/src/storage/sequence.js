@@ -0,0 +1,23 @@
+const { createJsonStore } = require('./jsonStore');
+
+// Persistent, monotonically increasing integer sequence stored as `{ lastId }`.
+// Ids are never handed out twice, even after the highest item is deleted or the
+// process restarts.
+function createSequence(filePath) {
+  const store = createJsonStore(filePath, { defaultValue: { lastId: 0 } });
+
+  // Reserve the next `count` ids and resolve to the first one. `floor` is the
+  // highest id already in use, so a sequence file that is missing or behind the
+  // data (e.g. hand-edited items) catches up.
+  function next(floor = 0, count = 1) {
+    return store.update(state => {
+      const first = Math.max(Number(state.lastId) || 0, floor) + 1;
+      state.lastId = first + count - 1;
+      return first;
+    });
+  }
+
+  return { filePath, next };
+}
+
+module.exports = { createSequence };
@@ -0,0 +1,51 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { createSequence } = require('./sequence');
+
+describe('createSequence', () => {
+  let dir;
+  let filePath;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'sequence-'));
+    filePath = path.join(dir, 'items.seq.json');
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('should start after the floor when no file exists', async () => {
+    await expect(createSequence(filePath).next(30)).resolves.toBe(31);
+  });
+
+  it('should survive restarts', async () => {
+    await createSequence(filePath).next(0);
+    await createSequence(filePath).next(0);
+
+    await expect(createSequence(filePath).next(0)).resolves.toBe(3);
+  });
+
+  it('should never go backwards when the floor drops', async () => {
+    const sequence = createSequence(filePath);
+    await sequence.next(50);
+
+    await expect(sequence.next(10)).resolves.toBe(52);
+  });
+
+  it('should reserve blocks of ids', async () => {
+    const sequence = createSequence(filePath);
+
+    await expect(sequence.next(0, 5)).resolves.toBe(1);
+    await expect(sequence.next(0)).resolves.toBe(6);
+  });
+
+  it('should hand out distinct ids to concurrent callers', async () => {
+    const sequence = createSequence(filePath);
+    const ids = await Promise.all(Array.from({ length: 20 }, () => sequence.next(0)));
+
+    expect(new Set(ids).size).toBe(20);
+    expect(Math.max(...ids)).toBe(20);
+  });
+});
@@ -0,0 +1,89 @@
+// Small RFC 4180 CSV reader/writer: comma separated, double-quote escaping,
+// CRLF or LF line endings.
+
+// Parse CSV text into an array of rows, each an array of strings
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let i = 0;
+
+  // Ignore a UTF-8 byte order mark written by spreadsheet exports
+  if (text.charCodeAt(0) === 0xfeff) {
+    i = 1;
+  }
+
+  for (; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('Unterminated quoted field');
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Blank lines carry no data
+  return rows.filter(r => r.length > 1 || r[0] !== '');
+}
+
+// Parse CSV with a header row into objects keyed by the header names
+function parseCsvRecords(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) {
+    return [];
+  }
+  const columns = header.map(name => name.trim());
+  return rows.map(values =>
+    Object.fromEntries(columns.map((column, i) => [column, values[i] === undefined ? '' : values[i]]))
+  );
+}
+
+// Text starting with one of these is run as a formula by spreadsheet apps
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Text that would be read as a formula gets a leading apostrophe, so a spreadsheet
+// shows it as typed. Numbers are left alone.
+function escapeCsvValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const str = typeof value === 'string' && FORMULA_PREFIX.test(value) ? `'${value}` : String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+// Format one CSV line (with trailing CRLF)
+function toCsvRow(values) {
+  return `${values.map(escapeCsvValue).join(',')}\r\n`;
+}
+
+module.exports = { parseCsv, parseCsvRecords, toCsvRow };
@@ -0,0 +1,61 @@
+const { parseCsv, parseCsvRecords, toCsvRow } = require('./csv');
+
+describe('csv utils', () => {
+  describe('parseCsv', () => {
+    it('should split rows and fields', () => {
+      expect(parseCsv('a,b\n1,2\n')).toEqual([['a', 'b'], ['1', '2']]);
+    });
+
+    it('should handle CRLF, quotes, escaped quotes and embedded newlines', () => {
+      const text = 'name,note\r\n"Lamp, brass","says ""hi""\nthere"\r\n';
+
+      expect(parseCsv(text)).toEqual([
+        ['name', 'note'],
+        ['Lamp, brass', 'says "hi"\nthere']
+      ]);
+    });
+
+    it('should keep empty fields and skip blank lines', () => {
+      expect(parseCsv('a,,c\n\n,,\n')).toEqual([['a', '', 'c'], ['', '', '']]);
+    });
+
+    it('should ignore a byte order mark', () => {
+      expect(parseCsv('\uFEFFname\nDesk')).toEqual([['name'], ['Desk']]);
+    });
+
+    it('should reject unterminated quotes', () => {
+      expect(() => parseCsv('"abc\n')).toThrow('Unterminated quoted field');
+    });
+  });
+
+  describe('parseCsvRecords', () => {
+    it('should key rows by the trimmed header', () => {
+      expect(parseCsvRecords(' name , price\nDesk,300\nLamp')).toEqual([
+        { name: 'Desk', price: '300' },
+        { name: 'Lamp', price: '' }
+      ]);
+    });
+
+    it('should return no records for empty input', () => {
+      expect(parseCsvRecords('')).toEqual([]);
+    });
+  });
+
+  describe('toCsvRow', () => {
+    it('should quote values that need it and round-trip through the parser', () => {
+      const values = ['plain', 'a,b', 'say "x"', 'line\nbreak', 12.5, null];
+      const row = toCsvRow(values);
+
+      expect(row).toBe('plain,"a,b","say ""x""","line\nbreak",12.5,\r\n');
+      expect(parseCsv(row)[0]).toEqual(['plain', 'a,b', 'say "x"', 'line\nbreak', '12.5', '']);
+    });
+
+    it('should keep text that starts like a formula from running as one', () => {
+      const values = ['=HYPERLINK("http://evil","x")', '+1', '-1', '@SUM(A1)', '\tcmd', '\rcmd', -5, 'a=b'];
+
+      expect(parseCsv(toCsvRow(values))[0]).toEqual([
+        '\'=HYPERLINK("http://evil","x")', "'+1", "'-1", "'@SUM(A1)", "'\tcmd", "'\rcmd", '-5', 'a=b'
+      ]);
+    });
+  });
+});
@@ -0,0 +1,148 @@
+// Shared list-query handling for items: filter/sort/cursor helpers and the
+// in-memory implementation used by the JSON adapter. Query params themselves are
+// validated by validation/schemas.js.
+
+const SORT_FIELDS = ['name', 'category', 'price'];
+
+// What a cursor's sort key must be for each sort field; storage binds it as is
+const SORT_KEY_TYPES = { name: 'string', category: 'string', price: 'number' };
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+// Render parsed filters back into query-param form for the response
+function describeFilters({ q = null, category = [], minPrice = null, maxPrice = null, sort = null }) {
+  return {
+    q,
+    category,
+    minPrice,
+    maxPrice,
+    sort: sort ? `${sort.direction === 'desc' ? '-' : ''}${sort.field}` : null
+  };
+}
+
+// Search covers name, category, SKU and tags
+function matchesSearch(item, searchTerm) {
+  return item.name.toLowerCase().includes(searchTerm) ||
+    item.category.toLowerCase().includes(searchTerm) ||
+    (item.sku || '').toLowerCase().includes(searchTerm) ||
+    (item.tags || []).some(tag => tag.toLowerCase().includes(searchTerm));
+}
+
+// Which items a query sees: live ones ('exclude', the default), live and
+// deleted ('include'), or only the trash ('only')
+function matchesDeleted(item, deleted) {
+  switch (deleted) {
+    case 'include':
+      return true;
+    case 'only':
+      return Boolean(item.deletedAt);
+    default:
+      return !item.deletedAt;
+  }
+}
+
+function filterItems(items, { q, category = [], minPrice = null, maxPrice = null, deleted = 'exclude' } = {}) {
+  const searchTerm = q ? q.toLowerCase() : null;
+  const categories = category.map(c => c.toLowerCase());
+
+  return items.filter(item =>
+    matchesDeleted(item, deleted) &&
+    (!searchTerm || matchesSearch(item, searchTerm)) &&
+    (categories.length === 0 || categories.includes(item.category.toLowerCase())) &&
+    (minPrice === null || item.price >= minPrice) &&
+    (maxPrice === null || item.price <= maxPrice)
+  );
+}
+
+// Strings compare case-insensitively
+function compareValues(x, y) {
+  if (typeof x === 'string' && typeof y === 'string') {
+    x = x.toLowerCase();
+    y = y.toLowerCase();
+  }
+  if (x < y) return -1;
+  if (x > y) return 1;
+  return 0;
+}
+
+// Ties are broken by id in the same direction, so the order is total and paging is stable.
+// Without a sort items come in id order, as from SQLite, whatever order the data
+// file (which may be edited by hand) keeps them in; cursors continue from an id.
+function sortItems(items, sort) {
+  if (!sort) {
+    return [...items].sort((a, b) => a.id - b.id);
+  }
+  const sign = sort.direction === 'desc' ? -1 : 1;
+  return [...items].sort((a, b) =>
+    sign * (compareValues(a[sort.field], b[sort.field]) || a.id - b.id)
+  );
+}
+
+// Cursors are opaque to clients: base64url JSON of the sort they were issued for
+// plus the sort key and id of the last item on the page
+function encodeCursor(item, sort) {
+  const payload = {
+    s: describeFilters({ sort }).sort,
+    k: sort ? item[sort.field] : null,
+    id: item.id
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+// Whether `value` can be a sort key for `sort`: null without a sort
+function isSortKey(value, sort) {
+  if (!sort) {
+    return value === null;
+  }
+  return SORT_KEY_TYPES[sort.field] === 'number'
+    ? Number.isFinite(value)
+    : typeof value === SORT_KEY_TYPES[sort.field];
+}
+
+// Decode a cursor into `{ value, id }`, checking it belongs to the requested sort
+function decodeCursor(token, sort) {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw badRequest('Invalid cursor');
+  }
+  if (!payload || typeof payload !== 'object' || !Number.isSafeInteger(payload.id)) {
+    throw badRequest('Invalid cursor');
+  }
+  if (payload.s !== describeFilters({ sort }).sort) {
+    throw badRequest('Cursor does not match the requested sort');
+  }
+  if (!isSortKey(payload.k, sort)) {
+    throw badRequest('Invalid cursor');
+  }
+  return { value: payload.k, id: payload.id };
+}
+
+// Keep only items that come strictly after the cursor position in `sort` order
+function itemsAfter(items, after, sort) {
+  if (!after) {
+    return items;
+  }
+  if (!sort) {
+    return items.filter(item => item.id > after.id);
+  }
+  const sign = sort.direction === 'desc' ? -1 : 1;
+  return items.filter(item =>
+    sign * (compareValues(item[sort.field], after.value) || item.id - after.id) > 0
+  );
+}
+
+module.exports = {
+  SORT_FIELDS,
+  describeFilters,
+  filterItems,
+  sortItems,
+  encodeCursor,
+  decodeCursor,
+  itemsAfter
+};
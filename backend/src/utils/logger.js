@@ -0,0 +1,101 @@
+const { config } = require('../config');
+
+// Severity order; `silent` turns logging off
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+// Keys whose values never reach the logs, matched case-insensitively at any depth
+const DEFAULT_REDACT = ['authorization', 'cookie', 'set-cookie', 'x-api-key', 'password', 'token', 'access_token', 'secret'];
+
+const REDACTED = '[REDACTED]';
+const MAX_DEPTH = 6;
+
+// Plain-object view of an error for log lines. Stacks are only worth their size
+// for unexpected (5xx) failures.
+function serializeError(err, { stack = true } = {}) {
+  const status = err.status || err.statusCode;
+  return {
+    message: err.message,
+    ...(err.code !== undefined && { code: err.code }),
+    ...(status !== undefined && { status }),
+    ...(err.details && { details: err.details }),
+    ...(stack && err.stack && { stack: err.stack })
+  };
+}
+
+// Logger writing one JSON object per line: { time, level, msg, ...fields }.
+// `child(fields)` returns a logger that adds `fields` to every line.
+function createLogger({
+  level = 'info',
+  redact = [],
+  fields = {},
+  write = line => process.stdout.write(`${line}\n`),
+  now = () => new Date()
+} = {}) {
+  if (!Object.prototype.hasOwnProperty.call(LEVELS, level)) {
+    throw new Error(`Unknown log level "${level}"; expected one of ${Object.keys(LEVELS).join(', ')}`);
+  }
+  const redactedKeys = new Set([...DEFAULT_REDACT, ...redact].map(key => key.toLowerCase()));
+  const redacts = key => redactedKeys.has(String(key).toLowerCase());
+
+  function scrub(value, depth) {
+    if (value instanceof Error) {
+      return scrub(serializeError(value), depth);
+    }
+    if (value === null || typeof value !== 'object') {
+      return value;
+    }
+    if (depth >= MAX_DEPTH) {
+      return '[Truncated]';
+    }
+    if (Array.isArray(value)) {
+      return value.map(entry => scrub(entry, depth + 1));
+    }
+    const copy = {};
+    for (const [key, entry] of Object.entries(value)) {
+      copy[key] = redacts(key) ? REDACTED : scrub(entry, depth + 1);
+    }
+    return copy;
+  }
+
+  // Query params named like a redacted key are masked too (e.g. `?access_token=`)
+  function redactUrl(url) {
+    const queryStart = url.indexOf('?');
+    if (queryStart === -1) {
+      return url;
+    }
+    const params = new URLSearchParams(url.slice(queryStart + 1));
+    for (const key of new Set(params.keys())) {
+      if (redacts(key)) {
+        params.set(key, REDACTED);
+      }
+    }
+    return `${url.slice(0, queryStart)}?${params.toString().replace(/%5BREDACTED%5D/g, REDACTED)}`;
+  }
+
+  const isLevelEnabled = candidate => LEVELS[candidate] >= LEVELS[level];
+
+  function log(lineLevel, msg, extra = {}) {
+    if (!isLevelEnabled(lineLevel)) {
+      return;
+    }
+    const line = { time: now().toISOString(), level: lineLevel, msg, ...scrub({ ...fields, ...extra }, 0) };
+    write(JSON.stringify(line));
+  }
+
+  return {
+    level,
+    isLevelEnabled,
+    redactUrl,
+    debug: (msg, extra) => log('debug', msg, extra),
+    info: (msg, extra) => log('info', msg, extra),
+    warn: (msg, extra) => log('warn', msg, extra),
+    error: (msg, extra) => log('error', msg, extra),
+    child: extra => createLogger({ level, redact, fields: { ...fields, ...extra }, write, now })
+  };
+}
+
+// `log.level` (LOG_LEVEL) and extra `log.redact` keys (LOG_REDACT) come from
+// config; tests run silent
+const logger = createLogger(config.log);
+
+module.exports = { LEVELS, createLogger, serializeError, logger };
@@ -0,0 +1,73 @@
+const { createLogger, serializeError } = require('./logger');
+
+describe('logger', () => {
+  const time = new Date('2024-05-01T10:00:00.000Z');
+  let lines;
+  const build = options => createLogger({ write: line => lines.push(JSON.parse(line)), now: () => time, ...options });
+
+  beforeEach(() => {
+    lines = [];
+  });
+
+  it('should write one JSON object per line', () => {
+    build().info('server started', { port: 5000 });
+
+    expect(lines).toEqual([{ time: '2024-05-01T10:00:00.000Z', level: 'info', msg: 'server started', port: 5000 }]);
+  });
+
+  it('should drop lines below the configured level', () => {
+    const logger = build({ level: 'warn' });
+    logger.debug('noise');
+    logger.info('noise');
+    logger.warn('careful');
+    logger.error('broken');
+
+    expect(lines.map(line => line.level)).toEqual(['warn', 'error']);
+    expect(logger.isLevelEnabled('info')).toBe(false);
+  });
+
+  it('should log nothing when silent', () => {
+    build({ level: 'silent' }).error('broken');
+
+    expect(lines).toEqual([]);
+  });
+
+  it('should reject unknown levels', () => {
+    expect(() => build({ level: 'loud' })).toThrow('Unknown log level "loud"');
+  });
+
+  it('should add child fields to every line', () => {
+    const child = build().child({ requestId: 'r1' }).child({ user: 'ana' });
+    child.warn('slow');
+
+    expect(lines[0]).toMatchObject({ requestId: 'r1', user: 'ana', msg: 'slow' });
+  });
+
+  it('should redact sensitive keys at any depth', () => {
+    build({ redact: ['SKU'] }).info('request', {
+      headers: { Authorization: 'Bearer abc', 'X-API-Key': 'ik_1', accept: 'json' },
+      body: [{ password: 'hunter2', sku: 'A-1', name: 'Desk' }]
+    });
+
+    expect(lines[0].headers).toEqual({ Authorization: '[REDACTED]', 'X-API-Key': '[REDACTED]', accept: 'json' });
+    expect(lines[0].body).toEqual([{ password: '[REDACTED]', sku: '[REDACTED]', name: 'Desk' }]);
+  });
+
+  it('should redact sensitive query params in URLs', () => {
+    const logger = build();
+
+    expect(logger.redactUrl('/api/items/events?access_token=abc.def&page=2')).toBe('/api/items/events?access_token=[REDACTED]&page=2');
+    expect(logger.redactUrl('/api/items?q=desk')).toBe('/api/items?q=desk');
+    expect(logger.redactUrl('/api/items')).toBe('/api/items');
+  });
+
+  it('should serialize errors', () => {
+    const err = Object.assign(new Error('Item not found'), { status: 404 });
+
+    expect(serializeError(err, { stack: false })).toEqual({ message: 'Item not found', status: 404 });
+    expect(serializeError(new Error('boom')).stack).toContain('Error: boom');
+
+    build().error('failed', { error: err });
+    expect(lines[0].error).toMatchObject({ message: 'Item not found', status: 404 });
+  });
+});
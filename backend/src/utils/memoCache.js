@@ -0,0 +1,64 @@
+// Memoizing cache for async computations.
+// Concurrent callers for the same key share one in-flight promise, entries are
+// evicted least-recently-used once `maxEntries` is reached, and failed
+// computations are not cached. `clear()` drops everything, including pending
+// results, so a computation that started before a change is never stored.
+// With `ttlMs`, entries are also recomputed once they are that old (0 keeps them
+// until evicted or cleared).
+function createMemoCache({ maxEntries = 100, ttlMs = 0, now = Date.now } = {}) {
+  const entries = new Map();
+  let hits = 0;
+  let misses = 0;
+
+  const isFresh = entry => ttlMs === 0 || now() < entry.expiresAt;
+
+  function get(key, compute) {
+    const cached = entries.get(key);
+    // Re-insert so the Map's insertion order tracks recency
+    entries.delete(key);
+
+    if (cached && isFresh(cached)) {
+      hits += 1;
+      entries.set(key, cached);
+      return cached.promise;
+    }
+
+    misses += 1;
+    const promise = Promise.resolve().then(compute);
+    const entry = { promise, expiresAt: now() + ttlMs };
+    entries.set(key, entry);
+    evict();
+
+    promise.catch(() => {
+      if (entries.get(key) === entry) {
+        entries.delete(key);
+      }
+    });
+    return promise;
+  }
+
+  function evict() {
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+  }
+
+  function clear() {
+    entries.clear();
+  }
+
+  function stats() {
+    const lookups = hits + misses;
+    return {
+      hits,
+      misses,
+      hitRatio: lookups > 0 ? hits / lookups : 0,
+      size: entries.size,
+      maxEntries
+    };
+  }
+
+  return { get, clear, stats };
+}
+
+module.exports = { createMemoCache };
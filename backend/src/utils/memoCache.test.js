@@ -0,0 +1,93 @@
+const { createMemoCache } = require('./memoCache');
+
+describe('createMemoCache', () => {
+  it('should compute once and serve later lookups from the cache', async () => {
+    const cache = createMemoCache();
+    const compute = jest.fn().mockResolvedValue(42);
+
+    await expect(cache.get('a', compute)).resolves.toBe(42);
+    await expect(cache.get('a', compute)).resolves.toBe(42);
+
+    expect(compute).toHaveBeenCalledTimes(1);
+    expect(cache.stats()).toEqual({ hits: 1, misses: 1, hitRatio: 0.5, size: 1, maxEntries: 100 });
+  });
+
+  it('should share one in-flight computation between concurrent callers', async () => {
+    const cache = createMemoCache();
+    let resolve;
+    const compute = jest.fn(() => new Promise(r => { resolve = r; }));
+
+    const results = Promise.all([cache.get('a', compute), cache.get('a', compute), cache.get('a', compute)]);
+    await Promise.resolve();
+    resolve('done');
+
+    await expect(results).resolves.toEqual(['done', 'done', 'done']);
+    expect(compute).toHaveBeenCalledTimes(1);
+  });
+
+  it('should evict the least recently used entry', async () => {
+    const cache = createMemoCache({ maxEntries: 2 });
+    const compute = jest.fn(async () => 'value');
+
+    await cache.get('a', compute);
+    await cache.get('b', compute);
+    await cache.get('a', compute);
+    await cache.get('c', compute);
+    await cache.get('a', compute);
+    await cache.get('b', compute);
+
+    // a, b, c computed once each, then b again after it was evicted by c
+    expect(compute).toHaveBeenCalledTimes(4);
+    expect(cache.stats().size).toBe(2);
+  });
+
+  it('should not cache failures', async () => {
+    const cache = createMemoCache();
+    const compute = jest.fn()
+      .mockRejectedValueOnce(new Error('boom'))
+      .mockResolvedValueOnce('ok');
+
+    await expect(cache.get('a', compute)).rejects.toThrow('boom');
+    await expect(cache.get('a', compute)).resolves.toBe('ok');
+  });
+
+  it('should drop everything on clear, including pending results', async () => {
+    const cache = createMemoCache();
+    let resolve;
+    const slow = jest.fn(() => new Promise(r => { resolve = r; }));
+
+    const pending = cache.get('a', slow);
+    await Promise.resolve();
+    cache.clear();
+    resolve('stale');
+    await pending;
+
+    await expect(cache.get('a', async () => 'fresh')).resolves.toBe('fresh');
+    expect(cache.stats().size).toBe(1);
+  });
+
+  it('should report a zero hit ratio before any lookups', () => {
+    expect(createMemoCache({ maxEntries: 5 }).stats()).toEqual({
+      hits: 0,
+      misses: 0,
+      hitRatio: 0,
+      size: 0,
+      maxEntries: 5
+    });
+  });
+
+  it('should recompute entries older than the TTL', async () => {
+    let clock = 0;
+    const cache = createMemoCache({ ttlMs: 1000, now: () => clock });
+    const compute = jest.fn().mockResolvedValueOnce('first').mockResolvedValueOnce('second');
+
+    await expect(cache.get('a', compute)).resolves.toBe('first');
+    clock = 999;
+    await expect(cache.get('a', compute)).resolves.toBe('first');
+    clock = 1000;
+    await expect(cache.get('a', compute)).resolves.toBe('second');
+
+    expect(compute).toHaveBeenCalledTimes(2);
+    expect(cache.stats()).toMatchObject({ hits: 1, misses: 2, size: 1 });
+  });
+});
@@ -0,0 +1,26 @@
+const TRACKED = Symbol('route template');
+
+// Track the route pattern that handles the request (e.g. /api/items/:id), which
+// groups requests far better than raw URLs. Express sets `req.route` on a match
+// but resets `req.baseUrl` once an error leaves the router, so the mount path is
+// captured at match time. Returns a function giving the template, or null when
+// no route matched. Safe to call more than once per request.
+function trackRoute(req) {
+  if (req[TRACKED]) {
+    return req[TRACKED];
+  }
+
+  let matched = null;
+  Object.defineProperty(req, 'route', {
+    configurable: true,
+    enumerable: true,
+    get: () => (matched ? matched.route : undefined),
+    set: route => {
+      matched = { route, baseUrl: req.baseUrl };
+    }
+  });
+  req[TRACKED] = () => (matched ? `${matched.baseUrl}${matched.route.path}` : null);
+  return req[TRACKED];
+}
+
+module.exports = { trackRoute };
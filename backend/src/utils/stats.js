@@ -1,6 +1,178 @@
-// Utility intentionally unused by routes (candidate should refactor)
 function mean(arr) {
   return arr.reduce((a, b) => a + b, 0) / arr.length;
 }
 
-module.exports = { mean };
\ No newline at end of file
+// Round to 2 decimal places
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Percentile (0-100) of an ascending array, interpolating linearly between the
+// two closest ranks (the same method as Excel's PERCENTILE.INC)
+function percentile(sorted, p) {
+  if (sorted.length === 0) {
+    return 0;
+  }
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+function median(sorted) {
+  return percentile(sorted, 50);
+}
+
+// Population standard deviation
+function standardDeviation(arr) {
+  if (arr.length === 0) {
+    return 0;
+  }
+  const avg = mean(arr);
+  return Math.sqrt(mean(arr.map(value => (value - avg) ** 2)));
+}
+
+function emptyStats() {
+  return {
+    total: 0,
+    averagePrice: 0,
+    medianPrice: 0,
+    percentiles: { p25: 0, p75: 0, p90: 0 },
+    standardDeviation: 0,
+    inventoryValue: 0,
+    categories: {},
+    byCategory: {},
+    priceRange: { min: 0, max: 0 }
+  };
+}
+
+// Calculate stats from items data. Only `category`, `price` and `stock` are read.
+function calculateStats(items) {
+  if (!items || items.length === 0) {
+    return emptyStats();
+  }
+
+  const prices = items.map(item => item.price || 0).sort((a, b) => a - b);
+
+  // Group prices by category
+  const pricesByCategory = items.reduce((acc, item) => {
+    const category = item.category || 'Unknown';
+    (acc[category] = acc[category] || []).push(item.price || 0);
+    return acc;
+  }, {});
+
+  const categories = {};
+  const byCategory = {};
+  for (const category of Object.keys(pricesByCategory).sort()) {
+    // Sorted rather than spread into Math.min/max, which overflows the call stack
+    // for large categories
+    const categoryPrices = pricesByCategory[category].sort((a, b) => a - b);
+    categories[category] = categoryPrices.length;
+    byCategory[category] = {
+      count: categoryPrices.length,
+      averagePrice: round2(mean(categoryPrices)),
+      min: categoryPrices[0],
+      max: categoryPrices[categoryPrices.length - 1]
+    };
+  }
+
+  return {
+    total: items.length,
+    averagePrice: round2(mean(prices)),
+    medianPrice: round2(median(prices)),
+    percentiles: {
+      p25: round2(percentile(prices, 25)),
+      p75: round2(percentile(prices, 75)),
+      p90: round2(percentile(prices, 90))
+    },
+    standardDeviation: round2(standardDeviation(prices)),
+    inventoryValue: round2(items.reduce((sum, item) => sum + (item.price || 0) * (item.stock || 0), 0)),
+    categories,
+    byCategory,
+    priceRange: {
+      min: prices[0],
+      max: prices[prices.length - 1]
+    }
+  };
+}
+
+// Equal-width bucket boundaries spanning the prices. A single distinct price
+// gets one zero-width bucket, and no prices get no buckets.
+function equalWidthEdges(sorted, bucketCount) {
+  if (sorted.length === 0) {
+    return [];
+  }
+  const min = sorted[0];
+  const max = sorted[sorted.length - 1];
+  if (min === max) {
+    return [min, max];
+  }
+  const width = (max - min) / bucketCount;
+  return Array.from({ length: bucketCount + 1 }, (_, i) => (i === bucketCount ? max : min + i * width));
+}
+
+// Index of the bucket holding `price`, or -1/edges.length when it falls outside.
+// Buckets include their lower edge; the last one also includes its upper edge.
+function bucketIndex(edges, price) {
+  const last = edges.length - 1;
+  if (price < edges[0]) return -1;
+  if (price > edges[last]) return edges.length;
+  if (price === edges[last]) return Math.max(last - 1, 0);
+  let low = 0;
+  let high = last - 1;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (edges[mid] <= price) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return low;
+}
+
+// Count prices into buckets: `bucketCount` equal-width buckets between the lowest
+// and highest price, or the explicit ascending `edges`. With `groupBy: 'category'`
+// every bucket also breaks its count down by category.
+function calculateHistogram(items, { bucketCount = 10, edges = null, groupBy = null } = {}) {
+  const rows = items || [];
+  const prices = rows.map(item => item.price || 0).sort((a, b) => a - b);
+  const bounds = edges || equalWidthEdges(prices, bucketCount);
+  const bucketTotal = Math.max(bounds.length - 1, 0);
+
+  const buckets = Array.from({ length: bucketTotal }, (_, i) => ({
+    min: round2(bounds[i]),
+    max: round2(bounds[i + 1]),
+    count: 0,
+    ...(groupBy === 'category' ? { categories: {} } : {})
+  }));
+  const outOfRange = { below: 0, above: 0 };
+
+  for (const item of rows) {
+    const index = bucketIndex(bounds, item.price || 0);
+    if (index < 0) {
+      outOfRange.below += 1;
+    } else if (index >= bucketTotal) {
+      outOfRange.above += 1;
+    } else {
+      const bucket = buckets[index];
+      bucket.count += 1;
+      if (bucket.categories) {
+        const category = item.category || 'Unknown';
+        bucket.categories[category] = (bucket.categories[category] || 0) + 1;
+      }
+    }
+  }
+
+  return { total: rows.length, buckets, outOfRange };
+}
+
+module.exports = {
+  mean,
+  round2,
+  percentile,
+  median,
+  standardDeviation,
+  calculateStats,
+  calculateHistogram
+};
@@ -0,0 +1,168 @@
+const {
+  mean,
+  round2,
+  percentile,
+  median,
+  standardDeviation,
+  calculateStats,
+  calculateHistogram
+} = require('./stats');
+
+describe('stats utils', () => {
+  describe('mean and round2', () => {
+    it('should average and round to cents', () => {
+      expect(mean([1, 2, 4])).toBeCloseTo(2.3333);
+      expect(round2(2.345678)).toBe(2.35);
+    });
+  });
+
+  describe('percentile', () => {
+    const sorted = [10, 20, 30, 40, 50];
+
+    it('should return exact ranks', () => {
+      expect(percentile(sorted, 0)).toBe(10);
+      expect(percentile(sorted, 25)).toBe(20);
+      expect(percentile(sorted, 100)).toBe(50);
+    });
+
+    it('should interpolate between ranks', () => {
+      expect(percentile(sorted, 90)).toBe(46);
+      expect(percentile([1, 2], 50)).toBe(1.5);
+    });
+
+    it('should handle one and zero values', () => {
+      expect(percentile([7], 75)).toBe(7);
+      expect(percentile([], 50)).toBe(0);
+    });
+  });
+
+  describe('median', () => {
+    it('should pick the middle value or average the middle pair', () => {
+      expect(median([1, 3, 9])).toBe(3);
+      expect(median([1, 3, 9, 11])).toBe(6);
+    });
+  });
+
+  describe('standardDeviation', () => {
+    it('should compute the population standard deviation', () => {
+      expect(standardDeviation([2, 4, 4, 4, 5, 5, 7, 9])).toBe(2);
+      expect(standardDeviation([5])).toBe(0);
+      expect(standardDeviation([])).toBe(0);
+    });
+  });
+
+  describe('calculateStats', () => {
+    it('should not depend on the order of items', () => {
+      const items = [
+        { category: 'B', price: 30, stock: 1 },
+        { category: 'A', price: 10, stock: 3 },
+        { category: 'B', price: 20, stock: 0 }
+      ];
+
+      expect(calculateStats(items)).toEqual(calculateStats([...items].reverse()));
+      expect(calculateStats(items)).toMatchObject({
+        medianPrice: 20,
+        inventoryValue: 60,
+        priceRange: { min: 10, max: 30 }
+      });
+    });
+
+    it('should group items without a category as Unknown', () => {
+      const stats = calculateStats([{ price: 5 }, { category: 'A', price: 15 }]);
+
+      expect(stats.categories).toEqual({ A: 1, Unknown: 1 });
+      expect(stats.byCategory.Unknown).toEqual({ count: 1, averagePrice: 5, min: 5, max: 5 });
+    });
+
+    it('should handle categories too large to spread into arguments', () => {
+      const items = Array.from({ length: 200000 }, (_, i) => ({ category: 'Bulk', price: (i * 7) % 1000 }));
+
+      const stats = calculateStats(items);
+
+      expect(stats.byCategory.Bulk).toMatchObject({ count: 200000, min: 0, max: 999 });
+    });
+
+    it('should return zeros for no items', () => {
+      expect(calculateStats([])).toMatchObject({ total: 0, medianPrice: 0, byCategory: {} });
+      expect(calculateStats(null).total).toBe(0);
+    });
+  });
+
+  describe('calculateHistogram', () => {
+    const items = [
+      { category: 'A', price: 0 },
+      { category: 'A', price: 25 },
+      { category: 'B', price: 50 },
+      { category: 'B', price: 99 },
+      { category: 'B', price: 100 }
+    ];
+
+    it('should split the price range into equal-width buckets', () => {
+      expect(calculateHistogram(items, { bucketCount: 4 })).toEqual({
+        total: 5,
+        buckets: [
+          { min: 0, max: 25, count: 1 },
+          { min: 25, max: 50, count: 1 },
+          { min: 50, max: 75, count: 1 },
+          { min: 75, max: 100, count: 2 }
+        ],
+        outOfRange: { below: 0, above: 0 }
+      });
+    });
+
+    it('should default to ten buckets', () => {
+      expect(calculateHistogram(items).buckets).toHaveLength(10);
+    });
+
+    it('should count into explicit edges and report prices outside them', () => {
+      const histogram = calculateHistogram(items, { edges: [10, 50, 99] });
+
+      expect(histogram.buckets).toEqual([
+        { min: 10, max: 50, count: 1 },
+        { min: 50, max: 99, count: 2 }
+      ]);
+      expect(histogram.outOfRange).toEqual({ below: 1, above: 1 });
+    });
+
+    it('should break buckets down by category', () => {
+      const histogram = calculateHistogram(items, { bucketCount: 2, groupBy: 'category' });
+
+      expect(histogram.buckets).toEqual([
+        { min: 0, max: 50, count: 2, categories: { A: 2 } },
+        { min: 50, max: 100, count: 3, categories: { B: 3 } }
+      ]);
+    });
+
+    it('should return no buckets for an empty catalog', () => {
+      expect(calculateHistogram([], { bucketCount: 5 })).toEqual({
+        total: 0,
+        buckets: [],
+        outOfRange: { below: 0, above: 0 }
+      });
+    });
+
+    it('should keep empty buckets for explicit edges on an empty catalog', () => {
+      expect(calculateHistogram([], { edges: [0, 10, 20] }).buckets).toEqual([
+        { min: 0, max: 10, count: 0 },
+        { min: 10, max: 20, count: 0 }
+      ]);
+    });
+
+    it('should put a single-price catalog in one bucket', () => {
+      const single = [{ category: 'A', price: 42 }, { category: 'B', price: 42 }];
+
+      expect(calculateHistogram(single, { bucketCount: 8, groupBy: 'category' })).toEqual({
+        total: 2,
+        buckets: [{ min: 42, max: 42, count: 2, categories: { A: 1, B: 1 } }],
+        outOfRange: { below: 0, above: 0 }
+      });
+    });
+
+    it('should round bucket boundaries for display', () => {
+      const histogram = calculateHistogram([{ price: 0 }, { price: 10 }], { bucketCount: 3 });
+
+      expect(histogram.buckets.map(bucket => bucket.max)).toEqual([3.33, 6.67, 10]);
+      expect(histogram.buckets.map(bucket => bucket.count)).toEqual([1, 0, 1]);
+    });
+  });
+});
@@ -0,0 +1,169 @@
+// Minimal declarative validation for query strings, route params and JSON bodies.
+//
+// A schema maps field names to rules:
+//   { type: 'string' | 'number' | 'integer' | 'boolean' | 'enum' | 'list' | 'date', ...options }
+// Options: required, default, nullable, min, max, minLength, maxLength, values (enum),
+// minItems/maxItems (list), pattern, allowEmpty, transform(value),
+// message (used for every failure of that field).
+// `coerce: true` (used for query strings and params) converts strings to the
+// rule's type; JSON bodies are checked strictly.
+// Dates are ISO 8601 strings (a bare date means midnight UTC) and come out
+// normalized with toISOString().
+
+function describe(rule, name) {
+  switch (rule.type) {
+    case 'integer':
+    case 'number': {
+      const kind = rule.type === 'integer' ? 'an integer' : 'a number';
+      if (rule.min !== undefined && rule.max !== undefined) {
+        return `${name} must be ${kind} between ${rule.min} and ${rule.max}`;
+      }
+      if (rule.min === 0) {
+        return `${name} must be a non-negative ${rule.type}`;
+      }
+      if (rule.min === 1 && rule.type === 'integer') {
+        return `${name} must be a positive integer`;
+      }
+      return `${name} must be ${kind}`;
+    }
+    case 'enum':
+      return `${name} must be one of: ${rule.values.join(', ')}`;
+    case 'boolean':
+      return `${name} must be true or false`;
+    case 'list':
+      return `${name} must be a list of non-empty strings`;
+    case 'date':
+      return `${name} must be an ISO 8601 date`;
+    default:
+      return `${name} must be a non-empty string`;
+  }
+}
+
+// Returns the checked value, or undefined when the value is invalid
+function checkValue(rule, value, coerce) {
+  switch (rule.type) {
+    case 'string': {
+      if (typeof value !== 'string') return undefined;
+      const str = rule.trim === false ? value : value.trim();
+      if (str.length < (rule.minLength ?? 1)) return undefined;
+      if (rule.maxLength !== undefined && str.length > rule.maxLength) return undefined;
+      if (rule.pattern && !rule.pattern.test(str)) return undefined;
+      return str;
+    }
+    case 'number':
+    case 'integer': {
+      let num = value;
+      if (coerce && typeof value === 'string') {
+        if (rule.pattern && !rule.pattern.test(value)) return undefined;
+        const pattern = rule.type === 'integer' ? /^-?\d+$/ : /^-?(\d+\.?\d*|\.\d+)$/;
+        num = pattern.test(value.trim()) ? Number(value) : NaN;
+      }
+      if (typeof num !== 'number' || !Number.isFinite(num)) return undefined;
+      if (rule.type === 'integer' && !Number.isSafeInteger(num)) return undefined;
+      if (rule.min !== undefined && num < rule.min) return undefined;
+      if (rule.max !== undefined && num > rule.max) return undefined;
+      return num;
+    }
+    case 'boolean': {
+      if (typeof value === 'boolean') return value;
+      if (coerce && (value === 'true' || value === 'false')) return value === 'true';
+      return undefined;
+    }
+    case 'enum':
+      return rule.values.includes(value) ? value : undefined;
+    case 'list': {
+      // Accept `a&a` (array) as well as `a,b` for query strings; bodies need an array
+      if (!coerce && !Array.isArray(value)) return undefined;
+      const values = Array.isArray(value) ? value : [value];
+      if (!values.every(v => typeof v === 'string')) return undefined;
+      const list = values.flatMap(v => (coerce ? v.split(',') : [v])).map(v => v.trim());
+      if (!coerce && list.some(v => v === '')) return undefined;
+      const items = list.filter(Boolean);
+      if (items.length < (rule.minItems ?? 1)) return undefined;
+      if (rule.maxItems !== undefined && items.length > rule.maxItems) return undefined;
+      if (rule.maxLength !== undefined && items.some(v => v.length > rule.maxLength)) return undefined;
+      return items;
+    }
+    case 'date': {
+      if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}([T ][\d:.]+(Z|[+-]\d{2}:?\d{2})?)?$/.test(value.trim())) {
+        return undefined;
+      }
+      const time = Date.parse(value.trim());
+      return Number.isFinite(time) ? new Date(time).toISOString() : undefined;
+    }
+    default:
+      throw new Error(`Unknown rule type: ${rule.type}`);
+  }
+}
+
+// Build a schema. Options:
+//   coerce    convert strings (query/params)
+//   partial   only validate fields that are present (PATCH)
+//   unknown   'reject' (default) or 'strip'
+//   refine    (value) => error message | null, for cross-field rules
+//   label     noun used for unknown keys ("parameter", "field")
+function defineSchema(fields, options = {}) {
+  const { coerce = false, partial = false, unknown = 'reject', refine, label = 'field' } = options;
+
+  function validate(input) {
+    const errors = [];
+    const value = {};
+
+    if (input === null || typeof input !== 'object' || Array.isArray(input)) {
+      return { value, errors: [{ field: null, message: 'Expected a JSON object' }] };
+    }
+
+    if (unknown === 'reject') {
+      for (const key of Object.keys(input)) {
+        if (!Object.prototype.hasOwnProperty.call(fields, key)) {
+          errors.push({ field: key, message: `Unknown ${label} "${key}"` });
+        }
+      }
+    }
+
+    for (const [name, rule] of Object.entries(fields)) {
+      const raw = input[name];
+      // An empty query param counts as absent unless the rule opts in with allowEmpty
+      const missing = raw === undefined || (coerce && raw === '' && !rule.allowEmpty);
+
+      if (missing) {
+        if (rule.required && !partial) {
+          errors.push({ field: name, message: rule.message || `${name} is required` });
+        } else if (rule.default !== undefined && !partial) {
+          value[name] = Array.isArray(rule.default) ? [...rule.default] : rule.default;
+        }
+        continue;
+      }
+
+      if (raw === null && rule.nullable) {
+        value[name] = null;
+        continue;
+      }
+
+      const checked = checkValue(rule, raw, coerce);
+      if (checked === undefined) {
+        errors.push({ field: name, message: rule.message || describe(rule, name) });
+        continue;
+      }
+      value[name] = rule.transform ? rule.transform(checked) : checked;
+    }
+
+    if (errors.length === 0 && refine) {
+      const message = refine(value);
+      if (message) {
+        errors.push({ field: null, message });
+      }
+    }
+
+    return { value, errors };
+  }
+
+  // Derive a schema with some options changed (e.g. a partial PATCH body)
+  function extend(overrides) {
+    return defineSchema(fields, { ...options, ...overrides });
+  }
+
+  return { fields, validate, extend };
+}
+
+module.exports = { defineSchema };
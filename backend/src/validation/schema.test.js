@@ -0,0 +1,125 @@
+const { defineSchema } = require('./schema');
+
+describe('defineSchema', () => {
+  const body = defineSchema({
+    name: { type: 'string', required: true },
+    price: { type: 'number', min: 0 },
+    tags: { type: 'list' }
+  });
+
+  const query = defineSchema({
+    page: { type: 'integer', min: 1, default: 1 },
+    limit: { type: 'integer', min: 1, max: 100 },
+    active: { type: 'boolean' },
+    sort: { type: 'enum', values: ['name', '-name'] },
+    tags: { type: 'list' }
+  }, { coerce: true, label: 'parameter' });
+
+  it('should trim strings and keep valid values', () => {
+    const { value, errors } = body.validate({ name: '  Desk ', price: 10 });
+
+    expect(errors).toEqual([]);
+    expect(value).toEqual({ name: 'Desk', price: 10 });
+  });
+
+  it('should report required and invalid fields', () => {
+    const { errors } = body.validate({ price: -1 });
+
+    expect(errors).toEqual([
+      { field: 'name', message: 'name is required' },
+      { field: 'price', message: 'price must be a non-negative number' }
+    ]);
+  });
+
+  it('should not coerce JSON body values', () => {
+    const { errors } = body.validate({ name: 'Desk', price: '10' });
+
+    expect(errors.map(e => e.field)).toEqual(['price']);
+  });
+
+  it('should reject unknown keys', () => {
+    const { errors } = query.validate({ pgae: '2' });
+
+    expect(errors).toEqual([{ field: 'pgae', message: 'Unknown parameter "pgae"' }]);
+  });
+
+  it('should strip unknown keys when asked', () => {
+    const { value, errors } = body.extend({ unknown: 'strip' }).validate({ name: 'Desk', extra: 1 });
+
+    expect(errors).toEqual([]);
+    expect(value).toEqual({ name: 'Desk' });
+  });
+
+  it('should reject non-object input', () => {
+    expect(body.validate([]).errors[0].message).toBe('Expected a JSON object');
+    expect(body.validate(null).errors[0].message).toBe('Expected a JSON object');
+  });
+
+  it('should coerce query strings and apply defaults', () => {
+    const { value, errors } = query.validate({ limit: '25', active: 'false', tags: ['a,b', 'c'] });
+
+    expect(errors).toEqual([]);
+    expect(value).toEqual({ page: 1, limit: 25, active: false, tags: ['a', 'b', 'c'] });
+  });
+
+  it('should treat empty query params as absent', () => {
+    const { value, errors } = query.validate({ page: '', sort: '' });
+
+    expect(errors).toEqual([]);
+    expect(value).toEqual({ page: 1 });
+  });
+
+  it('should reject malformed and out-of-range numbers', () => {
+    const cases = {
+      page: ['abc', '-3', '0', '1.5', '2e3'],
+      limit: ['101', '100000']
+    };
+
+    for (const [field, values] of Object.entries(cases)) {
+      for (const raw of values) {
+        const { errors } = query.validate({ [field]: raw });
+        expect(errors.map(e => e.field)).toEqual([field]);
+      }
+    }
+  });
+
+  it('should describe range and enum failures', () => {
+    expect(query.validate({ limit: '0' }).errors[0].message)
+      .toBe('limit must be an integer between 1 and 100');
+    expect(query.validate({ page: 'x' }).errors[0].message)
+      .toBe('page must be a positive integer');
+    expect(query.validate({ sort: 'price' }).errors[0].message)
+      .toBe('sort must be one of: name, -name');
+    expect(query.validate({ active: 'yes' }).errors[0].message)
+      .toBe('active must be true or false');
+  });
+
+  it('should skip missing fields and defaults in partial mode', () => {
+    const partial = body.extend({ partial: true });
+
+    expect(partial.validate({ price: 5 })).toEqual({ value: { price: 5 }, errors: [] });
+  });
+
+  it('should run refine only when fields are valid', () => {
+    const refine = jest.fn(() => 'bad combination');
+    const refined = body.extend({ refine });
+
+    expect(refined.validate({}).errors).toHaveLength(1);
+    expect(refine).not.toHaveBeenCalled();
+    expect(refined.validate({ name: 'Desk' }).errors).toEqual([
+      { field: null, message: 'bad combination' }
+    ]);
+  });
+
+  it('should normalize ISO dates and reject anything else', () => {
+    const range = defineSchema({ from: { type: 'date' } }, { coerce: true });
+
+    expect(range.validate({ from: '2024-03-01' }).value).toEqual({ from: '2024-03-01T00:00:00.000Z' });
+    expect(range.validate({ from: '2024-03-01T12:30:00+02:00' }).value).toEqual({ from: '2024-03-01T10:30:00.000Z' });
+    for (const from of ['yesterday', '2024-13-45', '1700000000']) {
+      expect(range.validate({ from }).errors).toEqual([
+        { field: 'from', message: 'from must be an ISO 8601 date' }
+      ]);
+    }
+  });
+});
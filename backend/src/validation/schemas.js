@@ -0,0 +1,293 @@
+const { defineSchema } = require('./schema');
+const { SORT_FIELDS } = require('../utils/itemQuery');
+const { ITEM_DEFAULTS } = require('../models/item');
+const { config } = require('../config');
+
+// Largest number of audit entries one request returns
+const MAX_AUDIT_ENTRIES = 1000;
+
+// Largest number of histogram buckets, whether equal-width or explicit
+const MAX_HISTOGRAM_BUCKETS = 100;
+
+const SORT_OPTIONS = SORT_FIELDS.flatMap(field => [field, `-${field}`]);
+
+// `sort=price` sorts ascending, `sort=-price` descending
+function parseSort(value) {
+  return value.startsWith('-')
+    ? { field: value.slice(1), direction: 'desc' }
+    : { field: value, direction: 'asc' };
+}
+
+const itemFields = {
+  name: {
+    type: 'string',
+    required: true,
+    message: 'Name is required and must be a non-empty string'
+  },
+  category: {
+    type: 'string',
+    required: true,
+    message: 'Category is required and must be a non-empty string'
+  },
+  price: {
+    type: 'number',
+    min: 0,
+    required: true,
+    message: 'Price is required and must be a non-negative number'
+  },
+  description: {
+    type: 'string',
+    minLength: 0,
+    maxLength: 2000,
+    default: ITEM_DEFAULTS.description,
+    message: 'Description must be a string of at most 2000 characters'
+  },
+  sku: {
+    type: 'string',
+    pattern: /^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$/,
+    nullable: true,
+    default: ITEM_DEFAULTS.sku,
+    transform: value => value.toUpperCase(),
+    message: 'SKU must be 1-64 letters, digits, dots, dashes or underscores'
+  },
+  stock: {
+    type: 'integer',
+    min: 0,
+    default: ITEM_DEFAULTS.stock,
+    message: 'Stock must be a non-negative integer'
+  },
+  imageUrl: {
+    type: 'string',
+    pattern: /^https?:\/\/\S+$/,
+    maxLength: 2048,
+    nullable: true,
+    default: ITEM_DEFAULTS.imageUrl,
+    message: 'Image URL must be an http(s) URL'
+  },
+  tags: {
+    type: 'list',
+    minItems: 0,
+    maxItems: 20,
+    maxLength: 40,
+    default: ITEM_DEFAULTS.tags,
+    transform: tags => [...new Set(tags.map(tag => tag.toLowerCase()))],
+    message: 'Tags must be a list of at most 20 non-empty strings'
+  }
+};
+
+// POST and PUT bodies. Optional fields left out of a PUT reset to their defaults.
+const itemBody = defineSchema(itemFields);
+
+// PATCH bodies: any subset of the item fields, but not none
+const itemPatchBody = itemBody.extend({
+  partial: true,
+  refine: value => (Object.keys(value).length === 0
+    ? 'At least one item field must be provided'
+    : null)
+});
+
+// Rows of a bulk import follow the POST rules. CSV cells are strings, so CSV
+// rows are coerced; JSON rows are checked as strictly as a POST body.
+const importJsonRow = itemBody;
+const importCsvRow = itemBody.extend({ coerce: true });
+
+// Item ids are positive integers; anything else (e.g. "12abc") is rejected
+const itemIdParams = defineSchema({
+  id: {
+    type: 'integer',
+    min: 1,
+    required: true,
+    pattern: /^[1-9]\d*$/,
+    message: 'Invalid item id'
+  }
+}, { coerce: true, label: 'parameter' });
+
+// Search and filter params shared by every endpoint that selects items
+const searchFields = {
+  q: { type: 'string' },
+  category: { type: 'list' },
+  minPrice: { type: 'number', min: 0 },
+  maxPrice: { type: 'number', min: 0 }
+};
+
+// ...plus sorting, for endpoints that return items in order
+const filterFields = {
+  ...searchFields,
+  sort: { type: 'enum', values: SORT_OPTIONS, transform: parseSort }
+};
+
+function checkPriceRange({ minPrice, maxPrice }) {
+  return minPrice !== undefined && maxPrice !== undefined && minPrice > maxPrice
+    ? 'minPrice must not be greater than maxPrice'
+    : null;
+}
+
+// Lists leave out deleted items unless asked to include them
+const includeDeletedField = { type: 'boolean', default: false };
+
+// POST /api/items/import
+const importItemsQuery = defineSchema({
+  dryRun: { type: 'boolean', default: false }
+}, { coerce: true, label: 'parameter' });
+
+// GET /api/items/export
+const exportItemsQuery = defineSchema({
+  ...filterFields,
+  includeDeleted: includeDeletedField,
+  format: { type: 'enum', values: ['json', 'csv'], default: 'json' }
+}, { coerce: true, label: 'parameter', refine: checkPriceRange });
+
+// GET /api/items/:id
+const getItemQuery = defineSchema({
+  includeDeleted: includeDeletedField
+}, { coerce: true, label: 'parameter' });
+
+// GET /api/items/events
+const itemEventsQuery = defineSchema({
+  lastEventId: { type: 'integer', min: 0 }
+}, { coerce: true, label: 'parameter' });
+
+// GET /api/items/:id/history
+const itemHistoryQuery = defineSchema({
+  limit: { type: 'integer', min: 1, max: MAX_AUDIT_ENTRIES, default: 100 }
+}, { coerce: true, label: 'parameter' });
+
+// GET /api/audit
+const auditQuery = defineSchema({
+  from: { type: 'date' },
+  to: { type: 'date' },
+  actor: { type: 'string', maxLength: 100 },
+  action: { type: 'enum', values: ['created', 'updated', 'deleted', 'restored', 'purged'] },
+  itemId: { type: 'integer', min: 1 },
+  limit: { type: 'integer', min: 1, max: MAX_AUDIT_ENTRIES, default: 100 }
+}, {
+  coerce: true,
+  label: 'parameter',
+  refine: ({ from, to }) => (from !== undefined && to !== undefined && from > to
+    ? 'from must not be later than to'
+    : null)
+});
+
+// POST /api/auth/login. Passwords are taken exactly as typed.
+const loginBody = defineSchema({
+  username: { type: 'string', required: true, maxLength: 100, message: 'Username is required' },
+  password: { type: 'string', required: true, trim: false, maxLength: 1024, message: 'Password is required' }
+});
+
+// POST /api/auth/api-keys
+const apiKeyBody = defineSchema({
+  name: {
+    type: 'string',
+    required: true,
+    maxLength: 100,
+    message: 'Name is required and must be at most 100 characters'
+  }
+});
+
+// DELETE /api/auth/api-keys/:keyId
+const apiKeyParams = defineSchema({
+  keyId: { type: 'string', pattern: /^[0-9a-f]{16}$/, required: true, message: 'Invalid API key id' }
+}, { coerce: true, label: 'parameter' });
+
+// GET /api/stats describes the slice of the catalog selected by the list filters
+const statsQuery = defineSchema(searchFields, { coerce: true, label: 'parameter', refine: checkPriceRange });
+
+function parseEdges(values) {
+  return values.map(Number);
+}
+
+// GET /api/stats/histogram
+const histogramQuery = defineSchema({
+  ...searchFields,
+  buckets: {
+    type: 'integer',
+    min: 1,
+    max: MAX_HISTOGRAM_BUCKETS,
+    message: `buckets must be an integer between 1 and ${MAX_HISTOGRAM_BUCKETS}`
+  },
+  edges: {
+    type: 'list',
+    minItems: 2,
+    maxItems: MAX_HISTOGRAM_BUCKETS + 1,
+    transform: parseEdges,
+    message: `edges must be 2 to ${MAX_HISTOGRAM_BUCKETS + 1} comma-separated numbers`
+  },
+  groupBy: { type: 'enum', values: ['category'] }
+}, {
+  coerce: true,
+  label: 'parameter',
+  refine: value => {
+    if (value.buckets !== undefined && value.edges !== undefined) {
+      return 'buckets cannot be combined with edges';
+    }
+    if (value.edges && !value.edges.every((edge, i) => Number.isFinite(edge) && (i === 0 || edge > value.edges[i - 1]))) {
+      return 'edges must be strictly increasing numbers';
+    }
+    return checkPriceRange(value);
+  }
+});
+
+// Schemas whose limits and defaults come from config: page sizes
+// (`pagination.defaultPageSize` and `pagination.maxPageSize`) and the purge
+// cutoff (`trash.retentionDays`). Each app builds its own from the config it
+// was given; the exports below use the configured ones.
+function createSchemas({ pagination, trash } = config) {
+  const pageSize = { type: 'integer', min: 1, max: pagination.maxPageSize, default: pagination.defaultPageSize };
+
+  return {
+    // GET /api/items
+    listItemsQuery: defineSchema({
+      ...filterFields,
+      includeDeleted: includeDeletedField,
+      page: { type: 'integer', min: 1 },
+      limit: pageSize,
+      cursor: { type: 'string', minLength: 0, allowEmpty: true, trim: false },
+      after: { type: 'string', minLength: 0, allowEmpty: true, trim: false }
+    }, {
+      coerce: true,
+      label: 'parameter',
+      refine: value => {
+        if (value.page !== undefined && (value.cursor !== undefined || value.after !== undefined)) {
+          return 'page cannot be combined with cursor';
+        }
+        return checkPriceRange(value);
+      }
+    }),
+
+    // GET /api/items/trash
+    trashQuery: defineSchema({
+      page: { type: 'integer', min: 1, default: 1 },
+      limit: pageSize
+    }, { coerce: true, label: 'parameter' }),
+
+    // POST /api/items/purge
+    purgeQuery: defineSchema({
+      olderThanDays: { type: 'integer', min: 0, default: trash.retentionDays }
+    }, { coerce: true, label: 'parameter' })
+  };
+}
+
+const { listItemsQuery, trashQuery, purgeQuery } = createSchemas(config);
+
+module.exports = {
+  createSchemas,
+  itemBody,
+  itemPatchBody,
+  itemIdParams,
+  listItemsQuery,
+  importJsonRow,
+  importCsvRow,
+  importItemsQuery,
+  exportItemsQuery,
+  getItemQuery,
+  trashQuery,
+  purgeQuery,
+  itemEventsQuery,
+  itemHistoryQuery,
+  auditQuery,
+  loginBody,
+  apiKeyBody,
+  apiKeyParams,
+  statsQuery,
+  histogramQuery
+};
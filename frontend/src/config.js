@@ -0,0 +1,9 @@
+// Base URL of the backend API, without a trailing slash. Set REACT_APP_API_URL
+// (in .env.local or the build environment) to point the app at another backend;
+// it is fixed when the app is built.
+const DEFAULT_API_URL = 'http://localhost:5000';
+
+export const API_BASE_URL = (process.env.REACT_APP_API_URL || DEFAULT_API_URL).replace(/\/+$/, '');
+
+// Absolute URL of an API path such as '/api/items'
+export const apiUrl = (path) => `${API_BASE_URL}${path}`;
@@ -0,0 +1,8 @@
+import { API_BASE_URL, apiUrl } from './config';
+
+describe('config', () => {
+  it('defaults the API base URL to the local backend', () => {
+    expect(API_BASE_URL).toBe('http://localhost:5000');
+    expect(apiUrl('/api/items?page=2')).toBe('http://localhost:5000/api/items?page=2');
+  });
+});
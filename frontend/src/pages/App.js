@@ -1,8 +1,11 @@
 import React from 'react';
-import { Routes, Route, Link, useLocation } from 'react-router-dom';
+import { Routes, Route, Link, Navigate, useLocation } from 'react-router-dom';
 import Items from './Items';
 import ItemDetail from './ItemDetail';
-import { DataProvider } from '../state/DataContext';
+import Dashboard from './Dashboard';
+import Trash from './Trash';
+import Login from './Login';
+import { DataProvider, useData, hasRole } from '../state/DataContext';
 import './App.css';
 
 // Error Boundary Component
@@ -46,9 +49,21 @@ class ErrorBoundary extends React.Component {
   }
 }
 
+// Sends signed-out visitors to the login page, remembering where they were going
+function RequireAuth({ children }) {
+  const { user } = useData();
+  const location = useLocation();
+
+  if (!user) {
+    return <Navigate to="/login" replace state={{ from: location.pathname + location.search }} />;
+  }
+  return children;
+}
+
 // Navigation Component
 function Navigation() {
   const location = useLocation();
+  const { user, logout } = useData();
   
   return (
     <nav className="navigation">
@@ -68,9 +83,32 @@ function Navigation() {
             Browse Items
           </Link>
           
-          <div className="nav-stats">
-            <span className="nav-stats-label">Dashboard</span>
-          </div>
+          <Link 
+            to="/dashboard" 
+            className={`nav-link ${location.pathname === '/dashboard' ? 'active' : ''}`}
+            aria-current={location.pathname === '/dashboard' ? 'page' : undefined}
+          >
+            Dashboard
+          </Link>
+
+          {hasRole(user, 'admin') && (
+            <Link 
+              to="/trash" 
+              className={`nav-link ${location.pathname === '/trash' ? 'active' : ''}`}
+              aria-current={location.pathname === '/trash' ? 'page' : undefined}
+            >
+              Trash
+            </Link>
+          )}
+
+          {user && (
+            <div className="nav-user">
+              <span className="nav-user-name">{user.username} ({user.role})</span>
+              <button type="button" className="nav-signout" onClick={logout}>
+                Sign out
+              </button>
+            </div>
+          )}
         </div>
       </div>
     </nav>
@@ -87,8 +125,11 @@ function App() {
           
           <main className="main-content">
             <Routes>
-              <Route path="/" element={<Items />} />
-              <Route path="/items/:id" element={<ItemDetail />} />
+              <Route path="/login" element={<Login />} />
+              <Route path="/" element={<RequireAuth><Items /></RequireAuth>} />
+              <Route path="/items/:id" element={<RequireAuth><ItemDetail /></RequireAuth>} />
+              <Route path="/dashboard" element={<RequireAuth><Dashboard /></RequireAuth>} />
+              <Route path="/trash" element={<RequireAuth><Trash /></RequireAuth>} />
               <Route 
                 path="*" 
                 element={
@@ -0,0 +1,83 @@
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { MemoryRouter } from 'react-router-dom';
+import '@testing-library/jest-dom';
+import App from './App';
+import { SESSION_STORAGE_KEY } from '../state/DataContext';
+
+global.fetch = jest.fn();
+
+const signInAs = (role) => window.localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify({
+  token: 'abc.def',
+  expiresAt: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+  user: { username: 'ana', role }
+}));
+
+const renderAt = (path) => render(
+  <MemoryRouter initialEntries={[path]}>
+    <App />
+  </MemoryRouter>
+);
+
+describe('App navigation', () => {
+  beforeEach(() => {
+    // Pages start loading on mount; keep them pending
+    fetch.mockReturnValue(new Promise(() => {}));
+    signInAs('admin');
+  });
+
+  afterEach(() => {
+    window.localStorage.clear();
+    jest.clearAllMocks();
+  });
+
+  it('links to the dashboard', () => {
+    renderAt('/');
+
+    expect(screen.getByRole('link', { name: 'Dashboard' })).toHaveAttribute('href', '/dashboard');
+    expect(screen.getByRole('link', { name: 'Browse Items' })).toHaveClass('active');
+    expect(screen.getByRole('link', { name: 'Dashboard' })).not.toHaveClass('active');
+  });
+
+  it('marks the dashboard link active on /dashboard', () => {
+    renderAt('/dashboard');
+
+    const link = screen.getByRole('link', { name: 'Dashboard' });
+    expect(link).toHaveClass('active');
+    expect(link).toHaveAttribute('aria-current', 'page');
+    expect(screen.getByText('Loading stats...')).toBeInTheDocument();
+  });
+
+  it('opens the trash on /trash', () => {
+    renderAt('/trash');
+
+    expect(screen.getByRole('link', { name: 'Trash' })).toHaveAttribute('aria-current', 'page');
+    expect(screen.getByText('Loading trash...')).toBeInTheDocument();
+  });
+
+  it('shows who is signed in and signs out to the login page', async () => {
+    renderAt('/dashboard');
+
+    expect(screen.getByText('ana (admin)')).toBeInTheDocument();
+    await userEvent.click(screen.getByRole('button', { name: 'Sign out' }));
+
+    expect(screen.getByRole('heading', { name: 'Sign in' })).toBeInTheDocument();
+    expect(window.localStorage.getItem(SESSION_STORAGE_KEY)).toBeNull();
+  });
+
+  it('hides the trash from non-admins', () => {
+    signInAs('editor');
+    renderAt('/');
+
+    expect(screen.queryByRole('link', { name: 'Trash' })).not.toBeInTheDocument();
+  });
+
+  it('sends signed-out visitors to the login page', () => {
+    window.localStorage.clear();
+    renderAt('/dashboard');
+
+    expect(screen.getByRole('heading', { name: 'Sign in' })).toBeInTheDocument();
+    expect(fetch).not.toHaveBeenCalled();
+  });
+});
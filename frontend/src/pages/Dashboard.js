@@ -0,0 +1,193 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { useData } from '../state/DataContext';
+import { apiUrl } from '../config';
+import './Dashboard.css';
+
+const BAR_HEIGHT = 28;
+const BAR_GAP = 10;
+const LABEL_WIDTH = 120;
+const CHART_WIDTH = 560;
+const HISTOGRAM_HEIGHT = 200;
+
+const formatPrice = (value) => `$${Number(value).toLocaleString(undefined, { maximumFractionDigits: 2 })}`;
+
+function StatCard({ label, value }) {
+  return (
+    <div className="stat-card">
+      <span className="stat-label">{label}</span>
+      <span className="stat-value">{value}</span>
+    </div>
+  );
+}
+
+// Horizontal bar per category, scaled to the largest category
+export function CategoryChart({ categories }) {
+  const entries = Object.entries(categories || {}).sort((a, b) => b[1] - a[1]);
+  if (entries.length === 0) {
+    return <p className="chart-empty">No categories to show.</p>;
+  }
+
+  const maxCount = Math.max(...entries.map(([, count]) => count));
+  const barSpace = CHART_WIDTH - LABEL_WIDTH - 40;
+  const height = entries.length * (BAR_HEIGHT + BAR_GAP);
+
+  return (
+    <svg
+      className="chart"
+      viewBox={`0 0 ${CHART_WIDTH} ${height}`}
+      role="img"
+      aria-label="Items per category"
+    >
+      {entries.map(([category, count], index) => {
+        const y = index * (BAR_HEIGHT + BAR_GAP);
+        const width = Math.max((count / maxCount) * barSpace, 2);
+        return (
+          <g key={category} data-testid="category-bar">
+            <title>{`${category}: ${count}`}</title>
+            <text x={LABEL_WIDTH - 8} y={y + BAR_HEIGHT / 2} className="chart-label" textAnchor="end" dominantBaseline="middle">
+              {category}
+            </text>
+            <rect x={LABEL_WIDTH} y={y} width={width} height={BAR_HEIGHT} rx="4" className="chart-bar" />
+            <text x={LABEL_WIDTH + width + 6} y={y + BAR_HEIGHT / 2} className="chart-value" dominantBaseline="middle">
+              {count}
+            </text>
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
+
+// Vertical column per price bucket from /api/stats/histogram
+export function PriceHistogram({ buckets }) {
+  if (!buckets || buckets.length === 0) {
+    return <p className="chart-empty">No prices to show.</p>;
+  }
+
+  const maxCount = Math.max(...buckets.map(bucket => bucket.count), 1);
+  const columnWidth = CHART_WIDTH / buckets.length;
+  const plotHeight = HISTOGRAM_HEIGHT - 20;
+
+  return (
+    <svg
+      className="chart"
+      viewBox={`0 0 ${CHART_WIDTH} ${HISTOGRAM_HEIGHT}`}
+      role="img"
+      aria-label="Price distribution"
+    >
+      {buckets.map((bucket, index) => {
+        const height = (bucket.count / maxCount) * plotHeight;
+        const x = index * columnWidth;
+        return (
+          <g key={index} data-testid="histogram-bar">
+            <title>{`${formatPrice(bucket.min)} – ${formatPrice(bucket.max)}: ${bucket.count}`}</title>
+            <rect x={x + 2} y={plotHeight - height} width={columnWidth - 4} height={height} className="chart-bar" />
+            <text x={x + columnWidth / 2} y={HISTOGRAM_HEIGHT - 4} className="chart-value" textAnchor="middle">
+              {bucket.count}
+            </text>
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
+
+function Dashboard() {
+  const [stats, setStats] = useState(null);
+  const [histogram, setHistogram] = useState(null);
+  const [error, setError] = useState(null);
+  const { authFetch } = useData();
+
+  const loadStats = useCallback(async (signal) => {
+    const request = async (path) => {
+      const response = await authFetch(apiUrl(path), { signal });
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+      return response.json();
+    };
+
+    const [statsData, histogramData] = await Promise.all([
+      request('/api/stats'),
+      request('/api/stats/histogram?buckets=8')
+    ]);
+    setStats(statsData);
+    setHistogram(histogramData);
+  }, [authFetch]);
+
+  useEffect(() => {
+    let isMounted = true;
+    const abortController = new AbortController();
+
+    loadStats(abortController.signal).catch(err => {
+      if (isMounted && err.name !== 'AbortError') {
+        setError(err.message || 'Failed to load stats');
+      }
+    });
+
+    return () => {
+      isMounted = false;
+      abortController.abort();
+    };
+  }, [loadStats]);
+
+  const handleRetry = useCallback(() => {
+    setError(null);
+    loadStats().catch(err => setError(err.message || 'Failed to load stats'));
+  }, [loadStats]);
+
+  if (error) {
+    return (
+      <div className="error-container">
+        <h3>Error Loading Stats</h3>
+        <p>{error}</p>
+        <button onClick={handleRetry} className="retry-btn">
+          Try Again
+        </button>
+      </div>
+    );
+  }
+
+  if (!stats) {
+    return (
+      <div className="loading-container">
+        <div className="loading-spinner" data-testid="loading-spinner"></div>
+        <p>Loading stats...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="dashboard-container">
+      <header className="dashboard-header">
+        <h1>Dashboard</h1>
+      </header>
+
+      <section className="stat-grid" aria-label="Summary">
+        <StatCard label="Total items" value={stats.total} />
+        <StatCard label="Average price" value={formatPrice(stats.averagePrice)} />
+        <StatCard
+          label="Price range"
+          value={`${formatPrice(stats.priceRange.min)} – ${formatPrice(stats.priceRange.max)}`}
+        />
+        {stats.inventoryValue !== undefined && (
+          <StatCard label="Inventory value" value={formatPrice(stats.inventoryValue)} />
+        )}
+      </section>
+
+      <section className="chart-panel">
+        <h2>Items per category</h2>
+        <CategoryChart categories={stats.categories} />
+      </section>
+
+      {histogram && (
+        <section className="chart-panel">
+          <h2>Price distribution</h2>
+          <PriceHistogram buckets={histogram.buckets} />
+        </section>
+      )}
+    </div>
+  );
+}
+
+export default Dashboard;
@@ -0,0 +1,117 @@
+import React from 'react';
+import { render, screen, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import '@testing-library/jest-dom';
+import Dashboard, { CategoryChart, PriceHistogram } from './Dashboard';
+import { DataContext } from '../state/DataContext';
+
+global.fetch = jest.fn();
+
+const renderDashboard = () => render(
+  <DataContext.Provider value={{ authFetch: fetch, user: { username: 'ana', role: 'viewer' } }}>
+    <Dashboard />
+  </DataContext.Provider>
+);
+
+const respond = (body) => Promise.resolve({ ok: true, json: () => Promise.resolve(body) });
+
+const mockStats = {
+  total: 5,
+  averagePrice: 431.25,
+  medianPrice: 350,
+  inventoryValue: 2250,
+  categories: { Electronics: 3, Furniture: 1, Apparel: 1 },
+  priceRange: { min: 25, max: 1000 }
+};
+
+const mockHistogram = {
+  total: 5,
+  buckets: [
+    { min: 25, max: 512.5, count: 4 },
+    { min: 512.5, max: 1000, count: 1 }
+  ],
+  outOfRange: { below: 0, above: 0 }
+};
+
+// Answer each endpoint with its own fixture
+const mockEndpoints = (stats = mockStats, histogram = mockHistogram) => {
+  fetch.mockImplementation((url) => respond(url.includes('/histogram') ? histogram : stats));
+};
+
+describe('Dashboard', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('shows a loading state first', () => {
+    fetch.mockReturnValue(new Promise(() => {}));
+
+    renderDashboard();
+
+    expect(screen.getByTestId('loading-spinner')).toBeInTheDocument();
+  });
+
+  it('renders totals, average price and price range from /api/stats', async () => {
+    mockEndpoints();
+
+    renderDashboard();
+
+    const summary = await screen.findByRole('region', { name: 'Summary' });
+    expect(within(summary).getByText('5')).toBeInTheDocument();
+    expect(within(summary).getByText('$431.25')).toBeInTheDocument();
+    expect(within(summary).getByText('$25 – $1,000')).toBeInTheDocument();
+    expect(within(summary).getByText('$2,250')).toBeInTheDocument();
+    expect(fetch).toHaveBeenCalledWith('http://localhost:5000/api/stats', expect.any(Object));
+  });
+
+  it('draws the category and price charts', async () => {
+    mockEndpoints();
+
+    renderDashboard();
+
+    expect(await screen.findByRole('img', { name: 'Items per category' })).toBeInTheDocument();
+    expect(screen.getAllByTestId('category-bar')).toHaveLength(3);
+    expect(screen.getAllByTestId('histogram-bar')).toHaveLength(2);
+  });
+
+  it('shows an error with a retry button', async () => {
+    fetch.mockReturnValueOnce(Promise.resolve({ ok: false, status: 500 }));
+    fetch.mockReturnValueOnce(respond(mockHistogram));
+
+    renderDashboard();
+
+    expect(await screen.findByText('Error Loading Stats')).toBeInTheDocument();
+    expect(screen.getByText('HTTP error! status: 500')).toBeInTheDocument();
+
+    mockEndpoints();
+    await userEvent.click(screen.getByRole('button', { name: 'Try Again' }));
+
+    expect(await screen.findByText('$431.25')).toBeInTheDocument();
+  });
+
+  describe('CategoryChart', () => {
+    it('orders bars from the largest category and scales them', () => {
+      const { container } = render(<CategoryChart categories={{ Small: 1, Large: 4 }} />);
+
+      const bars = screen.getAllByTestId('category-bar');
+      expect(within(bars[0]).getByText('Large')).toBeInTheDocument();
+
+      const widths = Array.from(container.querySelectorAll('rect')).map(rect => Number(rect.getAttribute('width')));
+      expect(widths[0]).toBe(widths[1] * 4);
+    });
+
+    it('handles an empty catalog', () => {
+      render(<CategoryChart categories={{}} />);
+
+      expect(screen.getByText('No categories to show.')).toBeInTheDocument();
+    });
+  });
+
+  describe('PriceHistogram', () => {
+    it('handles no buckets', () => {
+      render(<PriceHistogram buckets={[]} />);
+
+      expect(screen.getByText('No prices to show.')).toBeInTheDocument();
+    });
+  });
+});
@@ -1,27 +1,309 @@
-import React, { useEffect, useState } from 'react';
+import React, { useCallback, useEffect, useState } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
+import { useData, hasRole } from '../state/DataContext';
+import { apiUrl } from '../config';
+
+// Timestamps are ISO strings; older records may not have them
+function formatDate(value) {
+  return value ? new Date(value).toLocaleString() : '—';
+}
+
+const EDITABLE_FIELDS = [
+  { name: 'name', label: 'Name' },
+  { name: 'category', label: 'Category' },
+  { name: 'price', label: 'Price', type: 'number' },
+  { name: 'description', label: 'Description', multiline: true },
+  { name: 'sku', label: 'SKU' },
+  { name: 'stock', label: 'Stock', type: 'number' },
+  { name: 'imageUrl', label: 'Image URL' },
+  { name: 'tags', label: 'Tags (comma-separated)' }
+];
+
+// Form values are strings; tags are edited as one comma-separated field
+function toDraft(item) {
+  return {
+    name: item.name || '',
+    category: item.category || '',
+    price: String(item.price ?? ''),
+    description: item.description || '',
+    sku: item.sku || '',
+    stock: String(item.stock ?? 0),
+    imageUrl: item.imageUrl || '',
+    tags: (item.tags || []).join(', ')
+  };
+}
+
+// An empty number field is sent as null so the server rejects it; Number('') would be 0
+function toNumber(value) {
+  return value.trim() === '' ? null : Number(value);
+}
+
+function fromDraft(draft) {
+  return {
+    name: draft.name,
+    category: draft.category,
+    price: toNumber(draft.price),
+    description: draft.description,
+    sku: draft.sku.trim() || null,
+    stock: toNumber(draft.stock),
+    imageUrl: draft.imageUrl.trim() || null,
+    tags: draft.tags.split(',').map(tag => tag.trim()).filter(Boolean)
+  };
+}
+
+// Field names as shown in the history, e.g. "Tags" rather than the form label
+const FIELD_LABELS = Object.fromEntries(
+  EDITABLE_FIELDS.map(field => [field.name, field.label.replace(/ \(.*\)$/, '')])
+);
+
+const ACTION_LABELS = {
+  created: 'Created',
+  updated: 'Updated',
+  deleted: 'Deleted',
+  restored: 'Restored',
+  purged: 'Purged'
+};
+
+function formatValue(value) {
+  if (Array.isArray(value)) {
+    return value.length > 0 ? value.join(', ') : '—';
+  }
+  return value === null || value === undefined || value === '' ? '—' : String(value);
+}
+
+// Change log from the audit trail. Loaded on demand, and reloaded when the item
+// is saved while it's open.
+function ItemHistory({ itemId, version }) {
+  const [open, setOpen] = useState(false);
+  const [history, setHistory] = useState(null);
+  const [error, setError] = useState(null);
+  const { authFetch } = useData();
+
+  useEffect(() => {
+    if (!open) return undefined;
+    let cancelled = false;
+    setError(null);
+    authFetch(apiUrl(`/api/items/${itemId}/history`))
+      .then(res => res.ok ? res.json() : Promise.reject(new Error(`HTTP error! status: ${res.status}`)))
+      .then(data => { if (!cancelled) setHistory(data); })
+      .catch(err => { if (!cancelled) setError(err.message); });
+    return () => { cancelled = true; };
+  }, [open, itemId, version, authFetch]);
+
+  let content;
+  if (!open) {
+    content = <button type="button" onClick={() => setOpen(true)}>Show history</button>;
+  } else if (error) {
+    content = <p role="alert" style={{color: '#c53030'}}>Could not load history: {error}</p>;
+  } else if (!history) {
+    content = <p>Loading history...</p>;
+  } else if (history.entries.length === 0) {
+    content = <p>No changes recorded yet.</p>;
+  } else {
+    content = (
+      <>
+        <ol style={{paddingLeft: 20}}>
+          {history.entries.map(entry => (
+            <li key={entry.id} style={{marginBottom: 8}}>
+              <strong>{ACTION_LABELS[entry.action] || entry.action}</strong> by {entry.actor} on {formatDate(entry.timestamp)}
+              {entry.action === 'updated' && (
+                <ul>
+                  {Object.entries(entry.changes).map(([field, change]) => (
+                    <li key={field}>
+                      {FIELD_LABELS[field] || field}: {formatValue(change.before)} → {formatValue(change.after)}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </li>
+          ))}
+        </ol>
+        {history.total > history.entries.length && (
+          <p>Showing the latest {history.entries.length} of {history.total} changes.</p>
+        )}
+      </>
+    );
+  }
+
+  return (
+    <section aria-labelledby="item-history-heading" style={{marginTop: 24}}>
+      <h3 id="item-history-heading">History</h3>
+      {content}
+    </section>
+  );
+}
+
+// The ETag is the item's version; fall back to the body if the header isn't readable
+function tagOf(response, item) {
+  return (response.headers && response.headers.get('ETag')) || `"${item.version}"`;
+}
+
+// Edit form. Saves send If-Match with the version the edit started from; when
+// someone else saved first the server answers 412 with its copy, which is shown
+// next to the draft so nothing typed here is lost.
+function ItemEditForm({ item, etag, onSaved, onCancel }) {
+  const [draft, setDraft] = useState(() => toDraft(item));
+  const [baseTag, setBaseTag] = useState(etag);
+  const [conflict, setConflict] = useState(null);
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const { authFetch } = useData();
+
+  const handleChange = (event) => {
+    const { name, value } = event.target;
+    setDraft(prev => ({ ...prev, [name]: value }));
+  };
+
+  const save = useCallback(async (ifMatch) => {
+    setSaving(true);
+    setError(null);
+    try {
+      const response = await authFetch(apiUrl(`/api/items/${item.id}`), {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json', 'If-Match': ifMatch },
+        body: JSON.stringify(fromDraft(draft))
+      });
+      const body = await response.json();
+
+      if (response.status === 412) {
+        setConflict(body.error.details.current);
+        return;
+      }
+      if (!response.ok) {
+        setError(body.error ? body.error.message : `HTTP error! status: ${response.status}`);
+        return;
+      }
+      setConflict(null);
+      onSaved(body, tagOf(response, body));
+    } catch (err) {
+      setError(err.message || 'Failed to save item');
+    } finally {
+      setSaving(false);
+    }
+  }, [draft, item.id, onSaved, authFetch]);
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    save(baseTag);
+  };
+
+  // Save the draft over the newer copy
+  const handleOverwrite = () => {
+    const tag = `"${conflict.version}"`;
+    setBaseTag(tag);
+    save(tag);
+  };
+
+  // Drop the draft and continue from the newer copy
+  const handleReload = () => {
+    setDraft(toDraft(conflict));
+    setBaseTag(`"${conflict.version}"`);
+    setConflict(null);
+  };
+
+  const theirs = conflict ? toDraft(conflict) : null;
+
+  return (
+    <form onSubmit={handleSubmit} aria-label="Edit item" style={{display: 'grid', gap: 8, maxWidth: 480}}>
+      {conflict && (
+        <div role="alert" style={{padding: 12, border: '1px solid #dd6b20', borderRadius: 8, background: '#fffaf0'}}>
+          <p><strong>This item was changed by someone else while you were editing.</strong></p>
+          <p>Your changes have been kept. Fields that differ from the saved copy:</p>
+          <ul>
+            {EDITABLE_FIELDS.filter(field => theirs[field.name] !== draft[field.name]).map(field => (
+              <li key={field.name}>
+                {field.label}: yours “{draft[field.name]}”, saved “{theirs[field.name]}”
+              </li>
+            ))}
+          </ul>
+          <button type="button" onClick={handleOverwrite} disabled={saving}>Overwrite with my changes</button>{' '}
+          <button type="button" onClick={handleReload} disabled={saving}>Discard mine and load theirs</button>
+        </div>
+      )}
+      {error && <p role="alert" style={{color: '#c53030'}}>{error}</p>}
+      {EDITABLE_FIELDS.map(field => (
+        <label key={field.name} style={{display: 'grid', gap: 4}}>
+          {field.label}
+          {field.multiline ? (
+            <textarea name={field.name} value={draft[field.name]} onChange={handleChange} />
+          ) : (
+            <input
+              name={field.name}
+              type={field.type || 'text'}
+              step={field.name === 'price' ? '0.01' : undefined}
+              value={draft[field.name]}
+              onChange={handleChange}
+            />
+          )}
+        </label>
+      ))}
+      <div>
+        <button type="submit" disabled={saving}>{saving ? 'Saving...' : 'Save'}</button>{' '}
+        <button type="button" onClick={onCancel} disabled={saving}>Cancel</button>
+      </div>
+    </form>
+  );
+}
 
 function ItemDetail() {
   const { id } = useParams();
   const [item, setItem] = useState(null);
+  const [etag, setEtag] = useState(null);
+  const [editing, setEditing] = useState(false);
   const navigate = useNavigate();
+  const { authFetch, user } = useData();
 
   useEffect(() => {
-    fetch('/api/items/' + id)
-      .then(res => res.ok ? res.json() : Promise.reject(res))
-      .then(setItem)
+    authFetch(apiUrl(`/api/items/${id}`))
+      .then(res => res.ok ? res.json().then(data => ({ data, tag: tagOf(res, data) })) : Promise.reject(res))
+      .then(({ data, tag }) => {
+        setItem(data);
+        setEtag(tag);
+      })
       .catch(() => navigate('/'));
-  }, [id, navigate]);
+  }, [id, navigate, authFetch]);
+
+  const handleSaved = useCallback((saved, tag) => {
+    setItem(saved);
+    setEtag(tag);
+    setEditing(false);
+  }, []);
 
   if (!item) return <p>Loading...</p>;
 
+  if (editing) {
+    return (
+      <div style={{padding: 16}}>
+        <h2>Edit {item.name}</h2>
+        <ItemEditForm item={item} etag={etag} onSaved={handleSaved} onCancel={() => setEditing(false)} />
+      </div>
+    );
+  }
+
+  const tags = Array.isArray(item.tags) ? item.tags : [];
+
   return (
     <div style={{padding: 16}}>
       <h2>{item.name}</h2>
+      {item.imageUrl && (
+        <img src={item.imageUrl} alt={item.name} style={{maxWidth: 320, borderRadius: 8}} />
+      )}
+      {item.description && <p>{item.description}</p>}
       <p><strong>Category:</strong> {item.category}</p>
       <p><strong>Price:</strong> ${item.price}</p>
+      <p><strong>SKU:</strong> {item.sku || '—'}</p>
+      <p><strong>Stock:</strong> {item.stock > 0 ? item.stock : 'Out of stock'}</p>
+      {tags.length > 0 && (
+        <p><strong>Tags:</strong> {tags.join(', ')}</p>
+      )}
+      <p><strong>Created:</strong> {formatDate(item.createdAt)}</p>
+      <p><strong>Updated:</strong> {formatDate(item.updatedAt)}</p>
+      {hasRole(user, 'editor') && (
+        <button type="button" onClick={() => setEditing(true)}>Edit</button>
+      )}
+      <ItemHistory itemId={item.id} version={item.version} />
     </div>
   );
 }
 
-export default ItemDetail;
\ No newline at end of file
+export default ItemDetail;
@@ -0,0 +1,249 @@
+import React from 'react';
+import { render, screen, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { MemoryRouter, Route, Routes } from 'react-router-dom';
+import '@testing-library/jest-dom';
+import ItemDetail from './ItemDetail';
+import { DataContext } from '../state/DataContext';
+
+global.fetch = jest.fn();
+
+const respond = (body) => Promise.resolve({ ok: true, json: () => Promise.resolve(body) });
+
+const renderDetail = (role = 'editor') => render(
+  <DataContext.Provider value={{ authFetch: fetch, user: { username: 'ana', role } }}>
+    <MemoryRouter initialEntries={['/items/1']}>
+      <Routes>
+        <Route path="/items/:id" element={<ItemDetail />} />
+        <Route path="/" element={<p>Home</p>} />
+      </Routes>
+    </MemoryRouter>
+  </DataContext.Provider>
+);
+
+describe('ItemDetail', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('renders the full item', async () => {
+    fetch.mockReturnValueOnce(respond({
+      id: 1,
+      name: 'Laptop Pro',
+      category: 'Electronics',
+      price: 2499,
+      description: 'A fast laptop',
+      sku: 'LPT-1',
+      stock: 7,
+      imageUrl: 'https://example.com/laptop.png',
+      tags: ['work', 'portable'],
+      createdAt: '2024-01-01T00:00:00.000Z',
+      updatedAt: '2024-01-02T00:00:00.000Z'
+    }));
+
+    renderDetail();
+
+    expect(await screen.findByText('Laptop Pro')).toBeInTheDocument();
+    expect(fetch).toHaveBeenCalledWith('http://localhost:5000/api/items/1');
+    expect(screen.getByText('A fast laptop')).toBeInTheDocument();
+    expect(screen.getByText('LPT-1')).toBeInTheDocument();
+    expect(screen.getByText('7')).toBeInTheDocument();
+    expect(screen.getByText('work, portable')).toBeInTheDocument();
+    expect(screen.getByAltText('Laptop Pro')).toHaveAttribute('src', 'https://example.com/laptop.png');
+  });
+
+  it('falls back for records without the optional fields', async () => {
+    fetch.mockReturnValueOnce(respond({ id: 1, name: 'Old Chair', category: 'Furniture', price: 50 }));
+
+    renderDetail();
+
+    expect(await screen.findByText('Old Chair')).toBeInTheDocument();
+    expect(screen.getByText('Out of stock')).toBeInTheDocument();
+    expect(screen.queryByRole('img')).not.toBeInTheDocument();
+  });
+
+  it('returns to the list when the item is missing', async () => {
+    fetch.mockReturnValueOnce(Promise.resolve({ ok: false, status: 404 }));
+
+    renderDetail();
+
+    expect(await screen.findByText('Home')).toBeInTheDocument();
+  });
+
+  describe('editing', () => {
+    const item = { id: 1, name: 'Laptop Pro', category: 'Electronics', price: 2499, stock: 3, tags: [], version: 2 };
+
+    const reply = (status, body, headers = {}) => Promise.resolve({
+      ok: status >= 200 && status < 300,
+      status,
+      headers: { get: (name) => headers[name] || null },
+      json: () => Promise.resolve(body)
+    });
+
+    const startEditing = async () => {
+      renderDetail();
+      await userEvent.click(await screen.findByRole('button', { name: 'Edit' }));
+    };
+
+    it('is only offered to editors', async () => {
+      fetch.mockReturnValueOnce(reply(200, item));
+
+      renderDetail('viewer');
+
+      expect(await screen.findByText('Laptop Pro')).toBeInTheDocument();
+      expect(screen.queryByRole('button', { name: 'Edit' })).not.toBeInTheDocument();
+    });
+
+    it('saves with If-Match set to the loaded version', async () => {
+      fetch
+        .mockReturnValueOnce(reply(200, item, { ETag: '"2"' }))
+        .mockReturnValueOnce(reply(200, { ...item, price: 2299, version: 3 }, { ETag: '"3"' }));
+
+      await startEditing();
+      const price = screen.getByLabelText('Price');
+      await userEvent.clear(price);
+      await userEvent.type(price, '2299');
+      await userEvent.click(screen.getByRole('button', { name: 'Save' }));
+
+      expect(await screen.findByText('$2299')).toBeInTheDocument();
+      const [url, options] = fetch.mock.calls[1];
+      expect(url).toBe('http://localhost:5000/api/items/1');
+      expect(options.method).toBe('PATCH');
+      expect(options.headers['If-Match']).toBe('"2"');
+      expect(JSON.parse(options.body)).toMatchObject({ price: 2299, stock: 3, sku: null, tags: [] });
+    });
+
+    it('surfaces a conflict and keeps the draft', async () => {
+      const theirs = { ...item, name: 'Laptop Pro 2024', version: 3 };
+      fetch
+        .mockReturnValueOnce(reply(200, item, { ETag: '"2"' }))
+        .mockReturnValueOnce(reply(412, {
+          error: { code: 'VERSION_CONFLICT', message: 'changed', details: { current: theirs } }
+        }));
+
+      await startEditing();
+      const price = screen.getByLabelText('Price');
+      await userEvent.clear(price);
+      await userEvent.type(price, '1999');
+      await userEvent.click(screen.getByRole('button', { name: 'Save' }));
+
+      const alert = await screen.findByRole('alert');
+      expect(within(alert).getByText('This item was changed by someone else while you were editing.')).toBeInTheDocument();
+      expect(within(alert).getByText(/Name: yours “Laptop Pro”, saved “Laptop Pro 2024”/)).toBeInTheDocument();
+      expect(within(alert).getByText(/Price: yours “1999”, saved “2499”/)).toBeInTheDocument();
+      expect(screen.getByLabelText('Price')).toHaveValue(1999);
+    });
+
+    it('can overwrite the newer copy with the draft', async () => {
+      const theirs = { ...item, name: 'Laptop Pro 2024', version: 3 };
+      fetch
+        .mockReturnValueOnce(reply(200, item, { ETag: '"2"' }))
+        .mockReturnValueOnce(reply(412, { error: { details: { current: theirs } } }))
+        .mockReturnValueOnce(reply(200, { ...item, version: 4 }, { ETag: '"4"' }));
+
+      await startEditing();
+      await userEvent.click(screen.getByRole('button', { name: 'Save' }));
+      await userEvent.click(await screen.findByRole('button', { name: 'Overwrite with my changes' }));
+
+      expect(await screen.findByRole('button', { name: 'Edit' })).toBeInTheDocument();
+      expect(fetch.mock.calls[2][1].headers['If-Match']).toBe('"3"');
+    });
+
+    it('can discard the draft and continue from the newer copy', async () => {
+      const theirs = { ...item, name: 'Laptop Pro 2024', version: 3 };
+      fetch
+        .mockReturnValueOnce(reply(200, item, { ETag: '"2"' }))
+        .mockReturnValueOnce(reply(412, { error: { details: { current: theirs } } }));
+
+      await startEditing();
+      await userEvent.click(screen.getByRole('button', { name: 'Save' }));
+      await userEvent.click(await screen.findByRole('button', { name: 'Discard mine and load theirs' }));
+
+      expect(screen.getByLabelText('Name')).toHaveValue('Laptop Pro 2024');
+      expect(screen.queryByRole('alert')).not.toBeInTheDocument();
+    });
+
+    it('shows validation errors from the server', async () => {
+      fetch
+        .mockReturnValueOnce(reply(200, item, { ETag: '"2"' }))
+        .mockReturnValueOnce(reply(400, { error: { message: 'Price is required and must be a non-negative number' } }));
+
+      await startEditing();
+      await userEvent.click(screen.getByRole('button', { name: 'Save' }));
+
+      expect(await screen.findByText('Price is required and must be a non-negative number')).toBeInTheDocument();
+    });
+
+    it('sends cleared numbers as null rather than zero', async () => {
+      fetch
+        .mockReturnValueOnce(reply(200, item, { ETag: '"2"' }))
+        .mockReturnValueOnce(reply(400, { error: { message: 'Price is required and must be a non-negative number' } }));
+
+      await startEditing();
+      await userEvent.clear(screen.getByLabelText('Price'));
+      await userEvent.clear(screen.getByLabelText('Stock'));
+      await userEvent.click(screen.getByRole('button', { name: 'Save' }));
+
+      expect(await screen.findByText('Price is required and must be a non-negative number')).toBeInTheDocument();
+      const [, options] = fetch.mock.calls[1];
+      expect(JSON.parse(options.body)).toMatchObject({ price: null, stock: null });
+    });
+  });
+
+  describe('history', () => {
+    const item = { id: 1, name: 'Laptop Pro', category: 'Electronics', price: 2299, tags: [], version: 2 };
+
+    it('loads the change log on demand', async () => {
+      fetch
+        .mockReturnValueOnce(respond(item))
+        .mockReturnValueOnce(respond({
+          itemId: 1,
+          total: 3,
+          entries: [
+            {
+              id: 'b',
+              timestamp: '2024-03-02T10:00:00.000Z',
+              actor: 'ana',
+              action: 'updated',
+              itemId: 1,
+              changes: { price: { before: 2499, after: 2299 }, tags: { before: [], after: ['sale'] } }
+            },
+            { id: 'a', timestamp: '2024-03-01T10:00:00.000Z', actor: 'ben', action: 'created', itemId: 1, changes: {} }
+          ]
+        }));
+
+      renderDetail();
+      await userEvent.click(await screen.findByRole('button', { name: 'Show history' }));
+
+      const history = screen.getByRole('region', { name: 'History' });
+      expect(await within(history).findByText(/by ana on/)).toBeInTheDocument();
+      expect(fetch).toHaveBeenLastCalledWith('http://localhost:5000/api/items/1/history');
+      expect(within(history).getByText('Price: 2499 → 2299')).toBeInTheDocument();
+      expect(within(history).getByText('Tags: — → sale')).toBeInTheDocument();
+      expect(within(history).getByText('Created')).toBeInTheDocument();
+      expect(within(history).getByText('Showing the latest 2 of 3 changes.')).toBeInTheDocument();
+    });
+
+    it('says when nothing has been recorded', async () => {
+      fetch
+        .mockReturnValueOnce(respond(item))
+        .mockReturnValueOnce(respond({ itemId: 1, total: 0, entries: [] }));
+
+      renderDetail();
+      await userEvent.click(await screen.findByRole('button', { name: 'Show history' }));
+
+      expect(await screen.findByText('No changes recorded yet.')).toBeInTheDocument();
+    });
+
+    it('reports a history that cannot be loaded', async () => {
+      fetch
+        .mockReturnValueOnce(respond(item))
+        .mockReturnValueOnce(Promise.resolve({ ok: false, status: 500 }));
+
+      renderDetail();
+      await userEvent.click(await screen.findByRole('button', { name: 'Show history' }));
+
+      expect(await screen.findByRole('alert')).toHaveTextContent('Could not load history: HTTP error! status: 500');
+    });
+  });
+});
@@ -4,6 +4,31 @@ import { Link } from 'react-router-dom';
 import { FixedSizeList as List } from 'react-window';
 import './Items.css';
 
+// Card body shared by the grid and the virtualized list.
+// Optional fields are only shown when the item has them.
+function ItemCardContent({ item }) {
+  const tags = Array.isArray(item.tags) ? item.tags : [];
+
+  return (
+    <div className="item-content">
+      <h3 className="item-name">{item.name}</h3>
+      <span className="item-category">{item.category}</span>
+      <span className="item-price">${item.price}</span>
+      {item.sku && <span className="item-sku">SKU {item.sku}</span>}
+      {typeof item.stock === 'number' && (
+        <span className={`item-stock ${item.stock > 0 ? '' : 'out-of-stock'}`}>
+          {item.stock > 0 ? `${item.stock} in stock` : 'Out of stock'}
+        </span>
+      )}
+      {tags.length > 0 && (
+        <ul className="item-tags" aria-label="Tags">
+          {tags.map(tag => <li key={tag} className="item-tag">{tag}</li>)}
+        </ul>
+      )}
+    </div>
+  );
+}
+
 function Items() {
   const { 
     items, 
@@ -86,11 +111,7 @@ function Items() {
       <div style={style} className="virtual-item">
         <div className="item-card">
           <Link to={`/items/${item.id}`} className="item-link">
-            <div className="item-content">
-              <h3 className="item-name">{item.name}</h3>
-              <span className="item-category">{item.category}</span>
-              <span className="item-price">${item.price}</span>
-            </div>
+            <ItemCardContent item={item} />
           </Link>
         </div>
       </div>
@@ -259,11 +280,7 @@ function Items() {
                  {items.map(item => (
                    <div key={item.id} className="item-card">
                      <Link to={`/items/${item.id}`} className="item-link">
-                       <div className="item-content">
-                         <h3 className="item-name">{item.name}</h3>
-                         <span className="item-category">{item.category}</span>
-                         <span className="item-price">${item.price}</span>
-                       </div>
+                       <ItemCardContent item={item} />
                      </Link>
                    </div>
                  ))}
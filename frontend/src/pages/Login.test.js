@@ -0,0 +1,53 @@
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { MemoryRouter, Route, Routes } from 'react-router-dom';
+import '@testing-library/jest-dom';
+import Login from './Login';
+import { DataContext } from '../state/DataContext';
+
+const renderLogin = (value, state) => render(
+  <DataContext.Provider value={value}>
+    <MemoryRouter initialEntries={[{ pathname: '/login', state }]}>
+      <Routes>
+        <Route path="/login" element={<Login />} />
+        <Route path="/" element={<p>Home</p>} />
+        <Route path="/trash" element={<p>Trash page</p>} />
+      </Routes>
+    </MemoryRouter>
+  </DataContext.Provider>
+);
+
+const fillIn = async () => {
+  await userEvent.type(screen.getByLabelText('Username'), 'ana');
+  await userEvent.type(screen.getByLabelText('Password'), 'correct horse');
+  await userEvent.click(screen.getByRole('button', { name: 'Sign in' }));
+};
+
+describe('Login', () => {
+  it('signs in and returns to the page that asked for it', async () => {
+    const login = jest.fn().mockResolvedValue({ username: 'ana', role: 'admin' });
+    renderLogin({ user: null, login }, { from: '/trash' });
+
+    await fillIn();
+
+    expect(login).toHaveBeenCalledWith('ana', 'correct horse');
+    expect(await screen.findByText('Trash page')).toBeInTheDocument();
+  });
+
+  it('shows why signing in failed', async () => {
+    const login = jest.fn().mockRejectedValue(new Error('Invalid username or password'));
+    renderLogin({ user: null, login });
+
+    await fillIn();
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('Invalid username or password');
+    expect(screen.getByRole('button', { name: 'Sign in' })).toBeEnabled();
+  });
+
+  it('skips the form when already signed in', () => {
+    renderLogin({ user: { username: 'ana', role: 'viewer' }, login: jest.fn() });
+
+    expect(screen.getByText('Home')).toBeInTheDocument();
+  });
+});
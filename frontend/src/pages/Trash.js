@@ -0,0 +1,164 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { useData } from '../state/DataContext';
+import { apiUrl } from '../config';
+import './Trash.css';
+
+const API_URL = apiUrl('/api/items');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatDate = (value) => new Date(value).toLocaleDateString();
+
+// Error message from an API error body, falling back to the status
+async function errorMessage(response) {
+  try {
+    const body = await response.json();
+    return body.error.message;
+  } catch (err) {
+    return `HTTP error! status: ${response.status}`;
+  }
+}
+
+// Deleted items waiting to be purged. Each can be restored; items past the
+// retention window are removed for good when an admin purges the trash (nothing
+// purges them automatically).
+function Trash() {
+  const [trash, setTrash] = useState(null);
+  const [page, setPage] = useState(1);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const { authFetch } = useData();
+
+  const loadTrash = useCallback(async (pageNumber, signal) => {
+    const response = await authFetch(`${API_URL}/trash?page=${pageNumber}`, { signal });
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    setTrash(await response.json());
+  }, [authFetch]);
+
+  useEffect(() => {
+    let isMounted = true;
+    const abortController = new AbortController();
+
+    loadTrash(page, abortController.signal).catch(err => {
+      if (isMounted && err.name !== 'AbortError') {
+        setError(err.message || 'Failed to load trash');
+      }
+    });
+
+    return () => {
+      isMounted = false;
+      abortController.abort();
+    };
+  }, [loadTrash, page]);
+
+  // Run a change, then reload the page so totals and paging stay right
+  const perform = useCallback(async (request, describe) => {
+    setBusy(true);
+    setNotice(null);
+    try {
+      const response = await request();
+      if (!response.ok) {
+        setNotice(await errorMessage(response));
+        return;
+      }
+      setNotice(describe(await response.json()));
+      await loadTrash(page);
+    } catch (err) {
+      setNotice(err.message || 'Request failed');
+    } finally {
+      setBusy(false);
+    }
+  }, [loadTrash, page]);
+
+  const handleRestore = (item) => perform(
+    () => authFetch(`${API_URL}/${item.id}/restore`, {
+      method: 'POST',
+      headers: { 'If-Match': `"${item.version}"` }
+    }),
+    () => `Restored ${item.name}.`
+  );
+
+  const handlePurge = () => perform(
+    () => authFetch(`${API_URL}/purge`, { method: 'POST' }),
+    (result) => (result.purged === 1 ? 'Purged 1 item.' : `Purged ${result.purged} items.`)
+  );
+
+  const handleRetry = () => {
+    setError(null);
+    loadTrash(page).catch(err => setError(err.message || 'Failed to load trash'));
+  };
+
+  if (error) {
+    return (
+      <div className="error-container">
+        <h3>Error Loading Trash</h3>
+        <p>{error}</p>
+        <button onClick={handleRetry} className="retry-btn">
+          Try Again
+        </button>
+      </div>
+    );
+  }
+
+  if (!trash) {
+    return (
+      <div className="loading-container">
+        <div className="loading-spinner" data-testid="loading-spinner"></div>
+        <p>Loading trash...</p>
+      </div>
+    );
+  }
+
+  const { items, pagination, retentionDays } = trash;
+
+  return (
+    <div className="trash-container">
+      <header className="trash-header">
+        <h1>Trash</h1>
+        <p>Deleted items stay here until purged. Purging removes those deleted more than {retentionDays} days ago.</p>
+        <button type="button" className="purge-btn" onClick={handlePurge} disabled={busy}>
+          Purge expired items
+        </button>
+      </header>
+
+      {notice && <p className="trash-notice" role="status">{notice}</p>}
+
+      {items.length === 0 ? (
+        <p className="empty-state">The trash is empty.</p>
+      ) : (
+        <ul className="trash-list">
+          {items.map(item => (
+            <li key={item.id} className="trash-item">
+              <div>
+                <strong>{item.name}</strong>
+                <span className="trash-meta">
+                  {item.category} · Deleted {formatDate(item.deletedAt)} ·
+                  {' '}Can be purged after {formatDate(Date.parse(item.deletedAt) + retentionDays * DAY_MS)}
+                </span>
+              </div>
+              <button type="button" onClick={() => handleRestore(item)} disabled={busy}>
+                Restore
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {pagination.totalPages > 1 && (
+        <nav className="trash-pagination" aria-label="Trash pages">
+          <button type="button" onClick={() => setPage(page - 1)} disabled={!pagination.hasPrevPage}>
+            Previous
+          </button>
+          <span>Page {pagination.page} of {pagination.totalPages}</span>
+          <button type="button" onClick={() => setPage(page + 1)} disabled={!pagination.hasNextPage}>
+            Next
+          </button>
+        </nav>
+      )}
+    </div>
+  );
+}
+
+export default Trash;
@@ -0,0 +1,119 @@
+import React from 'react';
+import { render, screen, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import '@testing-library/jest-dom';
+import Trash from './Trash';
+import { DataContext } from '../state/DataContext';
+
+global.fetch = jest.fn();
+
+const renderTrash = () => render(
+  <DataContext.Provider value={{ authFetch: fetch, user: { username: 'ana', role: 'admin' } }}>
+    <Trash />
+  </DataContext.Provider>
+);
+
+const reply = (status, body) => Promise.resolve({
+  ok: status >= 200 && status < 300,
+  status,
+  json: () => Promise.resolve(body)
+});
+
+const trashPage = (items, pagination = {}) => ({
+  items,
+  retentionDays: 30,
+  pagination: { mode: 'page', page: 1, pageSize: 10, totalItems: items.length, totalPages: 1, hasNextPage: false, hasPrevPage: false, ...pagination }
+});
+
+const chair = { id: 3, name: 'Old Chair', category: 'Furniture', price: 50, version: 4, deletedAt: '2024-03-01T12:00:00.000Z' };
+
+describe('Trash', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('lists deleted items with their purge date', async () => {
+    fetch.mockReturnValueOnce(reply(200, trashPage([chair])));
+
+    renderTrash();
+
+    const item = (await screen.findByText('Old Chair')).closest('li');
+    expect(fetch).toHaveBeenCalledWith('http://localhost:5000/api/items/trash?page=1', expect.any(Object));
+    expect(item).toHaveTextContent(`Deleted ${new Date('2024-03-01T12:00:00.000Z').toLocaleDateString()}`);
+    expect(item).toHaveTextContent(`Can be purged after ${new Date('2024-03-31T12:00:00.000Z').toLocaleDateString()}`);
+    expect(screen.getByText('Deleted items stay here until purged. Purging removes those deleted more than 30 days ago.')).toBeInTheDocument();
+  });
+
+  it('says when the trash is empty', async () => {
+    fetch.mockReturnValueOnce(reply(200, trashPage([])));
+
+    renderTrash();
+
+    expect(await screen.findByText('The trash is empty.')).toBeInTheDocument();
+  });
+
+  it('restores an item with its version and reloads', async () => {
+    fetch
+      .mockReturnValueOnce(reply(200, trashPage([chair])))
+      .mockReturnValueOnce(reply(200, { ...chair, version: 5, deletedAt: null }))
+      .mockReturnValueOnce(reply(200, trashPage([])));
+
+    renderTrash();
+    const item = (await screen.findByText('Old Chair')).closest('li');
+    await userEvent.click(within(item).getByRole('button', { name: 'Restore' }));
+
+    expect(await screen.findByRole('status')).toHaveTextContent('Restored Old Chair.');
+    expect(await screen.findByText('The trash is empty.')).toBeInTheDocument();
+    const [url, options] = fetch.mock.calls[1];
+    expect(url).toBe('http://localhost:5000/api/items/3/restore');
+    expect(options).toEqual({ method: 'POST', headers: { 'If-Match': '"4"' } });
+  });
+
+  it('shows why a restore failed', async () => {
+    fetch
+      .mockReturnValueOnce(reply(200, trashPage([chair])))
+      .mockReturnValueOnce(reply(412, { error: { message: 'Item 3 has been changed by someone else (now at version 5)' } }));
+
+    renderTrash();
+    await userEvent.click(await screen.findByRole('button', { name: 'Restore' }));
+
+    expect(await screen.findByRole('status')).toHaveTextContent('Item 3 has been changed by someone else');
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+
+  it('purges expired items', async () => {
+    fetch
+      .mockReturnValueOnce(reply(200, trashPage([chair])))
+      .mockReturnValueOnce(reply(200, { purged: 2, ids: [1, 2] }))
+      .mockReturnValueOnce(reply(200, trashPage([chair])));
+
+    renderTrash();
+    await userEvent.click(await screen.findByRole('button', { name: 'Purge expired items' }));
+
+    expect(await screen.findByRole('status')).toHaveTextContent('Purged 2 items.');
+    expect(fetch.mock.calls[1]).toEqual(['http://localhost:5000/api/items/purge', { method: 'POST' }]);
+  });
+
+  it('pages through a long trash', async () => {
+    fetch
+      .mockReturnValueOnce(reply(200, trashPage([chair], { totalItems: 12, totalPages: 2, hasNextPage: true })))
+      .mockReturnValueOnce(reply(200, trashPage([{ ...chair, id: 4, name: 'Older Lamp' }], { page: 2, totalItems: 12, totalPages: 2, hasPrevPage: true })));
+
+    renderTrash();
+    await userEvent.click(await screen.findByRole('button', { name: 'Next' }));
+
+    expect(await screen.findByText('Older Lamp')).toBeInTheDocument();
+    expect(fetch.mock.calls[1][0]).toBe('http://localhost:5000/api/items/trash?page=2');
+  });
+
+  it('shows an error with a retry button', async () => {
+    fetch
+      .mockReturnValueOnce(reply(500, {}))
+      .mockReturnValueOnce(reply(200, trashPage([chair])));
+
+    renderTrash();
+    await userEvent.click(await screen.findByRole('button', { name: 'Try Again' }));
+
+    expect(await screen.findByText('Old Chair')).toBeInTheDocument();
+  });
+});
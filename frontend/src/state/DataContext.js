@@ -1,6 +1,79 @@
-import React, { createContext, useCallback, useContext, useState } from 'react';
+import React, { createContext, useCallback, useContext, useEffect, useRef, useState } from 'react';
+import { apiUrl } from '../config';
 
-const DataContext = createContext();
+export const DataContext = createContext();
+
+// Purges only touch the trash, which the list never shows
+const ITEM_EVENT_TYPES = ['created', 'updated', 'deleted', 'restored'];
+
+// Item list responses kept for conditional requests
+const MAX_CACHED_RESPONSES = 50;
+
+// Where the signed-in session ({ token, expiresAt, user }) is remembered between visits
+export const SESSION_STORAGE_KEY = 'itemstore.session';
+
+// Roles build on each other; see the backend's models/user.js
+const ROLES = ['viewer', 'editor', 'admin'];
+
+export function hasRole(user, role) {
+  return Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+// The stored session, unless it is missing, unreadable or expired
+function readStoredSession() {
+  try {
+    const session = JSON.parse(window.localStorage.getItem(SESSION_STORAGE_KEY));
+    return session && session.token && Date.parse(session.expiresAt) > Date.now() ? session : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Patch the loaded page for a change pushed by /api/items/events.
+// Updates replace the item if it is shown; deletes remove it and shrink the totals.
+// New items are appended when the last page is showing and has room. While a search
+// is active the server decides what matches, so only shown items are patched.
+export function applyItemEvent({ items, pagination, searchQuery }, type, item) {
+  const index = items.findIndex(existing => existing.id === item.id);
+  let nextItems = items;
+  let totalItems = pagination.totalItems;
+
+  if (type === 'updated') {
+    if (index === -1) {
+      return { items, pagination };
+    }
+    nextItems = items.map(existing => (existing.id === item.id ? item : existing));
+  } else if (type === 'deleted') {
+    if (index === -1 && searchQuery) {
+      return { items, pagination };
+    }
+    nextItems = items.filter(existing => existing.id !== item.id);
+    totalItems = Math.max(0, totalItems - 1);
+  } else if (type === 'created' || type === 'restored') {
+    if (index !== -1 || searchQuery) {
+      return { items, pagination };
+    }
+    totalItems += 1;
+    if (!pagination.hasNextPage && (pagination.mode === 'cursor' || items.length < pagination.pageSize)) {
+      nextItems = [...items, item];
+    }
+  }
+
+  if (pagination.mode === 'cursor') {
+    return { items: nextItems, pagination: { ...pagination, totalItems } };
+  }
+
+  const totalPages = Math.ceil(totalItems / pagination.pageSize);
+  return {
+    items: nextItems,
+    pagination: {
+      ...pagination,
+      totalItems,
+      totalPages,
+      hasNextPage: pagination.page < totalPages
+    }
+  };
+}
 
 export function DataProvider({ children }) {
   const [items, setItems] = useState([]);
@@ -14,33 +87,114 @@ export function DataProvider({ children }) {
   });
   const [searchQuery, setSearchQuery] = useState('');
   const [loading, setLoading] = useState(false);
+  const [session, setSession] = useState(readStoredSession);
+  const sessionRef = useRef(session);
+  sessionRef.current = session;
+
+  // Latest state and request, for the change feed handlers below
+  const stateRef = useRef();
+  stateRef.current = { items, pagination, searchQuery };
+  const lastRequestRef = useRef(null);
+
+  // Responses by URL with their validators; a 304 reuses the cached body
+  const responseCacheRef = useRef(new Map());
+
+  const logout = useCallback(() => {
+    window.localStorage.removeItem(SESSION_STORAGE_KEY);
+    responseCacheRef.current.clear();
+    setItems([]);
+    setSession(null);
+  }, []);
+
+  // Exchange credentials for a session token; rejects with the server's message
+  const login = useCallback(async (username, password) => {
+    const response = await fetch(apiUrl('/api/auth/login'), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username, password })
+    });
+    const body = await response.json();
+    if (!response.ok) {
+      throw new Error(body.error ? body.error.message : `HTTP error! status: ${response.status}`);
+    }
 
+    const next = { token: body.token, expiresAt: body.expiresAt, user: body.user };
+    window.localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(next));
+    setSession(next);
+    return next.user;
+  }, []);
+
+  // fetch() with the session token attached; every API call goes through it.
+  // A 401 means the token expired or the account changed, so the session ends.
+  const authFetch = useCallback(async (url, options = {}) => {
+    const current = sessionRef.current;
+    const headers = { ...options.headers };
+    if (current) {
+      headers.Authorization = `Bearer ${current.token}`;
+    }
+
+    const response = await fetch(url, { ...options, headers });
+    if (response.status === 401 && current) {
+      logout();
+    }
+    return response;
+  }, [logout]);
+
+  const fetchWithValidators = useCallback(async (url, signal) => {
+    const cached = responseCacheRef.current.get(url);
+    const headers = {};
+    if (cached && cached.etag) headers['If-None-Match'] = cached.etag;
+    if (cached && cached.lastModified) headers['If-Modified-Since'] = cached.lastModified;
+
+    const response = await authFetch(url, { signal, headers });
+
+    if (response.status === 304 && cached) {
+      return cached.data;
+    }
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    const data = await response.json();
+    const etag = response.headers && response.headers.get('ETag');
+    if (etag) {
+      const cache = responseCacheRef.current;
+      cache.delete(url);
+      if (cache.size >= MAX_CACHED_RESPONSES) {
+        cache.delete(cache.keys().next().value);
+      }
+      cache.set(url, {
+        etag,
+        lastModified: response.headers.get('Last-Modified'),
+        data
+      });
+    }
+    return data;
+  }, [authFetch]);
+
+  // Pass `cursor` to use cursor pagination: '' loads the first page, a `nextCursor`
+  // from the previous response appends the following page (infinite scroll)
   const fetchItems = useCallback(async (signal, options = {}) => {
-    const { page = 1, limit = 10, q = '' } = options;
+    const { page = 1, limit = 10, q = '', cursor } = options;
+    const cursorMode = cursor !== undefined;
+    // A reload after missed changes starts cursor lists from the top
+    lastRequestRef.current = cursorMode ? { ...options, cursor: '' } : options;
     
     try {
       setLoading(true);
       
       const params = new URLSearchParams({
-        page: page.toString(),
+        ...(cursorMode ? { cursor } : { page: page.toString() }),
         limit: limit.toString(),
         ...(q && { q })
       });
       
-      const response = await fetch(
-        `http://localhost:5000/api/items?${params}`,
-        { signal }
-      );
-      
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-      
-      const data = await response.json();
+      const url = apiUrl(`/api/items?${params}`);
+      const data = await fetchWithValidators(url, signal);
       
       // Handle both old and new API response formats
-      if (data.items && data.pagination) {
-        setItems(data.items);
+      if (Array.isArray(data.items) && data.pagination) {
+        setItems(prev => (cursorMode && cursor ? [...prev, ...data.items] : data.items));
         setPagination(data.pagination);
       } else {
         // Fallback for old format
@@ -65,7 +219,7 @@ export function DataProvider({ children }) {
         throw error;
       }
     }
-  }, []);
+  }, [fetchWithValidators]);
 
   const searchItems = useCallback(async (query, signal) => {
     return fetchItems(signal, { page: 1, limit: pagination.pageSize, q: query });
@@ -75,7 +229,53 @@ export function DataProvider({ children }) {
     return fetchItems(signal, { page, limit: pagination.pageSize, q: searchQuery });
   }, [fetchItems, pagination.pageSize, searchQuery]);
 
+  // Append the next cursor page; a no-op once the list is exhausted
+  const loadMore = useCallback(async (signal) => {
+    if (!pagination.nextCursor) {
+      return;
+    }
+    return fetchItems(signal, {
+      cursor: pagination.nextCursor,
+      limit: pagination.pageSize,
+      q: searchQuery
+    });
+  }, [fetchItems, pagination.nextCursor, pagination.pageSize, searchQuery]);
+
+  // Keep the loaded items in sync with changes made by other clients.
+  // EventSource reconnects by itself and resends Last-Event-ID; a `reset` means
+  // changes were missed, so the current list is reloaded. EventSource can't send
+  // headers, so the token goes in the URL.
+  const token = session ? session.token : null;
+  useEffect(() => {
+    if (typeof EventSource === 'undefined' || !token) {
+      return undefined;
+    }
+    const source = new EventSource(
+      apiUrl(`/api/items/events?access_token=${encodeURIComponent(token)}`)
+    );
+
+    const handleChange = (event) => {
+      const next = applyItemEvent(stateRef.current, event.type, JSON.parse(event.data));
+      setItems(next.items);
+      setPagination(next.pagination);
+    };
+    const handleReset = () => {
+      if (lastRequestRef.current) {
+        fetchItems(undefined, lastRequestRef.current).catch(() => {});
+      }
+    };
+
+    ITEM_EVENT_TYPES.forEach(type => source.addEventListener(type, handleChange));
+    source.addEventListener('reset', handleReset);
+
+    return () => source.close();
+  }, [fetchItems, token]);
+
   const value = {
+    user: session ? session.user : null,
+    login,
+    logout,
+    authFetch,
     items,
     pagination,
     searchQuery,
@@ -83,6 +283,7 @@ export function DataProvider({ children }) {
     fetchItems,
     searchItems,
     loadPage,
+    loadMore,
     setSearchQuery
   };
 
@@ -0,0 +1,305 @@
+import React from 'react';
+import { renderHook, act } from '@testing-library/react';
+import { DataProvider, useData, applyItemEvent, hasRole, SESSION_STORAGE_KEY } from './DataContext';
+
+global.fetch = jest.fn();
+
+const respond = (body) => Promise.resolve({ ok: true, json: () => Promise.resolve(body) });
+
+const wrapper = ({ children }) => <DataProvider>{children}</DataProvider>;
+
+const session = {
+  token: 'abc.def',
+  expiresAt: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+  user: { username: 'ana', role: 'editor' }
+};
+
+const signIn = () => window.localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(session));
+
+describe('DataContext cursor pagination', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('requests the first cursor page and appends following pages', async () => {
+    fetch
+      .mockReturnValueOnce(respond({
+        items: [{ id: 1 }, { id: 2 }],
+        pagination: { mode: 'cursor', pageSize: 2, totalItems: 3, nextCursor: 'abc', hasNextPage: true }
+      }))
+      .mockReturnValueOnce(respond({
+        items: [{ id: 3 }],
+        pagination: { mode: 'cursor', pageSize: 2, totalItems: 3, nextCursor: null, hasNextPage: false }
+      }));
+
+    const { result } = renderHook(() => useData(), { wrapper });
+
+    await act(() => result.current.fetchItems(undefined, { cursor: '', limit: 2 }));
+    expect(fetch.mock.calls[0][0]).toContain('?cursor=&limit=2');
+    expect(result.current.items.map(item => item.id)).toEqual([1, 2]);
+
+    await act(() => result.current.loadMore());
+    expect(fetch.mock.calls[1][0]).toContain('?cursor=abc&limit=2');
+    expect(result.current.items.map(item => item.id)).toEqual([1, 2, 3]);
+    expect(result.current.pagination.hasNextPage).toBe(false);
+  });
+
+  it('keeps the item list an array when a response has no items', async () => {
+    fetch.mockReturnValueOnce(respond({ items: null, pagination: { mode: 'page', page: 1, pageSize: 10, totalItems: 0 } }));
+
+    const { result } = renderHook(() => useData(), { wrapper });
+
+    await act(() => result.current.fetchItems(undefined, { page: 1, limit: 10 }));
+    expect(result.current.items).toEqual([]);
+  });
+
+  it('does nothing when there is no next cursor', async () => {
+    const { result } = renderHook(() => useData(), { wrapper });
+
+    await act(() => result.current.loadMore());
+
+    expect(fetch).not.toHaveBeenCalled();
+  });
+});
+
+describe('applyItemEvent', () => {
+  const pagePagination = { mode: 'page', page: 1, pageSize: 3, totalItems: 2, totalPages: 1, hasNextPage: false, hasPrevPage: false };
+  const state = { items: [{ id: 1, name: 'A' }, { id: 2, name: 'B' }], pagination: pagePagination, searchQuery: '' };
+
+  it('replaces updated items that are shown', () => {
+    const next = applyItemEvent(state, 'updated', { id: 2, name: 'B2' });
+
+    expect(next.items).toEqual([{ id: 1, name: 'A' }, { id: 2, name: 'B2' }]);
+    expect(applyItemEvent(state, 'updated', { id: 9 })).toEqual({ items: state.items, pagination: pagePagination });
+  });
+
+  it('removes deleted items and updates the totals', () => {
+    const next = applyItemEvent(state, 'deleted', { id: 1 });
+
+    expect(next.items).toEqual([{ id: 2, name: 'B' }]);
+    expect(next.pagination).toMatchObject({ totalItems: 1, totalPages: 1 });
+  });
+
+  it('appends created items to a last page with room', () => {
+    const next = applyItemEvent(state, 'created', { id: 3, name: 'C' });
+
+    expect(next.items.map(item => item.id)).toEqual([1, 2, 3]);
+    expect(next.pagination).toMatchObject({ totalItems: 3, totalPages: 1, hasNextPage: false });
+
+    const full = applyItemEvent(next, 'created', { id: 4, name: 'D' });
+    expect(full.items).toHaveLength(3);
+    expect(full.pagination).toMatchObject({ totalItems: 4, totalPages: 2, hasNextPage: true });
+  });
+
+  it('treats restored items like created ones', () => {
+    const next = applyItemEvent(state, 'restored', { id: 3, name: 'C' });
+
+    expect(next.items.map(item => item.id)).toEqual([1, 2, 3]);
+    expect(next.pagination.totalItems).toBe(3);
+  });
+
+  it('leaves search results to the server', () => {
+    const searching = { ...state, searchQuery: 'a' };
+
+    expect(applyItemEvent(searching, 'created', { id: 3 }).pagination.totalItems).toBe(2);
+    expect(applyItemEvent(searching, 'deleted', { id: 9 }).pagination.totalItems).toBe(2);
+    expect(applyItemEvent(searching, 'deleted', { id: 1 }).pagination.totalItems).toBe(1);
+  });
+
+  it('appends to cursor lists only once they are fully loaded', () => {
+    const cursorState = { ...state, pagination: { mode: 'cursor', pageSize: 2, totalItems: 5, nextCursor: 'x', hasNextPage: true } };
+
+    expect(applyItemEvent(cursorState, 'created', { id: 6 }).items).toHaveLength(2);
+
+    const loaded = { ...cursorState, pagination: { ...cursorState.pagination, nextCursor: null, hasNextPage: false } };
+    expect(applyItemEvent(loaded, 'created', { id: 6 }).items).toHaveLength(3);
+  });
+});
+
+describe('DataContext change feed', () => {
+  let sources;
+
+  class FakeEventSource {
+    constructor(url) {
+      this.url = url;
+      this.listeners = {};
+      this.closed = false;
+      sources.push(this);
+    }
+
+    addEventListener(type, listener) {
+      this.listeners[type] = listener;
+    }
+
+    emit(type, data) {
+      this.listeners[type]({ type, data: JSON.stringify(data) });
+    }
+
+    close() {
+      this.closed = true;
+    }
+  }
+
+  beforeEach(() => {
+    sources = [];
+    global.EventSource = FakeEventSource;
+    signIn();
+  });
+
+  afterEach(() => {
+    delete global.EventSource;
+    window.localStorage.clear();
+    jest.clearAllMocks();
+  });
+
+  it('subscribes to item events and patches the loaded items', async () => {
+    fetch.mockReturnValueOnce(respond({
+      items: [{ id: 1, name: 'A' }],
+      pagination: { mode: 'page', page: 1, pageSize: 10, totalItems: 1, totalPages: 1, hasNextPage: false, hasPrevPage: false }
+    }));
+
+    const { result, unmount } = renderHook(() => useData(), { wrapper });
+    await act(() => result.current.fetchItems(undefined, { page: 1, limit: 10 }));
+
+    expect(sources[0].url).toBe('http://localhost:5000/api/items/events?access_token=abc.def');
+
+    act(() => sources[0].emit('created', { id: 2, name: 'B' }));
+    act(() => sources[0].emit('updated', { id: 1, name: 'A2' }));
+
+    expect(result.current.items).toEqual([{ id: 1, name: 'A2' }, { id: 2, name: 'B' }]);
+    expect(result.current.pagination.totalItems).toBe(2);
+
+    unmount();
+    expect(sources[0].closed).toBe(true);
+  });
+
+  it('reloads the current list after a reset', async () => {
+    const page = {
+      items: [{ id: 1 }],
+      pagination: { mode: 'page', page: 2, pageSize: 5, totalItems: 6, totalPages: 2, hasNextPage: false, hasPrevPage: true }
+    };
+    fetch.mockReturnValue(respond(page));
+
+    const { result } = renderHook(() => useData(), { wrapper });
+    await act(() => result.current.fetchItems(undefined, { page: 2, limit: 5, q: 'x' }));
+    await act(async () => sources[0].emit('reset', {}));
+
+    expect(fetch).toHaveBeenCalledTimes(2);
+    expect(fetch.mock.calls[1][0]).toContain('?page=2&limit=5&q=x');
+  });
+});
+
+describe('DataContext sessions', () => {
+  afterEach(() => {
+    window.localStorage.clear();
+    jest.clearAllMocks();
+  });
+
+  const reply = (status, body) => Promise.resolve({
+    ok: status >= 200 && status < 300,
+    status,
+    headers: { get: () => null },
+    json: () => Promise.resolve(body)
+  });
+
+  it('logs in, remembers the session and attaches the token', async () => {
+    fetch
+      .mockReturnValueOnce(reply(200, { token: 'abc.def', tokenType: 'Bearer', expiresAt: session.expiresAt, user: session.user }))
+      .mockReturnValueOnce(reply(200, { ok: true }));
+
+    const { result } = renderHook(() => useData(), { wrapper });
+    expect(result.current.user).toBeNull();
+
+    await act(() => result.current.login('ana', 'correct horse'));
+    expect(result.current.user).toEqual(session.user);
+    expect(JSON.parse(fetch.mock.calls[0][1].body)).toEqual({ username: 'ana', password: 'correct horse' });
+    expect(JSON.parse(window.localStorage.getItem(SESSION_STORAGE_KEY))).toMatchObject({ token: 'abc.def' });
+
+    await act(() => result.current.authFetch('/api/stats', { headers: { Accept: 'application/json' } }));
+    expect(fetch.mock.calls[1][1].headers).toEqual({ Accept: 'application/json', Authorization: 'Bearer abc.def' });
+  });
+
+  it('rejects with the server message when login fails', async () => {
+    fetch.mockReturnValueOnce(reply(401, { error: { message: 'Invalid username or password' } }));
+
+    const { result } = renderHook(() => useData(), { wrapper });
+
+    await expect(result.current.login('ana', 'nope')).rejects.toThrow('Invalid username or password');
+    expect(window.localStorage.getItem(SESSION_STORAGE_KEY)).toBeNull();
+  });
+
+  it('restores a stored session but ignores an expired one', () => {
+    signIn();
+    const { result } = renderHook(() => useData(), { wrapper });
+    expect(result.current.user).toEqual(session.user);
+
+    window.localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify({ ...session, expiresAt: '2000-01-01T00:00:00.000Z' }));
+    const { result: expired } = renderHook(() => useData(), { wrapper });
+    expect(expired.current.user).toBeNull();
+  });
+
+  it('signs out when the server rejects the token', async () => {
+    signIn();
+    fetch.mockReturnValueOnce(reply(401, { error: { message: 'Invalid or expired token' } }));
+
+    const { result } = renderHook(() => useData(), { wrapper });
+    await act(() => result.current.authFetch('/api/stats'));
+
+    expect(result.current.user).toBeNull();
+    expect(window.localStorage.getItem(SESSION_STORAGE_KEY)).toBeNull();
+  });
+
+  it('compares roles by rank', () => {
+    expect(hasRole({ role: 'admin' }, 'editor')).toBe(true);
+    expect(hasRole({ role: 'editor' }, 'editor')).toBe(true);
+    expect(hasRole({ role: 'viewer' }, 'editor')).toBe(false);
+    expect(hasRole(null, 'viewer')).toBe(false);
+  });
+});
+
+describe('DataContext conditional requests', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  const page = {
+    items: [{ id: 1 }],
+    pagination: { mode: 'page', page: 1, pageSize: 10, totalItems: 1, totalPages: 1, hasNextPage: false, hasPrevPage: false }
+  };
+
+  const withHeaders = (status, body, headers = {}) => Promise.resolve({
+    ok: status >= 200 && status < 300,
+    status,
+    headers: { get: (name) => headers[name] || null },
+    json: () => Promise.resolve(body)
+  });
+
+  it('sends cached validators and reuses the body on 304', async () => {
+    fetch
+      .mockReturnValueOnce(withHeaders(200, page, { ETag: '"v1"', 'Last-Modified': 'Wed, 01 May 2024 10:00:00 GMT' }))
+      .mockReturnValueOnce(withHeaders(304, null));
+
+    const { result } = renderHook(() => useData(), { wrapper });
+
+    await act(() => result.current.fetchItems(undefined, { page: 1, limit: 10 }));
+    expect(fetch.mock.calls[0][1].headers).toEqual({});
+
+    await act(() => result.current.fetchItems(undefined, { page: 1, limit: 10 }));
+    expect(fetch.mock.calls[1][1].headers).toEqual({
+      'If-None-Match': '"v1"',
+      'If-Modified-Since': 'Wed, 01 May 2024 10:00:00 GMT'
+    });
+    expect(result.current.items).toEqual([{ id: 1 }]);
+  });
+
+  it('keeps validators per URL', async () => {
+    fetch.mockReturnValue(withHeaders(200, page, { ETag: '"v1"' }));
+
+    const { result } = renderHook(() => useData(), { wrapper });
+
+    await act(() => result.current.fetchItems(undefined, { page: 1, limit: 10 }));
+    await act(() => result.current.fetchItems(undefined, { page: 2, limit: 10 }));
+
+    expect(fetch.mock.calls[1][1].headers).toEqual({});
+  });
+});